@@ -0,0 +1,87 @@
+/**
+ * MediaPipe Assets
+ * Puts everything hand tracking needs into public/mediapipe so FigureFlo runs without a network:
+ * the WASM runtime (copied from node_modules) and the gesture recognizer model (it includes the hand landmarker).
+ * Writes public/mediapipe/manifest.json with the SHA-256 of every file for the app's integrity check.
+ *
+ * Usage: npm run mediapipe-assets
+ * Environment:
+ *   MEDIAPIPE_MODELS_DIR  Copy the .task model from this folder instead of downloading it (offline CI)
+ *   MEDIAPIPE_FORCE       Set to 1 to download the model again even if it is already there
+ */
+
+import { createHash } from 'node:crypto'
+import { copyFile, mkdir, readdir, readFile, writeFile, access } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const PACKAGE_DIR = path.join(ROOT, 'node_modules', '@mediapipe', 'tasks-vision')
+const OUTPUT_DIR = path.join(ROOT, 'public', 'mediapipe')
+
+const MODELS = {
+  'gesture_recognizer.task': 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+}
+
+const MODELS_DIR = process.env.MEDIAPIPE_MODELS_DIR
+const FORCE = process.env.MEDIAPIPE_FORCE === '1'
+
+const exists = (file) => access(file).then(() => true, () => false)
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex')
+
+const copyWasm = async () => {
+  const source = path.join(PACKAGE_DIR, 'wasm')
+  const target = path.join(OUTPUT_DIR, 'wasm')
+  await mkdir(target, { recursive: true })
+
+  const files = await readdir(source)
+  for (const file of files) {
+    await copyFile(path.join(source, file), path.join(target, file))
+  }
+  console.log(`📦 Copied ${files.length} WASM runtime files`)
+  return files.map(file => `wasm/${file}`)
+}
+
+const fetchModels = async () => {
+  const target = path.join(OUTPUT_DIR, 'models')
+  await mkdir(target, { recursive: true })
+
+  for (const [file, url] of Object.entries(MODELS)) {
+    const destination = path.join(target, file)
+    if (MODELS_DIR) {
+      await copyFile(path.join(MODELS_DIR, file), destination)
+      console.log(`📦 Copied ${file} from ${MODELS_DIR}`)
+    } else if (!FORCE && await exists(destination)) {
+      console.log(`📦 ${file} already downloaded`)
+    } else {
+      const response = await fetch(url)
+      if (!response.ok) throw new Error(`Download of ${file} failed (HTTP ${response.status})`)
+      await writeFile(destination, Buffer.from(await response.arrayBuffer()))
+      console.log(`📦 Downloaded ${file}`)
+    }
+  }
+  return Object.keys(MODELS).map(file => `models/${file}`)
+}
+
+const writeManifest = async (files) => {
+  const { version } = JSON.parse(await readFile(path.join(PACKAGE_DIR, 'package.json'), 'utf8'))
+  const hashes = {}
+  for (const file of files) {
+    hashes[file] = sha256(await readFile(path.join(OUTPUT_DIR, file)))
+  }
+  const manifest = { tasksVision: version, files: hashes }
+  await writeFile(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n')
+  console.log(`✅ MediaPipe ${version} assets ready in public/mediapipe`)
+}
+
+try {
+  if (!await exists(PACKAGE_DIR)) {
+    throw new Error('@mediapipe/tasks-vision is not installed - run npm install first')
+  }
+  const wasmFiles = await copyWasm()
+  const modelFiles = await fetchModels()
+  await writeManifest([...wasmFiles, ...modelFiles])
+} catch (err) {
+  console.error(`❌ ${err.message}`)
+  process.exit(1)
+}
@@ -0,0 +1,49 @@
+/**
+ * OSC Relay
+ * Browsers can't send UDP, so FigureFlo sends OSC bundles over a WebSocket
+ * and this relay forwards them unchanged to TouchDesigner / Max / any OSC receiver.
+ *
+ * Usage: npm run osc-relay
+ * Environment:
+ *   OSC_RELAY_PORT   WebSocket port the app connects to (default 8080)
+ *   OSC_RELAY_HOST   Interface the WebSocket listens on (default 127.0.0.1 - set 0.0.0.0 to accept
+ *                    other machines, which lets anyone on the network send OSC through this one)
+ *   OSC_TARGET_HOST  Where to send the OSC packets (default 127.0.0.1)
+ *   OSC_TARGET_PORT  UDP port of the OSC receiver (default 9000)
+ */
+
+import dgram from 'node:dgram'
+import { WebSocketServer } from 'ws'
+
+const RELAY_PORT = parseInt(process.env.OSC_RELAY_PORT || '8080')
+const RELAY_HOST = process.env.OSC_RELAY_HOST || '127.0.0.1'
+const TARGET_HOST = process.env.OSC_TARGET_HOST || '127.0.0.1'
+const TARGET_PORT = parseInt(process.env.OSC_TARGET_PORT || '9000')
+
+const udp = dgram.createSocket('udp4')
+const server = new WebSocketServer({ host: RELAY_HOST, port: RELAY_PORT })
+
+server.on('connection', (socket, request) => {
+  console.log(`📡 FigureFlo connected from ${request.socket.remoteAddress}`)
+
+  socket.on('message', (data, isBinary) => {
+    if (!isBinary) return
+    udp.send(data, TARGET_PORT, TARGET_HOST, (err) => {
+      if (err) console.error('Error forwarding OSC packet:', err.message)
+    })
+  })
+
+  socket.on('close', () => {
+    console.log('📡 FigureFlo disconnected')
+  })
+})
+
+server.on('listening', () => {
+  console.log(`📡 OSC relay: ws://${RELAY_HOST}:${RELAY_PORT} → udp://${TARGET_HOST}:${TARGET_PORT}`)
+})
+
+process.on('SIGINT', () => {
+  server.close()
+  udp.close()
+  process.exit(0)
+})
@@ -4,11 +4,36 @@ import { useHandTracking } from './hooks/useHandTracking'
 import { useSynthesizer } from './hooks/useSynthesizer'
 import { useEmotionDetection } from './hooks/useEmotionDetection'
 import { useCalibration } from './hooks/useCalibration'
-import { useFluidSimulation } from './hooks/useFluidSimulation'
+import { useFluidSimulation, DEFAULT_FLUID_CONFIG } from './hooks/useFluidSimulation'
+import { useSessionExport } from './hooks/useSessionExport'
+import { useMidiOutput } from './hooks/useMidiOutput'
+import { useOscBridge, DEFAULT_OSC_RELAY_URL } from './hooks/useOscBridge'
+import { useModulationMatrix } from './hooks/useModulationMatrix'
+import { usePresets } from './hooks/usePresets'
 import { processGestures } from './utils/gestureMapping'
+import { UI_UPDATE_INTERVAL_MS } from './utils/handFrameStore'
+import { HandLandmarkFilter, DEFAULT_SMOOTHING } from './utils/landmarkFilter'
+import { getPickerItems, getPickerWedge, getInstrumentCategory } from './utils/instrumentPicker'
+import { FLUID_PRESET_KEYS } from './utils/presets'
 import { HSVtoRGB, noteToHue } from './utils/fluidHelpers'
 import { getEmotionColorPalette } from './utils/emotionFluidMapping'
+import { DEFAULT_SCALE_SETTINGS, CHORD_QUALITIES } from './utils/musicTheory'
+import { ARP_PATTERNS } from './utils/arpeggiator'
+import { GLIDE_TIMES, SNAP_AMOUNTS, VIBRATO_SOURCES } from './utils/theremin'
 import CalibrationOverlay from './components/CalibrationOverlay'
+import ScaleSelector from './components/ScaleSelector'
+import TransportControls from './components/TransportControls'
+import DrumControls from './components/DrumControls'
+import LoopStation from './components/LoopStation'
+import MidiSettings from './components/MidiSettings'
+import OscSettings from './components/OscSettings'
+import EffectsControls from './components/EffectsControls'
+import ModulationControls from './components/ModulationControls'
+import InstrumentPicker from './components/InstrumentPicker'
+import PresetControls from './components/PresetControls'
+import SamplePacks from './components/SamplePacks'
+import SongControls from './components/SongControls'
+import SmoothingControls from './components/SmoothingControls'
 
 function App() {
   const videoRef = useRef(null)
@@ -16,7 +41,7 @@ function App() {
   const videoContainerRef = useRef(null)
   const fluidCanvasRef = useRef(null)
   
-  const { handData, isLoading, error } = useHandTracking(videoRef, canvasRef)
+  const { handData, handFrames, isLoading, error, errorType, timings: trackingTimings, measureStage } = useHandTracking(videoRef, canvasRef)
   
   const {
     start,
@@ -25,16 +50,74 @@ function App() {
     updateParams,
     stopHand,
     cycleInstrument,
+    selectInstrument,
+    setChordMode,
+    toggleChordMode,
+    chordMode,
+    setArpSettings,
+    cycleArpPattern,
+    arpSettings,
+    setThereminSettings,
+    thereminSettings,
+    effects,
+    addEffect,
+    removeEffect,
+    moveEffect,
+    updateEffect,
+    setEffects,
+    setTempo,
+    tapTempo,
+    setSwing,
+    setTimeSignature,
+    tempo,
+    swing,
+    timeSignature,
+    drums,
+    drumGenres,
+    toggleDrums,
+    setDrumPattern,
+    cycleDrumPattern,
+    triggerDrumFill,
+    looper,
+    loopLengths,
+    recordLoop,
+    undoLoopLayer,
+    clearLoop,
+    toggleLoopLayerMute,
+    toggleLoopMute,
+    setLoopBars,
     startRecording,
     stopRecording,
+    getMasterStream,
+    getPerformanceState,
+    subscribeNotes,
+    startMidiCapture,
+    stopMidiCapture,
+    lastMidiFile,
     isStarted,
     isPlaying,
     leftPlaying,
     rightPlaying,
     isStopped,
+    isRecording,
+    lastRecording,
     leftInstrument,
     rightInstrument,
-    instruments
+    instruments,
+    instrumentStatus,
+    loadSamplePack,
+    removeInstrument,
+    song,
+    songLoading,
+    songConductor,
+    loadSong,
+    setSongPlaying,
+    setStemMuted,
+    setSongConductor,
+    conductSong,
+    conductor,
+    setConductorHand,
+    followConductor
   } = useSynthesizer()
   
   // Calibration hook
@@ -58,29 +141,249 @@ function App() {
   const [isAnimatingComplete, setIsAnimatingComplete] = useState(false)
   const [isAnimatingWebcam, setIsAnimatingWebcam] = useState(false)
   
-  // Gesture timing states
-  const [bothHandsOpenStartTime, setBothHandsOpenStartTime] = useState(null)
-  const [bothHandsFistStartTime, setBothHandsFistStartTime] = useState(null)
-  const [bothHandsVictoryStartTime, setBothHandsVictoryStartTime] = useState(null)
-  const [leftThumbsUpTime, setLeftThumbsUpTime] = useState(null)
-  const [leftThumbsDownTime, setLeftThumbsDownTime] = useState(null)
-  const [rightThumbsUpTime, setRightThumbsUpTime] = useState(null)
-  const [rightThumbsDownTime, setRightThumbsDownTime] = useState(null)
-  const [isRecording, setIsRecording] = useState(false)
-  const [canPlay, setCanPlay] = useState(false) // Controls whether music can play
+  // Gesture timing (updated on every hand frame, so refs rather than state)
+  const bothHandsOpenStartRef = useRef(null)
+  const bothHandsFistStartRef = useRef(null)
+  const bothHandsVictoryStartRef = useRef(null)
+  const thumbsUpTimeRef = useRef({ Left: null, Right: null })
+  const thumbsDownTimeRef = useRef({ Left: null, Right: null })
+  const [canPlay, setCanPlayState] = useState(false) // Controls whether music can play
+  const canPlayRef = useRef(false) // Read by the hand frame handler before React re-renders
+  const [scaleSettings, setScaleSettings] = useState(DEFAULT_SCALE_SETTINGS) // Key, scale and octave range
   
   // Track which hands are playing
-  const [leftWasPlaying, setLeftWasPlaying] = useState(false)
-  const [rightWasPlaying, setRightWasPlaying] = useState(false)
+  const wasPlayingRef = useRef({ Left: false, Right: false })
+
+  // When the gesture debug panel was last updated
+  const gestureDataTimeRef = useRef(0)
+
+  // Landmark smoothing between tracking and gesture processing, and each hand's last note (for hysteresis)
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING)
+  const landmarkFilterRef = useRef(new HandLandmarkFilter(DEFAULT_SMOOTHING))
+  const previousNotesRef = useRef({})
+
+  useEffect(() => {
+    landmarkFilterRef.current.configure(smoothing)
+  }, [smoothing])
 
   // Track previous hand positions for velocity calculation (fluid simulation)
   const prevHandPositionsRef = useRef({})
 
+  // Fists must be released before the recording gesture can toggle again
+  const fistGestureHandledRef = useRef(false)
+
+  // One-hand victory sign held while the arpeggiator is on cycles its pattern
+  const arpVictoryStartRef = useRef({ Left: null, Right: null })
+
+  // One-hand fist pumps tap the tempo (tracks the previous fist state per hand)
+  const wasFistRef = useRef({ Left: false, Right: false })
+
+  // One-hand rock-on held for 1 second: left toggles the drums, right switches pattern
+  const drumRockOnStartRef = useRef({ Left: null, Right: null })
+
+  // Both hands rock-on triggers one drum fill until released
+  const drumFillHandledRef = useRef(false)
+
+  // One-hand pointing up held for 1 second: left records/overdubs a loop, right undoes the last layer
+  const loopPointStartRef = useRef({ Left: null, Right: null })
+
+  // Both hands pointing up: 1 second toggles loop mute, 3 seconds clears the loop
+  const loopBothPointRef = useRef({ start: null, stage: 0 })
+
+  // Radial instrument picker - { hand, category, highlighted } while open
+  const [picker, setPickerState] = useState(null)
+  const pickerRef = useRef(null) // Current picker for the hand frame handler
+
+  // One-hand shaka held for 1 second opens/closes that hand's instrument picker
+  const pickerShakaStartRef = useRef({ Left: null, Right: null })
+
+  // Previous pinch state of the picking hand (a new pinch confirms)
+  const pickerPinchRef = useRef(false)
+
+  const pickerItems = picker ? getPickerItems(instruments, picker.category) : []
+  const pickerInstrument = picker && (picker.hand === 'Left' ? leftInstrument : rightInstrument)
+
+  const setCanPlay = (value) => {
+    canPlayRef.current = value
+    setCanPlayState(value)
+  }
+
+  const setPicker = (next) => {
+    pickerRef.current = next
+    setPickerState(next)
+  }
+
+  const openPicker = (hand) => {
+    const current = hand === 'Left' ? leftInstrument : rightInstrument
+    const categories = getPickerItems(instruments)
+    pickerPinchRef.current = true // An ongoing pinch has to be released before it confirms
+    setPicker({ hand, category: null, highlighted: categories.findIndex(item => item.id === getInstrumentCategory(current)) })
+    console.log(`🎯 ${hand} hand instrument picker opened`)
+  }
+
+  const closePicker = () => setPicker(null)
+
+  const highlightPickerItem = (index) => {
+    const current = pickerRef.current
+    if (current && current.highlighted !== index) {
+      setPicker({ ...current, highlighted: index })
+    }
+  }
+
+  // Category -> show its instruments, instrument -> select it and close
+  const activatePickerItem = (item) => {
+    const picker = pickerRef.current
+    if (!picker || !item) return
+    if (item.type === 'category') {
+      const items = getPickerItems(instruments, item.id)
+      const current = picker.hand === 'Left' ? leftInstrument : rightInstrument
+      const highlighted = Math.max(0, items.findIndex(entry => entry.instrument === current))
+      setPicker({ ...picker, category: item.id, highlighted })
+    } else {
+      selectInstrument(picker.hand, item.index)
+      setPicker(null)
+    }
+  }
+
+  // Back to the categories, or close from the category ring
+  const pickerBack = () => {
+    const picker = pickerRef.current
+    if (picker?.category) {
+      const categories = getPickerItems(instruments)
+      setPicker({ ...picker, category: null, highlighted: categories.findIndex(item => item.id === picker.category) })
+    } else {
+      setPicker(null)
+    }
+  }
+
+  // Fluid look and emotion mapping (captured by session presets)
+  const [fluidSettings, setFluidSettings] = useState(() => Object.fromEntries(
+    FLUID_PRESET_KEYS.map(key => [key, DEFAULT_FLUID_CONFIG[key]])
+  ))
+  const [emotionMapping, setEmotionMapping] = useState(true)
+
+  // Both hands shaka held for 1 second switches to the next preset (0 = handled until released)
+  const presetShakaStartRef = useRef(null)
+
   // Initialize fluid simulation - pass config with isReady flag
-  const { createSplat, updateConfig: updateFluidConfig, setEmotion: setFluidEmotion } = useFluidSimulation(
+  const {
+    createSplat,
+    updateConfig: updateFluidConfig,
+    setEmotion: setFluidEmotion,
+    subscribeFrame,
+    captureStream
+  } = useFluidSimulation(
     fluidCanvasRef,
-    { isReady: calibrationComplete && !showLoading }
+    { isReady: calibrationComplete && !showLoading, ...fluidSettings, emotionMapping }
   )
+
+  // Session export ("Share your flo") - fluid video + synth audio in one WebM
+  const [exportWithWebcam, setExportWithWebcam] = useState(true)
+  const {
+    startExport,
+    stopExport,
+    isExporting,
+    lastExport,
+    error: exportError
+  } = useSessionExport({
+    fluidCanvasRef,
+    videoRef,
+    subscribeFrame,
+    captureStream,
+    getMasterStream
+  })
+
+  // MIDI output - notes from the synthesizer loop, brightness/reverb as CCs
+  const {
+    isSupported: isMidiSupported,
+    outputs: midiOutputs,
+    settings: midiSettings,
+    setSettings: setMidiSettings,
+    sendNote: sendMidiNote,
+    sendHandControls: sendMidiControls,
+    error: midiError
+  } = useMidiOutput()
+
+  useEffect(() => subscribeNotes(sendMidiNote), [sendMidiNote])
+
+  // OSC bridge - hand data + emotion for TouchDesigner / Max (via the local relay)
+  const [oscEnabled, setOscEnabled] = useState(false)
+  const [oscUrl, setOscUrl] = useState(DEFAULT_OSC_RELAY_URL)
+  const {
+    status: oscStatus,
+    error: oscError,
+    sendGestures: sendOscGestures
+  } = useOscBridge({ isEnabled: oscEnabled, url: oscUrl })
+
+  // Modulation matrix - routes hand features to synth, effect and fluid parameters
+  const {
+    routes: modulationRoutes,
+    presetName: modulationPresetName,
+    builtInPresetNames: modulationBuiltInPresets,
+    customPresetNames: modulationCustomPresets,
+    process: processModulation,
+    addRoute: addModulationRoute,
+    updateRoute: updateModulationRoute,
+    removeRoute: removeModulationRoute,
+    loadPreset: loadModulationPreset,
+    savePreset: saveModulationPreset,
+    deletePreset: deleteModulationPreset
+  } = useModulationMatrix()
+
+  // Song mode - the song's key becomes the scale (tempo and meter are synced by the synth)
+  const handleLoadSong = async (name, files) => {
+    const settings = await loadSong(name, files)
+    if (settings?.scale) {
+      setScaleSettings(prev => ({ ...prev, ...settings.scale }))
+    }
+  }
+
+  // Session presets - snapshot and restore everything a performance depends on
+  const captureSession = () => ({
+    instruments: { Left: leftInstrument, Right: rightInstrument },
+    scale: scaleSettings,
+    tempo: { bpm: tempo, swing, timeSignature },
+    chordMode,
+    arpSettings,
+    thereminSettings,
+    effects,
+    modulation: modulationPresetName,
+    fluid: fluidSettings,
+    emotionMapping
+  })
+
+  const applyPreset = (preset) => {
+    Object.entries(preset.hands).forEach(([hand, settings]) => {
+      const index = instruments.findIndex(instrument => instrument.id === settings.instrument)
+      if (index >= 0) {
+        selectInstrument(hand, index)
+      } else if (settings.instrument) {
+        console.log(`⚠️ Preset instrument not available: ${settings.instrument}`)
+      }
+      setChordMode(hand, settings.chords)
+      setArpSettings(hand, settings.arp)
+      setThereminSettings(hand, settings.theremin)
+      setEffects(hand, settings.effects)
+    })
+    setScaleSettings(preset.scale)
+    if (preset.tempo?.timeSignature) setTimeSignature(preset.tempo.timeSignature)
+    if (preset.tempo?.bpm) setTempo(preset.tempo.bpm)
+    if (preset.tempo?.swing !== undefined) setSwing(preset.tempo.swing)
+    if (preset.modulation) loadModulationPreset(preset.modulation)
+    setFluidSettings(prev => ({ ...prev, ...preset.fluid }))
+    setEmotionMapping(preset.emotionMapping)
+  }
+
+  const {
+    presetNames,
+    activePreset,
+    loadPreset,
+    savePreset,
+    deletePreset,
+    cyclePreset,
+    exportPreset,
+    importPresets
+  } = usePresets({ capture: captureSession, apply: applyPreset })
   
   // Debug effect
   useEffect(() => {
@@ -182,22 +485,56 @@ function App() {
     await start()
   }
 
-  // Process gestures and control synthesizer
-  useEffect(() => {
-    if (!handData || !isStarted || !calibrationComplete) return
+  // Session export logs the notes too, so the flo can also be opened in a DAW
+  const toggleSessionExport = () => {
+    if (isExporting) {
+      stopExport()
+      stopMidiCapture('export')
+    } else {
+      startExport({ includeWebcam: exportWithWebcam })
+      startMidiCapture('export')
+    }
+  }
 
-    const params = processGestures(handData)
+  // Process gestures and control synthesizer - on every hand frame, without re-rendering.
+  // The handler is replaced on each render, so it always sees the current settings
+  const handleHandFrameRef = useRef(null)
+  handleHandFrameRef.current = (handData) => {
+    if (!isStarted || !calibrationComplete) return
+
+    // Gestures below change this state - read it as of now, not as of the last render
+    const live = getPerformanceState()
+
+    const gesturesStart = performance.now()
+    // Smoothing only steadies note and pitch selection - tremor vibrato and the conductor's
+    // beat detection need the raw hand movement
+    const params = processGestures(handData, {
+      scale: scaleSettings,
+      ranges: { Left: leftInstrument.range, Right: rightInstrument.range },
+      previousNotes: previousNotesRef.current,
+      hysteresis: smoothing.hysteresis,
+      noteLandmarks: landmarkFilterRef.current.filter(handData, gesturesStart)?.landmarks
+    })
+    previousNotesRef.current = Object.fromEntries((params?.hands || []).map(hand => [hand.handedness, hand.note]))
+    measureStage('gestures', performance.now() - gesturesStart)
     
+    sendOscGestures(params, emotions)
+
     if (!params || params.handCount === 0) {
       setGestureData(null)
       // Reset all timing states
-      setBothHandsOpenStartTime(null)
-      setBothHandsFistStartTime(null)
-      setBothHandsVictoryStartTime(null)
+      bothHandsOpenStartRef.current = null
+      bothHandsFistStartRef.current = null
+      bothHandsVictoryStartRef.current = null
+      fistGestureHandledRef.current = false
       return
     }
 
-    setGestureData(params)
+    // The debug panel only needs a few updates per second
+    if (gesturesStart - gestureDataTimeRef.current >= UI_UPDATE_INTERVAL_MS) {
+      gestureDataTimeRef.current = gesturesStart
+      setGestureData(params)
+    }
     
     // Debug logging for victory sign
     if (params.hands.length === 2) {
@@ -211,107 +548,241 @@ function App() {
     // Check for "both hands victory sign" to enable playing (held for 2 seconds)
     if (params.bothHandsVictory) {
       const now = Date.now()
-      if (!bothHandsVictoryStartTime) {
-        setBothHandsVictoryStartTime(now)
+      if (!bothHandsVictoryStartRef.current) {
+        bothHandsVictoryStartRef.current = now
         console.log('✌️ Both hands victory sign detected, hold for 2 seconds to enable playing')
-      } else if (now - bothHandsVictoryStartTime >= 2000) {
-        if (!canPlay) {
+      } else if (now - bothHandsVictoryStartRef.current >= 2000) {
+        if (!canPlayRef.current) {
           console.log('✅ Music playing ENABLED!')
           setCanPlay(true)
           resume()
         }
-        setBothHandsVictoryStartTime(null)
+        bothHandsVictoryStartRef.current = null
       }
     } else {
-      setBothHandsVictoryStartTime(null)
+      bothHandsVictoryStartRef.current = null
     }
     
     // Check for "both hands open" stop gesture (held for 5 seconds)
     if (params.bothHandsOpen) {
       const now = Date.now()
-      if (!bothHandsOpenStartTime) {
-        setBothHandsOpenStartTime(now)
+      if (!bothHandsOpenStartRef.current) {
+        bothHandsOpenStartRef.current = now
         console.log('🖐️ Both hands open detected, hold for 5 seconds to stop')
-      } else if (now - bothHandsOpenStartTime >= 5000 && canPlay) {
+      } else if (now - bothHandsOpenStartRef.current >= 5000 && canPlayRef.current) {
         console.log('🛑 Stopping music (both hands held open)')
         stop()
         setCanPlay(false)
-        setBothHandsOpenStartTime(null)
+        bothHandsOpenStartRef.current = null
       }
     } else {
-      setBothHandsOpenStartTime(null)
+      bothHandsOpenStartRef.current = null
     }
 
-    // Check for "both hands fist" recording gesture (held for 2 seconds)
+    // Check for "both hands fist" recording gesture (held for 2 seconds toggles recording)
     if (params.bothHandsFist) {
       const now = Date.now()
-      if (!bothHandsFistStartTime) {
-        setBothHandsFistStartTime(now)
-        console.log('✊ Both fists detected, hold for 2 seconds to start recording')
-      } else if (now - bothHandsFistStartTime >= 2000 && !isRecording) {
-        console.log('🎙️ Starting recording (dummy)')
-        startRecording()
-        setIsRecording(true)
-        setBothHandsFistStartTime(null)
+      if (!bothHandsFistStartRef.current) {
+        bothHandsFistStartRef.current = now
+        if (!fistGestureHandledRef.current) {
+          console.log(`✊ Both fists detected, hold for 2 seconds to ${live.isRecording ? 'stop' : 'start'} recording`)
+        }
+      } else if (now - bothHandsFistStartRef.current >= 2000 && !fistGestureHandledRef.current) {
+        fistGestureHandledRef.current = true
+        if (live.isRecording) {
+          console.log('⏹️ Stopping recording')
+          stopRecording()
+        } else {
+          console.log('🎙️ Starting recording')
+          startRecording()
+        }
+      }
+    } else {
+      fistGestureHandledRef.current = false
+      bothHandsFistStartRef.current = null
+    }
+
+    // Check for "both hands rock-on" drum fill gesture (fires once per gesture)
+    if (params.bothHandsRockOn) {
+      if (!drumFillHandledRef.current && canPlayRef.current && !live.isStopped) {
+        console.log('🤘🤘 Both hands rock-on - drum fill')
+        triggerDrumFill()
+      }
+      drumFillHandledRef.current = true
+    } else {
+      drumFillHandledRef.current = false
+    }
+
+    // Check for "both hands pointing up" looper gesture (mute at 1s, clear at 3s)
+    if (params.bothHandsPointing && canPlayRef.current && !live.isStopped) {
+      const now = Date.now()
+      const bothPoint = loopBothPointRef.current
+      if (bothPoint.start === null) {
+        bothPoint.start = now
+      } else if (bothPoint.stage === 0 && now - bothPoint.start >= 1000) {
+        console.log('☝️☝️ Both hands pointing - toggling loop mute (keep holding to clear)')
+        toggleLoopMute()
+        bothPoint.stage = 1
+      } else if (bothPoint.stage === 1 && now - bothPoint.start >= 3000) {
+        console.log('☝️☝️ Both hands pointing - clearing loop')
+        clearLoop()
+        bothPoint.stage = 2
       }
     } else {
-      if (bothHandsFistStartTime && isRecording) {
-        console.log('⏹️ Stopping recording (dummy)')
-        stopRecording()
-        setIsRecording(false)
+      loopBothPointRef.current = { start: null, stage: 0 }
+    }
+
+    // Check for "both hands shaka" preset gesture (held for 1 second switches to the next preset)
+    if (params.bothHandsShaka) {
+      const presetShakaStart = presetShakaStartRef.current
+      if (presetShakaStart === null) {
+        presetShakaStartRef.current = Date.now()
+      } else if (presetShakaStart !== 0 && Date.now() - presetShakaStart >= 1000) {
+        const name = cyclePreset(1)
+        console.log(name ? `🤙🤙 Both hands shaka - preset: ${name}` : '🤙🤙 Both hands shaka - no saved presets')
+        presetShakaStartRef.current = 0 // Handled until released
       }
-      setBothHandsFistStartTime(null)
+    } else {
+      presetShakaStartRef.current = null
+    }
+
+    // Modulation matrix: routed hand features -> synth / effect / fluid parameters
+    const modulation = processModulation(params)
+    if (Object.keys(modulation.fluid).length > 0) {
+      updateFluidConfig(modulation.fluid)
     }
 
     // Process each hand
     params.hands.forEach((hand) => {
       const handType = hand.handedness // This is the PHYSICAL hand (Left = left, Right = right)
       const isLeft = handType === 'Left'
-      const wasPlaying = isLeft ? leftWasPlaying : rightWasPlaying
-      const setWasPlaying = isLeft ? setLeftWasPlaying : setRightWasPlaying
+      const wasPlaying = wasPlayingRef.current[handType]
 
       // Check for thumbs up (cycle instrument up)
-      const currentThumbsUpTime = isLeft ? leftThumbsUpTime : rightThumbsUpTime
-      if (hand.isThumbsUp && !currentThumbsUpTime) {
+      const currentThumbsUpTime = thumbsUpTimeRef.current[handType]
+      if (hand.isThumbsUp && !hand.isShaka && !currentThumbsUpTime) {
         // Only set time and cycle instrument if we weren't already holding thumbs up
-        if (isLeft) {
-          setLeftThumbsUpTime(Date.now())
-        } else {
-          setRightThumbsUpTime(Date.now())
-        }
+        thumbsUpTimeRef.current[handType] = Date.now()
         console.log(`👍 ${handType} hand thumbs up - cycling instrument`)
         cycleInstrument(handType, 'up')
       } else if (!hand.isThumbsUp && currentThumbsUpTime) {
         // Only reset if we were holding thumbs up and now stopped
-        if (isLeft) {
-          setLeftThumbsUpTime(null)
-        } else {
-          setRightThumbsUpTime(null)
-        }
+        thumbsUpTimeRef.current[handType] = null
       }
 
       // Check for thumbs down (cycle instrument down)
-      const currentThumbsDownTime = isLeft ? leftThumbsDownTime : rightThumbsDownTime
-      if (hand.isThumbsDown && !currentThumbsDownTime) {
+      const currentThumbsDownTime = thumbsDownTimeRef.current[handType]
+      if (hand.isThumbsDown && !hand.isShaka && !currentThumbsDownTime) {
         // Only set time and cycle instrument if we weren't already holding thumbs down
-        if (isLeft) {
-          setLeftThumbsDownTime(Date.now())
-        } else {
-          setRightThumbsDownTime(Date.now())
-        }
+        thumbsDownTimeRef.current[handType] = Date.now()
         console.log(`👎 ${handType} hand thumbs down - cycling instrument`)
         cycleInstrument(handType, 'down')
       } else if (!hand.isThumbsDown && currentThumbsDownTime) {
         // Only reset if we were holding thumbs down and now stopped
-        if (isLeft) {
-          setLeftThumbsDownTime(null)
-        } else {
-          setRightThumbsDownTime(null)
+        thumbsDownTimeRef.current[handType] = null
+      }
+
+      // Check for one-hand shaka (open/close this hand's instrument picker, held for 1 second)
+      const pickerShakaStart = pickerShakaStartRef.current[handType]
+      if (hand.isShaka && !params.bothHandsShaka) {
+        if (pickerShakaStart === null) {
+          pickerShakaStartRef.current[handType] = Date.now()
+        } else if (pickerShakaStart !== 0 && Date.now() - pickerShakaStart >= 1000) {
+          if (pickerRef.current?.hand === handType) {
+            console.log(`🤙 ${handType} hand shaka - closing instrument picker`)
+            closePicker()
+          } else {
+            console.log(`🤙 ${handType} hand shaka - opening instrument picker`)
+            openPicker(handType)
+          }
+          pickerShakaStartRef.current[handType] = 0 // Handled until released
+        }
+      } else {
+        pickerShakaStartRef.current[handType] = null
+      }
+
+      // The picking hand navigates the picker instead of playing
+      if (pickerRef.current?.hand === handType) {
+        if (wasPlaying) {
+          stopHand(handType)
+          wasPlayingRef.current[handType] = false
         }
+        const items = getPickerItems(instruments, pickerRef.current.category)
+        // Hand position around the screen center picks a wedge (un-mirrored, like the fluid)
+        const wedge = getPickerWedge((1 - hand.normalizedX) - 0.5, hand.normalizedY - 0.5, items.length)
+        highlightPickerItem(wedge)
+        // A new pinch confirms the wedge, or goes back/closes from the center
+        if (hand.isPinched && !pickerPinchRef.current) {
+          if (wedge >= 0) {
+            activatePickerItem(items[wedge])
+          } else {
+            pickerBack()
+          }
+        }
+        pickerPinchRef.current = hand.isPinched
+        return
       }
 
       // Skip control gestures if music is not enabled or stopped
-      if (!canPlay || isStopped) return
+      if (!canPlayRef.current || live.isStopped) return
+
+      // Check for one-hand fist pump (tap tempo - needs 3+ steady taps)
+      if (hand.isFist && !wasFistRef.current[handType] && !params.bothHandsFist) {
+        tapTempo()
+      }
+      wasFistRef.current[handType] = hand.isFist
+
+      // Check for one-hand victory sign (cycle arpeggio pattern, held for 1 second)
+      const arpVictoryStart = arpVictoryStartRef.current[handType]
+      if (hand.isVictorySign && !params.bothHandsVictory && live.arpSettings[handType].enabled) {
+        if (arpVictoryStart === null) {
+          arpVictoryStartRef.current[handType] = Date.now()
+        } else if (arpVictoryStart !== 0 && Date.now() - arpVictoryStart >= 1000) {
+          console.log(`✌️ ${handType} hand victory sign - cycling arpeggio pattern`)
+          cycleArpPattern(handType)
+          arpVictoryStartRef.current[handType] = 0 // Handled until released
+        }
+      } else {
+        arpVictoryStartRef.current[handType] = null
+      }
+
+      // Check for one-hand rock-on (left = drums on/off, right = next pattern, held for 1 second)
+      const drumRockOnStart = drumRockOnStartRef.current[handType]
+      if (hand.isRockOn && !params.bothHandsRockOn) {
+        if (drumRockOnStart === null) {
+          drumRockOnStartRef.current[handType] = Date.now()
+        } else if (drumRockOnStart !== 0 && Date.now() - drumRockOnStart >= 1000) {
+          if (isLeft) {
+            console.log('🤘 Left hand rock-on - toggling drums')
+            toggleDrums()
+          } else {
+            console.log('🤘 Right hand rock-on - next drum pattern')
+            cycleDrumPattern()
+          }
+          drumRockOnStartRef.current[handType] = 0 // Handled until released
+        }
+      } else {
+        drumRockOnStartRef.current[handType] = null
+      }
+
+      // Check for one-hand pointing up (left = record/overdub loop, right = undo layer, held for 1 second)
+      const loopPointStart = loopPointStartRef.current[handType]
+      if (hand.isPointingUp && !params.bothHandsPointing) {
+        if (loopPointStart === null) {
+          loopPointStartRef.current[handType] = Date.now()
+        } else if (loopPointStart !== 0 && Date.now() - loopPointStart >= 1000) {
+          if (isLeft) {
+            console.log('☝️ Left hand pointing - recording loop')
+            recordLoop()
+          } else {
+            console.log('☝️ Right hand pointing - undoing last loop layer')
+            undoLoopLayer()
+          }
+          loopPointStartRef.current[handType] = 0 // Handled until released
+        }
+      } else {
+        loopPointStartRef.current[handType] = null
+      }
 
       // Calculate hand velocity for fluid simulation
       const handId = `${handType}_${hand.handedness}`
@@ -329,8 +800,8 @@ function App() {
         }
         
         // Map note to color
-        const hue = noteToHue(hand.note)
-        const emotionPalette = emotions?.topEmotion 
+        const hue = noteToHue(hand.note, scaleSettings)
+        const emotionPalette = emotionMapping && emotions?.topEmotion 
           ? getEmotionColorPalette(emotions.topEmotion.name)
           : null
         
@@ -363,41 +834,63 @@ function App() {
         createSplat(fluidX, fluidY, -dx, -dy, color) // Also flip dx since X is flipped
       }
 
+      // Conductor mode: the baton hand beats time for the backing instead of playing
+      // (its trajectory - the positions tracked above - drives tempo and dynamics)
+      if (live.conductor.hand === handType) {
+        followConductor(handType, hand.normalizedY)
+        if (wasPlaying) {
+          stopHand(handType)
+          wasPlayingRef.current[handType] = false
+        }
+        return
+      }
+
+      // Song mode: the conducting hand shapes its stem instead of playing
+      if (live.songConductor.hand === handType && live.songPlaying) {
+        conductSong(handType, hand)
+        if (wasPlaying) {
+          stopHand(handType)
+          wasPlayingRef.current[handType] = false
+        }
+        return
+      }
+
       // Continuously update musical parameters based on hand position
       if (hand.isPinched) {
+        // Routed parameters replace the built-in mappings
+        const handModulation = modulation.hands[handType] || {}
+        const filterFreq = handModulation.filterFreq ?? hand.filterFreq
+        const reverb = handModulation.reverb ?? hand.reverb
         updateParams(
           handType,
           hand.note,
-          hand.velocity,
-          hand.filterFreq,
-          hand.reverb
+          handModulation.velocity ?? hand.velocity,
+          filterFreq,
+          reverb,
+          {
+            chord: hand.chord,
+            openness: hand.openness,
+            depth: hand.depth,
+            pitch: hand.pitch,
+            wristFilterFreq: hand.wristFilterFreq,
+            wristRoll: hand.wristRoll,
+            normalizedX: hand.normalizedX,
+            normalizedY: hand.normalizedY,
+            scale: scaleSettings,
+            modulation: handModulation
+          }
         )
-        setWasPlaying(true)
+        sendMidiControls(handType, { filterFreq, reverb })
+        wasPlayingRef.current[handType] = true
       } else if (wasPlaying) {
         // Stop playing when pinch is released
         stopHand(handType)
-        setWasPlaying(false)
+        wasPlayingRef.current[handType] = false
       }
     })
-  }, [
-    handData, 
-    isStarted, 
-    calibrationComplete, 
-    leftWasPlaying, 
-    rightWasPlaying, 
-    isStopped,
-    canPlay,
-    bothHandsOpenStartTime,
-    bothHandsFistStartTime,
-    bothHandsVictoryStartTime,
-    isRecording,
-    leftThumbsUpTime,
-    leftThumbsDownTime,
-    rightThumbsUpTime,
-    rightThumbsDownTime,
-    createSplat,
-    emotions
-  ])
+  }
+
+  useEffect(() => handFrames.subscribe(handData => handleHandFrameRef.current(handData)), [handFrames])
 
   // Green glow effect when gesture is successfully detected during calibration
   useEffect(() => {
@@ -439,7 +932,17 @@ function App() {
         {error && (
           <div className="error">
             <p>❌ Error: {error}</p>
-            <p>Please allow camera access to use FigureFlo</p>
+            {errorType === 'assets' ? (
+              <p>
+                Hand tracking couldn't start. Run <code>npm run mediapipe-assets</code> to install the
+                model and runtime, or set <code>VITE_MEDIAPIPE_SOURCE=cdn</code> to load them online
+              </p>
+            ) : (
+              <p>Please allow camera access to use FigureFlo</p>
+            )}
+            <button className="error-retry" onClick={() => window.location.reload()}>
+              🔄 Try again
+            </button>
           </div>
         )}
 
@@ -598,19 +1101,317 @@ function App() {
             <div className={`indicator ${!canPlay ? 'waiting' : (isStopped ? 'stopped' : (isPlaying ? 'active' : ''))}`}>
               {!canPlay ? '✌️ Do Victory Sign to Start' : (isStopped ? '🛑 Stopped' : (isPlaying ? '🔊 Playing' : '🔇 Silent'))}
             </div>
+            {trackingTimings && (
+              <div
+                className={`tracking-stats ${trackingTimings.skipped > 0.25 ? 'busy' : ''}`}
+                title="Hand tracking per stage (averages). Camera frames are skipped when inference can't keep up"
+              >
+                🖐️ {Math.round(trackingTimings.fps)} fps ({trackingTimings.where}) ·
+                capture {trackingTimings.capture.toFixed(1)} ms · inference {trackingTimings.inference.toFixed(1)} ms ·
+                draw {trackingTimings.draw.toFixed(1)} ms · gestures {trackingTimings.gestures.toFixed(1)} ms ·
+                skipped {Math.round(trackingTimings.skipped * 100)}%
+              </div>
+            )}
             {isRecording && (
               <div className="indicator recording">
-                🎙️ Recording (Dummy)
+                🎙️ Recording
               </div>
             )}
+            {!isRecording && lastRecording && (
+              <a className="recording-download" href={lastRecording.url} download={lastRecording.filename}>
+                💾 Download {lastRecording.filename}
+              </a>
+            )}
+            {!isRecording && !isExporting && lastMidiFile && (
+              <a className="recording-download" href={lastMidiFile.url} download={lastMidiFile.filename}>
+                🎼 Download {lastMidiFile.filename}
+              </a>
+            )}
+            <PresetControls
+              presetNames={presetNames}
+              activePreset={activePreset}
+              fluidSettings={fluidSettings}
+              emotionMapping={emotionMapping}
+              onLoad={loadPreset}
+              onSave={savePreset}
+              onDelete={deletePreset}
+              onExport={exportPreset}
+              onImport={importPresets}
+              onFluidChange={(changes) => setFluidSettings(prev => ({ ...prev, ...changes }))}
+              onEmotionMappingChange={setEmotionMapping}
+            />
+            <ScaleSelector settings={scaleSettings} onChange={setScaleSettings} />
+            <SmoothingControls settings={smoothing} onChange={setSmoothing} />
+            <TransportControls
+              tempo={tempo}
+              swing={swing}
+              timeSignature={timeSignature}
+              onTempoChange={setTempo}
+              onTap={tapTempo}
+              onSwingChange={setSwing}
+              onTimeSignatureChange={setTimeSignature}
+              conductor={conductor}
+              onConductorHandChange={setConductorHand}
+            />
+            <SamplePacks
+              instruments={instruments}
+              status={instrumentStatus}
+              onLoadPack={loadSamplePack}
+              onRemove={removeInstrument}
+            />
+            <SongControls
+              song={song}
+              loading={songLoading}
+              conductor={songConductor}
+              onLoad={handleLoadSong}
+              onPlay={setSongPlaying}
+              onMuteStem={setStemMuted}
+              onConductorChange={setSongConductor}
+            />
+            <ModulationControls
+              routes={modulationRoutes}
+              presetName={modulationPresetName}
+              builtInPresetNames={modulationBuiltInPresets}
+              customPresetNames={modulationCustomPresets}
+              onAddRoute={addModulationRoute}
+              onUpdateRoute={updateModulationRoute}
+              onRemoveRoute={removeModulationRoute}
+              onLoadPreset={loadModulationPreset}
+              onSavePreset={saveModulationPreset}
+              onDeletePreset={deleteModulationPreset}
+            />
+            <EffectsControls
+              effects={effects}
+              onAdd={addEffect}
+              onRemove={removeEffect}
+              onMove={moveEffect}
+              onUpdate={updateEffect}
+            />
+            <DrumControls
+              drums={drums}
+              genres={drumGenres}
+              timeSignature={timeSignature}
+              onToggle={toggleDrums}
+              onPatternChange={setDrumPattern}
+              onFill={triggerDrumFill}
+            />
+            <OscSettings
+              enabled={oscEnabled}
+              url={oscUrl}
+              status={oscStatus}
+              error={oscError}
+              onEnabledChange={setOscEnabled}
+              onUrlChange={setOscUrl}
+            />
+            <MidiSettings
+              isSupported={isMidiSupported}
+              outputs={midiOutputs}
+              settings={midiSettings}
+              error={midiError}
+              onChange={setMidiSettings}
+            />
+            {looper && (
+              <LoopStation
+                looper={looper}
+                loopLengths={loopLengths}
+                onRecord={recordLoop}
+                onUndo={undoLoopLayer}
+                onClear={clearLoop}
+                onToggleLayerMute={toggleLoopLayerMute}
+                onBarsChange={setLoopBars}
+              />
+            )}
+            <div className="session-export">
+              <button
+                className={`export-button ${isExporting ? 'exporting' : ''}`}
+                onClick={toggleSessionExport}
+              >
+                {isExporting ? '⏹️ Stop Export' : '🎬 Share your flo'}
+              </button>
+              <label className="export-option">
+                <input
+                  type="checkbox"
+                  checked={exportWithWebcam}
+                  disabled={isExporting}
+                  onChange={(e) => setExportWithWebcam(e.target.checked)}
+                />
+                Include webcam
+              </label>
+              {!isExporting && lastExport && (
+                <a className="recording-download" href={lastExport.url} download={lastExport.filename}>
+                  💾 Download {lastExport.filename}
+                </a>
+              )}
+              {exportError && (
+                <span className="export-error">⚠️ {exportError}</span>
+              )}
+            </div>
             <div className="instrument-status">
               <div className={`hand-instrument ${leftPlaying ? 'playing' : ''}`}>
                 <span className="hand-label">👈 Left Hand:</span>
                 <span className="instrument-name">{leftInstrument.name}</span>
+                {leftInstrument.range && (
+                  <span className="instrument-range" title="Playable range - the scale is fitted into it">
+                    {leftInstrument.range[0]}–{leftInstrument.range[1]}
+                  </span>
+                )}
+                {instrumentStatus[leftInstrument.id]?.state === 'loading' && (
+                  <span className="instrument-loading">
+                    ⏳ Loading samples {instrumentStatus[leftInstrument.id].loaded}/{instrumentStatus[leftInstrument.id].total}
+                  </span>
+                )}
+                {instrumentStatus[leftInstrument.id]?.error && (
+                  <span className="instrument-error">⚠️ {instrumentStatus[leftInstrument.id].error}</span>
+                )}
+                <button
+                  className="mode-toggle"
+                  onClick={() => openPicker('Left')}
+                  title="Pick an instrument (or hold 🤙)"
+                >
+                  🎯 Pick
+                </button>
+                <button
+                  className={`mode-toggle ${chordMode.Left ? 'active' : ''}`}
+                  onClick={() => toggleChordMode('Left')}
+                >
+                  🎼 Chords {chordMode.Left ? 'On' : 'Off'}
+                </button>
+                <button
+                  className={`mode-toggle ${arpSettings.Left.enabled ? 'active' : ''}`}
+                  onClick={() => setArpSettings('Left', { enabled: !arpSettings.Left.enabled })}
+                >
+                  🎶 Arp {arpSettings.Left.enabled ? ARP_PATTERNS[arpSettings.Left.pattern] : 'Off'}
+                </button>
+                {arpSettings.Left.enabled && (
+                  <select
+                    className="mode-select"
+                    value={arpSettings.Left.rateSource}
+                    onChange={(e) => setArpSettings('Left', { rateSource: e.target.value })}
+                  >
+                    <option value="openness">Rate: openness</option>
+                    <option value="depth">Rate: depth</option>
+                  </select>
+                )}
+                <button
+                  className={`mode-toggle ${thereminSettings.Left.enabled ? 'active' : ''}`}
+                  onClick={() => setThereminSettings('Left', { enabled: !thereminSettings.Left.enabled })}
+                >
+                  〰️ Theremin {thereminSettings.Left.enabled ? 'On' : 'Off'}
+                </button>
+                {thereminSettings.Left.enabled && (
+                  <>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Left.portamento}
+                      onChange={(e) => setThereminSettings('Left', { portamento: parseFloat(e.target.value) })}
+                    >
+                      {Object.entries(GLIDE_TIMES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Left.snap}
+                      onChange={(e) => setThereminSettings('Left', { snap: parseFloat(e.target.value) })}
+                    >
+                      {Object.entries(SNAP_AMOUNTS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Left.vibratoSource}
+                      onChange={(e) => setThereminSettings('Left', { vibratoSource: e.target.value })}
+                    >
+                      {Object.entries(VIBRATO_SOURCES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
               </div>
               <div className={`hand-instrument ${rightPlaying ? 'playing' : ''}`}>
                 <span className="hand-label">👉 Right Hand:</span>
                 <span className="instrument-name">{rightInstrument.name}</span>
+                {rightInstrument.range && (
+                  <span className="instrument-range" title="Playable range - the scale is fitted into it">
+                    {rightInstrument.range[0]}–{rightInstrument.range[1]}
+                  </span>
+                )}
+                {instrumentStatus[rightInstrument.id]?.state === 'loading' && (
+                  <span className="instrument-loading">
+                    ⏳ Loading samples {instrumentStatus[rightInstrument.id].loaded}/{instrumentStatus[rightInstrument.id].total}
+                  </span>
+                )}
+                {instrumentStatus[rightInstrument.id]?.error && (
+                  <span className="instrument-error">⚠️ {instrumentStatus[rightInstrument.id].error}</span>
+                )}
+                <button
+                  className="mode-toggle"
+                  onClick={() => openPicker('Right')}
+                  title="Pick an instrument (or hold 🤙)"
+                >
+                  🎯 Pick
+                </button>
+                <button
+                  className={`mode-toggle ${chordMode.Right ? 'active' : ''}`}
+                  onClick={() => toggleChordMode('Right')}
+                >
+                  🎼 Chords {chordMode.Right ? 'On' : 'Off'}
+                </button>
+                <button
+                  className={`mode-toggle ${arpSettings.Right.enabled ? 'active' : ''}`}
+                  onClick={() => setArpSettings('Right', { enabled: !arpSettings.Right.enabled })}
+                >
+                  🎶 Arp {arpSettings.Right.enabled ? ARP_PATTERNS[arpSettings.Right.pattern] : 'Off'}
+                </button>
+                {arpSettings.Right.enabled && (
+                  <select
+                    className="mode-select"
+                    value={arpSettings.Right.rateSource}
+                    onChange={(e) => setArpSettings('Right', { rateSource: e.target.value })}
+                  >
+                    <option value="openness">Rate: openness</option>
+                    <option value="depth">Rate: depth</option>
+                  </select>
+                )}
+                <button
+                  className={`mode-toggle ${thereminSettings.Right.enabled ? 'active' : ''}`}
+                  onClick={() => setThereminSettings('Right', { enabled: !thereminSettings.Right.enabled })}
+                >
+                  〰️ Theremin {thereminSettings.Right.enabled ? 'On' : 'Off'}
+                </button>
+                {thereminSettings.Right.enabled && (
+                  <>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Right.portamento}
+                      onChange={(e) => setThereminSettings('Right', { portamento: parseFloat(e.target.value) })}
+                    >
+                      {Object.entries(GLIDE_TIMES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Right.snap}
+                      onChange={(e) => setThereminSettings('Right', { snap: parseFloat(e.target.value) })}
+                    >
+                      {Object.entries(SNAP_AMOUNTS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="mode-select"
+                      value={thereminSettings.Right.vibratoSource}
+                      onChange={(e) => setThereminSettings('Right', { vibratoSource: e.target.value })}
+                    >
+                      {Object.entries(VIBRATO_SOURCES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -631,6 +1432,18 @@ function App() {
                     <span className="label">Bass:</span>
                     <span className="value">{hand.bassNote || 'N/A'}</span>
                   </div>
+                  {thereminSettings[hand.handedness]?.enabled && (
+                    <div className="data-item">
+                      <span className="label">Pitch:</span>
+                      <span className="value">{hand.pitch?.toFixed(1)} Hz</span>
+                    </div>
+                  )}
+                  {chordMode[hand.handedness] && (
+                    <div className="data-item">
+                      <span className="label">Chord:</span>
+                      <span className="value">{CHORD_QUALITIES[hand.chordQuality]?.name} ({hand.chord.join(' ')})</span>
+                    </div>
+                  )}
                   <div className="data-item">
                     <span className="label">Brightness:</span>
                     <span className="value">{(hand.brightness * 100).toFixed(0)}%</span>
@@ -676,6 +1489,11 @@ function App() {
                       <span className="value">🖐️ Open Palm</span>
                     </div>
                   )}
+                  {hand.isShaka && (
+                    <div className="data-item gesture-detected">
+                      <span className="value">🤙 Shaka</span>
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -688,14 +1506,30 @@ function App() {
             <ul>
               <li>✌️✌️ <strong>Both Hands Victory Sign</strong>: Hold for 2 seconds to START playing music</li>
               <li>🤏 <strong>Pinch (thumb + index)</strong>: Activate sound for that hand</li>
-              <li>⬆️⬇️ <strong>Hand Height</strong>: Controls pitch (quantized to pentatonic scale - always sounds good!)</li>
+              <li>⬆️⬇️ <strong>Hand Height</strong>: Controls pitch (quantized to the selected key and scale - always sounds good!)</li>
               <li>⬅️➡️ <strong>Hand Position</strong>: Controls brightness/timbre (left = dark, right = bright)</li>
               <li>🎵 <strong>Automatic Bass</strong>: Each hand plays melody + bass harmony</li>
-              <li>⏱️ <strong>Rhythmic Quantization</strong>: Notes sync to musical timing (8th notes at 120 BPM)</li>
+              <li>🎼 <strong>Chord Mode</strong>: While pinching, extend middle/ring/pinky to pick the chord (none = triad, 1 = 7th, 2 = sus4, 3 = add9)</li>
+              <li>〰️ <strong>Theremin Mode</strong>: The hand glides freely between pitches instead of stepping through the scale - snap pulls it toward scale notes, roll your wrist (or let your hand tremble) for vibrato, and the wrist's left/right position sets the filter</li>
+              <li>🎶 <strong>Arpeggiator</strong>: Plays the note/chord as a pattern - open your hand (or move closer) for faster rates, hold a one-hand ✌️ for 1 second to change the pattern</li>
+              <li>🎛️ <strong>Effects</strong>: Add delay, chorus, phaser, distortion, bitcrusher, auto-filter or ping-pong delay per hand - each effect follows the hand dimension you pick (position, height, depth, openness or wrist roll) while pinching</li>
+              <li>🎚️ <strong>Modulation Matrix</strong>: Route any hand feature (position, speed, pinch, openness, finger curl, palm angle, distance between hands) to filter, resonance, reverb, velocity, volume, effects mix or the fluid - save your routings as presets</li>
+              <li>⏱️ <strong>Rhythmic Quantization</strong>: Notes sync to musical timing (8th notes, 120 BPM in 4/4 by default - change tempo, swing and meter below)</li>
+              <li>✊ <strong>Fist Pumps</strong>: Close one hand into a fist on the beat 3+ times to tap the tempo</li>
+              <li>🤘 <strong>Rock-On (left hand)</strong>: Hold for 1 second to start/stop the drums</li>
+              <li>🤘 <strong>Rock-On (right hand)</strong>: Hold for 1 second to switch drum pattern (rock, pop, hip hop, house, funk, latin, waltz/6/8)</li>
+              <li>🤘🤘 <strong>Both Hands Rock-On</strong>: Play a drum fill into a crash</li>
+              <li>☝️ <strong>Point Up (left hand)</strong>: Hold for 1 second to record a loop (then overdub new layers on top)</li>
+              <li>☝️ <strong>Point Up (right hand)</strong>: Hold for 1 second to undo the last loop layer</li>
+              <li>☝️☝️ <strong>Both Hands Point Up</strong>: Hold for 1 second to mute/unmute the loop, keep holding for 3 seconds to clear it</li>
               <li>👍 <strong>Thumbs Up</strong>: Cycle to next instrument (per hand)</li>
               <li>👎 <strong>Thumbs Down</strong>: Cycle to previous instrument (per hand)</li>
+              <li>🤙🤙 <strong>Both Hands Shaka</strong>: Hold for 1 second to switch to the next saved preset</li>
+              <li>🤙 <strong>Shaka (thumb + pinky)</strong>: Hold for 1 second to open that hand's instrument picker - move the hand to a category, pinch, move to an instrument, pinch (🎯 Pick opens it with the mouse, arrows + Enter work too)</li>
+              <li>🪄 <strong>Baton hand (conductor mode)</strong>: Beat time with up-down strokes - the tempo follows your beats, bigger strokes play the drums and song louder</li>
+              <li>🪄 <strong>Conducting hand (song mode)</strong>: Raise/lower for the conducted stem's volume, move left/right to open/close its filter</li>
               <li>🖐️🖐️ <strong>Both Hands Open</strong>: Hold for 5 seconds to STOP playing</li>
-              <li>✊✊ <strong>Both Fists</strong>: Hold for 2 seconds to record (dummy)</li>
+              <li>✊✊ <strong>Both Fists</strong>: Hold for 2 seconds to start recording, hold again to stop and download the take</li>
             </ul>
           ) : (
             <ul>
@@ -707,6 +1541,20 @@ function App() {
           )}
         </div>
       </main>
+
+      {picker && (
+        <InstrumentPicker
+          hand={picker.hand}
+          items={pickerItems}
+          category={picker.category}
+          highlighted={picker.highlighted}
+          currentIndex={instruments.indexOf(pickerInstrument)}
+          onHighlight={highlightPickerItem}
+          onActivate={activatePickerItem}
+          onBack={pickerBack}
+          onClose={closePicker}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,66 @@
+/**
+ * DrumControls Component
+ * Start/stop the beat layer, pick a genre and pattern, trigger a fill
+ * Only the patterns written for the current time signature are offered
+ */
+
+import React from 'react'
+import './DrumControls.css'
+import { fitsMeter } from '../utils/drumPatterns'
+
+const DrumControls = ({
+  drums,
+  genres,
+  timeSignature,
+  onToggle,
+  onPatternChange,
+  onFill
+}) => {
+  // Keep each pattern's index within its genre - that's what drums.patternIndex refers to
+  const patternsOf = (genre) => (genres[genre]?.patterns || [])
+    .map((pattern, index) => ({ pattern, index }))
+    .filter(({ pattern }) => fitsMeter(pattern, timeSignature))
+  const availableGenres = Object.entries(genres).filter(([id]) => patternsOf(id).length > 0)
+  const patterns = patternsOf(drums.genre)
+
+  return (
+    <div className="drum-controls">
+      <button
+        className={`drum-toggle ${drums.playing ? 'active' : ''}`}
+        onClick={onToggle}
+      >
+        🥁 Drums {drums.playing ? 'ON' : 'OFF'}
+      </button>
+
+      <label className="drum-field">
+        <span className="drum-label">Genre</span>
+        <select
+          value={drums.genre}
+          onChange={(e) => onPatternChange(e.target.value, patternsOf(e.target.value)[0].index)}
+        >
+          {availableGenres.map(([id, genre]) => (
+            <option key={id} value={id}>{genre.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="drum-field">
+        <span className="drum-label">Pattern</span>
+        <select
+          value={drums.patternIndex}
+          onChange={(e) => onPatternChange(drums.genre, parseInt(e.target.value))}
+        >
+          {patterns.map(({ pattern, index }) => (
+            <option key={pattern.name} value={index}>{pattern.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <button className="fill-button" onClick={onFill} disabled={!drums.playing}>
+        Fill
+      </button>
+    </div>
+  )
+}
+
+export default DrumControls
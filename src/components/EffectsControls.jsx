@@ -0,0 +1,103 @@
+/**
+ * EffectsControls Component
+ * Build each hand's effects chain and pick the hand dimension that drives each effect
+ */
+
+import React from 'react'
+import './EffectsControls.css'
+import { EFFECT_TYPES, HAND_DIMENSIONS } from '../utils/effects'
+
+const HANDS = [
+  { key: 'Left', label: '👈 Left Hand' },
+  { key: 'Right', label: '👉 Right Hand' }
+]
+
+const EffectsControls = ({
+  effects,
+  onAdd,
+  onRemove,
+  onMove,
+  onUpdate
+}) => {
+  return (
+    <div className="effects-controls">
+      {HANDS.map(({ key, label }) => {
+        const chain = effects[key]
+
+        return (
+          <div key={key} className="effects-hand">
+            <div className="effects-header">
+              <span className="effects-label">🎛️ {label}</span>
+              <select
+                value=""
+                onChange={(e) => e.target.value && onAdd(key, e.target.value)}
+              >
+                <option value="">+ Add effect</option>
+                {Object.entries(EFFECT_TYPES).map(([type, definition]) => (
+                  <option key={type} value={type}>{definition.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {chain.length === 0 ? (
+              <div className="effects-empty">Dry (filter → reverb)</div>
+            ) : (
+              <ul className="effects-chain">
+                {chain.map((slot, index) => {
+                  const definition = EFFECT_TYPES[slot.type]
+
+                  return (
+                    <li key={slot.id} className={`effects-slot ${slot.enabled ? '' : 'bypassed'}`}>
+                      <button
+                        className="effects-button"
+                        onClick={() => onUpdate(key, slot.id, { enabled: !slot.enabled })}
+                        title={slot.enabled ? 'Bypass' : 'Enable'}
+                      >
+                        {slot.enabled ? '🔊' : '🔇'}
+                      </button>
+                      <span className="effects-name">{definition.name}</span>
+                      <select
+                        value={slot.source}
+                        onChange={(e) => onUpdate(key, slot.id, { source: e.target.value })}
+                        title={`${definition.param.name} follows`}
+                      >
+                        {Object.entries(HAND_DIMENSIONS).map(([source, name]) => (
+                          <option key={source} value={source}>{definition.param.name}: {name}</option>
+                        ))}
+                      </select>
+                      <button
+                        className="effects-button"
+                        onClick={() => onMove(key, slot.id, -1)}
+                        disabled={index === 0}
+                        title="Move earlier"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        className="effects-button"
+                        onClick={() => onMove(key, slot.id, 1)}
+                        disabled={index === chain.length - 1}
+                        title="Move later"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        className="effects-button"
+                        onClick={() => onRemove(key, slot.id)}
+                        title="Remove"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default EffectsControls
@@ -0,0 +1,88 @@
+/**
+ * InstrumentPicker Component
+ * Radial menu for one hand: pick a category, then an instrument.
+ * Driven by the hand (position highlights, pinch confirms), the mouse or the keyboard
+ * (arrows move, Enter picks, Escape/Backspace goes back)
+ */
+
+import React, { useEffect } from 'react'
+import './InstrumentPicker.css'
+import { getWedgeAngle } from '../utils/instrumentPicker'
+
+const RING_RADIUS = 38 // % of the ring size
+
+const InstrumentPicker = ({
+  hand,
+  items,
+  category,
+  highlighted,
+  currentIndex,
+  onHighlight,
+  onActivate,
+  onBack,
+  onClose
+}) => {
+  // Keyboard navigation while the picker is open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+        onHighlight(highlighted < 0 ? 0 : (highlighted + 1) % items.length)
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+        onHighlight(highlighted < 0 ? items.length - 1 : (highlighted - 1 + items.length) % items.length)
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        if (items[highlighted]) onActivate(items[highlighted])
+      } else if (e.key === 'Escape' || e.key === 'Backspace') {
+        onBack()
+      } else {
+        return
+      }
+      e.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [items, highlighted, onHighlight, onActivate, onBack])
+
+  return (
+    <div className="instrument-picker-backdrop" onClick={onClose}>
+      <div className="instrument-picker" onClick={(e) => e.stopPropagation()}>
+        <div className="picker-title">
+          {hand === 'Left' ? '👈 Left' : '👉 Right'} hand instrument
+        </div>
+
+        <div className="picker-ring">
+          {items.map((item, index) => {
+            const angle = getWedgeAngle(index, items.length)
+            const isCurrent = item.type === 'instrument' && item.index === currentIndex
+            return (
+              <button
+                key={item.type === 'category' ? item.id : item.index}
+                className={`picker-item ${index === highlighted ? 'highlighted' : ''} ${isCurrent ? 'current' : ''}`}
+                style={{
+                  left: `${50 + RING_RADIUS * Math.sin(angle)}%`,
+                  top: `${50 - RING_RADIUS * Math.cos(angle)}%`
+                }}
+                onMouseEnter={() => onHighlight(index)}
+                onClick={() => onActivate(item)}
+              >
+                <span className="picker-icon">{item.icon}</span>
+                <span className="picker-name">{item.name}</span>
+                {item.type === 'category' && <span className="picker-count">{item.count}</span>}
+              </button>
+            )
+          })}
+
+          <button className="picker-hub" onClick={onBack} title={category ? 'Back to categories' : 'Close'}>
+            {category ? '↩' : '✕'}
+          </button>
+        </div>
+
+        <div className="picker-hint">
+          Move your hand to a wedge and pinch to pick · center pinch = {category ? 'back' : 'close'} · 🤙 to close
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InstrumentPicker
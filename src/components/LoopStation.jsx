@@ -0,0 +1,78 @@
+/**
+ * LoopStation Component
+ * Record, overdub, undo, mute and clear looped layers of the performance
+ */
+
+import React from 'react'
+import './LoopStation.css'
+
+const STATUS_LABELS = {
+  idle: 'Empty',
+  armed: 'Starting on the next bar…',
+  recording: 'Recording',
+  playing: 'Looping'
+}
+
+const LoopStation = ({
+  looper,
+  loopLengths,
+  onRecord,
+  onUndo,
+  onClear,
+  onToggleLayerMute,
+  onBarsChange
+}) => {
+  const { status, bars, isOverdub, layers } = looper
+  const isBusy = status === 'armed' || status === 'recording'
+
+  return (
+    <div className="loop-station">
+      <div className="loop-header">
+        <span className={`loop-status ${status}`}>🔁 {STATUS_LABELS[status]}</span>
+
+        <label className="loop-field">
+          <span className="loop-label">Length</span>
+          <select
+            value={bars}
+            disabled={layers.length > 0 || isBusy}
+            onChange={(e) => onBarsChange(parseInt(e.target.value))}
+          >
+            {loopLengths.map(length => (
+              <option key={length} value={length}>{length} {length === 1 ? 'bar' : 'bars'}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="loop-buttons">
+        <button className="loop-button record" onClick={onRecord} disabled={isBusy}>
+          {isOverdub ? '⏺ Overdub' : '⏺ Record'}
+        </button>
+        <button className="loop-button" onClick={onUndo} disabled={!isBusy && layers.length === 0}>
+          ↩️ Undo
+        </button>
+        <button className="loop-button" onClick={onClear} disabled={!isBusy && layers.length === 0}>
+          🗑️ Clear
+        </button>
+      </div>
+
+      {layers.length > 0 && (
+        <ul className="loop-layers">
+          {layers.map((layer, index) => (
+            <li key={layer.id}>
+              <button
+                className={`loop-layer ${layer.muted ? 'muted' : ''}`}
+                onClick={() => onToggleLayerMute(layer.id)}
+                title={layer.muted ? 'Unmute layer' : 'Mute layer'}
+              >
+                {layer.muted ? '🔇' : '🔊'} Layer {index + 1} · {layer.hands.join(' + ')} · {layer.noteCount} notes
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LoopStation
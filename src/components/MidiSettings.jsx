@@ -0,0 +1,106 @@
+/**
+ * MidiSettings Component
+ * MIDI output port, per-hand channels and CC numbers for brightness/reverb
+ */
+
+import React from 'react'
+import './MidiSettings.css'
+import { MIDI_CHANNELS } from '../utils/midi'
+
+const HANDS = ['Left', 'Right']
+
+const MidiSettings = ({
+  isSupported,
+  outputs,
+  settings,
+  error,
+  onChange
+}) => {
+  const parseCC = (value) => Math.max(0, Math.min(127, parseInt(value) || 0))
+
+  return (
+    <div className="midi-settings">
+      <label className="midi-enable">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          disabled={!isSupported}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        🎛️ MIDI Out
+      </label>
+
+      {!isSupported && (
+        <span className="midi-message">Web MIDI is not supported in this browser</span>
+      )}
+      {error && <span className="midi-message error">⚠️ {error}</span>}
+
+      {settings.enabled && (
+        <>
+          <label className="midi-field">
+            <span className="midi-label">Port</span>
+            {outputs.length > 0 ? (
+              <select
+                value={settings.outputId || ''}
+                onChange={(e) => onChange({ outputId: e.target.value })}
+              >
+                {outputs.map(output => (
+                  <option key={output.id} value={output.id}>{output.name}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="midi-message">No MIDI outputs found</span>
+            )}
+          </label>
+
+          {HANDS.map(hand => (
+            <label key={hand} className="midi-field">
+              <span className="midi-label">{hand} ch</span>
+              <select
+                value={settings.channels[hand]}
+                onChange={(e) => onChange({ channels: { [hand]: parseInt(e.target.value) } })}
+              >
+                {MIDI_CHANNELS.map(channel => (
+                  <option key={channel} value={channel}>{channel}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+
+          <label className="midi-field">
+            <span className="midi-label">Brightness CC</span>
+            <input
+              type="number"
+              min={0}
+              max={127}
+              value={settings.filterCC}
+              onChange={(e) => onChange({ filterCC: parseCC(e.target.value) })}
+            />
+          </label>
+
+          <label className="midi-field">
+            <span className="midi-label">Reverb CC</span>
+            <input
+              type="number"
+              min={0}
+              max={127}
+              value={settings.reverbCC}
+              onChange={(e) => onChange({ reverbCC: parseCC(e.target.value) })}
+            />
+          </label>
+
+          <label className="midi-enable">
+            <input
+              type="checkbox"
+              checked={settings.includeBass}
+              onChange={(e) => onChange({ includeBass: e.target.checked })}
+            />
+            Send bass notes
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MidiSettings
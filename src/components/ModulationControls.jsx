@@ -0,0 +1,169 @@
+/**
+ * ModulationControls Component
+ * Edit the modulation matrix routes and load/save named presets
+ */
+
+import React, { useState } from 'react'
+import './ModulationControls.css'
+import { MOD_SOURCES, MOD_TARGETS, MOD_CURVES, MOD_HANDS } from '../utils/modulation'
+
+const ModulationControls = ({
+  routes,
+  presetName,
+  builtInPresetNames,
+  customPresetNames,
+  onAddRoute,
+  onUpdateRoute,
+  onRemoveRoute,
+  onLoadPreset,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const [draftName, setDraftName] = useState('')
+  const isCustom = customPresetNames.includes(presetName)
+
+  const save = () => {
+    if (onSavePreset(draftName)) {
+      setDraftName('')
+    }
+  }
+
+  return (
+    <div className="modulation-controls">
+      <div className="modulation-header">
+        <label className="modulation-field">
+          <span className="modulation-label">🎚️ Modulation preset</span>
+          <select
+            value={presetName || ''}
+            onChange={(e) => onLoadPreset(e.target.value)}
+          >
+            {!presetName && <option value="">Unsaved</option>}
+            <optgroup label="Built-in">
+              {builtInPresetNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </optgroup>
+            {customPresetNames.length > 0 && (
+              <optgroup label="Saved">
+                {customPresetNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </label>
+
+        {isCustom && (
+          <button className="modulation-button" onClick={() => onDeletePreset(presetName)}>
+            🗑️ Delete
+          </button>
+        )}
+
+        <label className="modulation-field">
+          <span className="modulation-label">Save as</span>
+          <input
+            type="text"
+            value={draftName}
+            placeholder="Preset name"
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+          />
+        </label>
+        <button className="modulation-button" onClick={save} disabled={!draftName.trim()}>
+          💾 Save
+        </button>
+      </div>
+
+      <table className="modulation-routes">
+        <thead>
+          <tr>
+            <th>Source</th>
+            <th>Hand</th>
+            <th>Target</th>
+            <th>Min</th>
+            <th>Max</th>
+            <th>Curve</th>
+            <th>Smoothing</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {routes.map(route => {
+            const target = MOD_TARGETS[route.target]
+
+            return (
+              <tr key={route.id}>
+                <td>
+                  <select value={route.source} onChange={(e) => onUpdateRoute(route.id, { source: e.target.value })}>
+                    {Object.entries(MOD_SOURCES).map(([key, name]) => (
+                      <option key={key} value={key}>{name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select value={route.hand} onChange={(e) => onUpdateRoute(route.id, { hand: e.target.value })}>
+                    {Object.entries(MOD_HANDS).map(([key, name]) => (
+                      <option key={key} value={key}>{name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select value={route.target} onChange={(e) => onUpdateRoute(route.id, { target: e.target.value })}>
+                    {Object.entries(MOD_TARGETS).map(([key, definition]) => (
+                      <option key={key} value={key}>{definition.name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    value={route.min}
+                    step={target.step}
+                    onChange={(e) => onUpdateRoute(route.id, { min: parseFloat(e.target.value) || 0 })}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    value={route.max}
+                    step={target.step}
+                    onChange={(e) => onUpdateRoute(route.id, { max: parseFloat(e.target.value) || 0 })}
+                  />
+                  {target.unit && <span className="modulation-unit">{target.unit}</span>}
+                </td>
+                <td>
+                  <select value={route.curve} onChange={(e) => onUpdateRoute(route.id, { curve: e.target.value })}>
+                    {Object.entries(MOD_CURVES).map(([key, curve]) => (
+                      <option key={key} value={key}>{curve.name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="range"
+                    min="0"
+                    max="0.95"
+                    step="0.05"
+                    value={route.smoothing}
+                    onChange={(e) => onUpdateRoute(route.id, { smoothing: parseFloat(e.target.value) })}
+                  />
+                </td>
+                <td>
+                  <button className="modulation-button" onClick={() => onRemoveRoute(route.id)} title="Remove route">
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <button className="modulation-button add" onClick={() => onAddRoute()}>
+        + Add route
+      </button>
+    </div>
+  )
+}
+
+export default ModulationControls
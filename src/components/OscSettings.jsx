@@ -0,0 +1,70 @@
+/**
+ * OscSettings Component
+ * Turn the OSC bridge on/off and set the relay address
+ */
+
+import React, { useState, useEffect } from 'react'
+import './OscSettings.css'
+
+const STATUS_LABELS = {
+  disconnected: 'Not connected',
+  connecting: 'Connecting…',
+  connected: 'Connected'
+}
+
+const OscSettings = ({
+  enabled,
+  url,
+  status,
+  error,
+  onEnabledChange,
+  onUrlChange
+}) => {
+  // Edit the address locally, only reconnect once editing is done
+  const [draftUrl, setDraftUrl] = useState(url)
+
+  useEffect(() => {
+    setDraftUrl(url)
+  }, [url])
+
+  const commitUrl = () => {
+    const next = draftUrl.trim()
+    if (next && next !== url) {
+      onUrlChange(next)
+    }
+  }
+
+  return (
+    <div className="osc-settings">
+      <label className="osc-enable">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+        />
+        📡 OSC Out
+      </label>
+
+      <label className="osc-field">
+        <span className="osc-label">Relay</span>
+        <input
+          type="text"
+          value={draftUrl}
+          onChange={(e) => setDraftUrl(e.target.value)}
+          onBlur={commitUrl}
+          onKeyDown={(e) => e.key === 'Enter' && commitUrl()}
+          spellCheck={false}
+        />
+      </label>
+
+      {enabled && (
+        <span className={`osc-status ${status}`}>{STATUS_LABELS[status]}</span>
+      )}
+      {enabled && error && status !== 'connected' && (
+        <span className="osc-error">⚠️ {error}</span>
+      )}
+    </div>
+  )
+}
+
+export default OscSettings
@@ -0,0 +1,128 @@
+/**
+ * PresetControls Component
+ * Load/save/delete whole-session presets, import/export them as JSON files,
+ * and set the fluid look and emotion mapping they capture
+ */
+
+import React, { useState } from 'react'
+import './PresetControls.css'
+
+// Fluid settings exposed as sliders (all of FLUID_PRESET_KEYS can be set in a preset file)
+const FLUID_SLIDERS = [
+  { key: 'CURL', name: 'Swirl', min: 0, max: 60, step: 1 },
+  { key: 'SPLAT_RADIUS', name: 'Splat size', min: 0.05, max: 1, step: 0.01 },
+  { key: 'DENSITY_DISSIPATION', name: 'Fade', min: 0.1, max: 4, step: 0.1 },
+  { key: 'BLOOM_INTENSITY', name: 'Bloom', min: 0, max: 2, step: 0.05 }
+]
+
+const PresetControls = ({
+  presetNames,
+  activePreset,
+  fluidSettings,
+  emotionMapping,
+  onLoad,
+  onSave,
+  onDelete,
+  onExport,
+  onImport,
+  onFluidChange,
+  onEmotionMappingChange
+}) => {
+  const [draftName, setDraftName] = useState('')
+  const [message, setMessage] = useState(null)
+
+  const save = () => {
+    if (onSave(draftName)) {
+      setDraftName('')
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const names = await onImport(file)
+      setMessage({ text: `✅ Imported ${names.join(', ')}` })
+    } catch (err) {
+      setMessage({ text: `⚠️ ${err.message}`, error: true })
+    }
+  }
+
+  return (
+    <div className="preset-controls">
+      <div className="preset-row">
+        <label className="preset-field">
+          <span className="preset-label">💾 Session preset</span>
+          <select
+            value={activePreset || ''}
+            onChange={(e) => onLoad(e.target.value)}
+          >
+            {!activePreset && <option value="">{presetNames.length > 0 ? 'Unsaved' : 'No presets yet'}</option>}
+            {presetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+
+        {activePreset && (
+          <>
+            <button className="preset-button" onClick={() => onExport(activePreset)}>
+              ⬇️ Export
+            </button>
+            <button className="preset-button" onClick={() => onDelete(activePreset)}>
+              🗑️ Delete
+            </button>
+          </>
+        )}
+
+        <label className="preset-field">
+          <span className="preset-label">Save as</span>
+          <input
+            type="text"
+            value={draftName}
+            placeholder="Preset name"
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+          />
+        </label>
+        <button className="preset-button" onClick={save} disabled={!draftName.trim()}>
+          💾 Save
+        </button>
+
+        <label className="preset-button preset-import">
+          ⬆️ Import
+          <input type="file" accept=".json,application/json" onChange={handleImport} />
+        </label>
+      </div>
+      {message && <span className={`preset-message ${message.error ? 'error' : ''}`}>{message.text}</span>}
+
+      <div className="preset-row">
+        {FLUID_SLIDERS.map(slider => (
+          <label key={slider.key} className="preset-field">
+            <span className="preset-label">
+              {slider.name}: {fluidSettings[slider.key]}
+            </span>
+            <input
+              type="range"
+              min={slider.min}
+              max={slider.max}
+              step={slider.step}
+              value={fluidSettings[slider.key]}
+              onChange={(e) => onFluidChange({ [slider.key]: parseFloat(e.target.value) })}
+            />
+          </label>
+        ))}
+        <button
+          className={`preset-button ${emotionMapping ? 'active' : ''}`}
+          onClick={() => onEmotionMappingChange(!emotionMapping)}
+          title="Let the detected emotion steer the fluid colors and motion"
+        >
+          😊 Emotion mapping {emotionMapping ? 'On' : 'Off'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PresetControls
@@ -0,0 +1,110 @@
+/**
+ * SamplePacks Component
+ * Drop a folder of note-named samples to play it offline, and see which sampled instruments are loading
+ */
+
+import React, { useState } from 'react'
+import './SamplePacks.css'
+import { readDroppedFiles } from '../utils/instrumentRegistry'
+
+const SamplePacks = ({
+  instruments,
+  status,
+  onLoadPack,
+  onRemove
+}) => {
+  const [isDragging, setIsDragging] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const samplers = instruments.filter(instrument => instrument.type === 'sampler')
+
+  const importFiles = async (name, files) => {
+    setIsImporting(true)
+    setError(null)
+    try {
+      await onLoadPack(name || 'Sample Pack', files)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    try {
+      const { name, files } = await readDroppedFiles(e.dataTransfer)
+      importFiles(name, files)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Folder picker fallback (webkitdirectory) - the folder name is the first path segment
+  const handleSelect = (e) => {
+    const files = [...e.target.files]
+    const name = files[0]?.webkitRelativePath?.split('/')[0]
+    e.target.value = ''
+    if (files.length > 0) importFiles(name, files)
+  }
+
+  return (
+    <div className="sample-packs">
+      <div
+        className={`sample-drop-zone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setIsDragging(true)
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        {isImporting
+          ? '⏳ Importing samples…'
+          : '📂 Drop a folder of note-named samples (C4.wav, Cs4.wav, Db4.wav…) to add an instrument'}
+        <label className="sample-browse">
+          or choose a folder
+          <input type="file" webkitdirectory="" multiple onChange={handleSelect} />
+        </label>
+      </div>
+      {error && <span className="sample-error">⚠️ {error}</span>}
+
+      <ul className="sample-list">
+        {samplers.map(instrument => {
+          const loadStatus = status[instrument.id]
+          const progress = loadStatus && loadStatus.total
+            ? Math.round((loadStatus.loaded / loadStatus.total) * 100)
+            : 0
+
+          return (
+            <li key={instrument.id} className={`sample-item ${loadStatus?.state || 'idle'}`}>
+              <span className="sample-name">
+                {instrument.source === 'local' ? '💾' : '🌐'} {instrument.name}
+              </span>
+              <span className="sample-state">
+                {!loadStatus && 'Loads when played'}
+                {loadStatus?.state === 'loading' && `Loading ${progress}%`}
+                {loadStatus?.state === 'loaded' && (loadStatus.error ? `⚠️ ${loadStatus.error}` : '✅ Ready')}
+                {loadStatus?.state === 'error' && `⚠️ ${loadStatus.error}`}
+              </span>
+              {loadStatus?.state === 'loading' && (
+                <span className="sample-progress">
+                  <span style={{ width: `${progress}%` }} />
+                </span>
+              )}
+              {instrument.source === 'local' && (
+                <button className="sample-remove" onClick={() => onRemove(instrument.id)} title="Remove pack">
+                  ✕
+                </button>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default SamplePacks
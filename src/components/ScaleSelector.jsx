@@ -0,0 +1,84 @@
+/**
+ * ScaleSelector Component
+ * Lets the performer pick the key, scale and octave range used for note quantization
+ */
+
+import React from 'react'
+import './ScaleSelector.css'
+import { NOTE_NAMES, SCALES } from '../utils/musicTheory'
+
+const OCTAVES = [1, 2, 3, 4, 5, 6]
+
+const ScaleSelector = ({ settings, onChange, disabled = false }) => {
+  const update = (changes) => {
+    const next = { ...settings, ...changes }
+
+    // Keep the range valid (high octave never below low octave)
+    if (next.highOctave <= next.lowOctave) {
+      if ('lowOctave' in changes) {
+        next.highOctave = next.lowOctave + 1
+      } else {
+        next.lowOctave = next.highOctave - 1
+      }
+    }
+
+    onChange(next)
+  }
+
+  return (
+    <div className="scale-selector">
+      <label className="scale-field">
+        <span className="scale-label">Key</span>
+        <select
+          value={settings.root}
+          disabled={disabled}
+          onChange={(e) => update({ root: e.target.value })}
+        >
+          {NOTE_NAMES.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="scale-field">
+        <span className="scale-label">Scale</span>
+        <select
+          value={settings.scale}
+          disabled={disabled}
+          onChange={(e) => update({ scale: e.target.value })}
+        >
+          {Object.entries(SCALES).map(([id, scale]) => (
+            <option key={id} value={id}>{scale.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="scale-field">
+        <span className="scale-label">Range</span>
+        <span className="scale-range">
+          <select
+            value={settings.lowOctave}
+            disabled={disabled}
+            onChange={(e) => update({ lowOctave: parseInt(e.target.value) })}
+          >
+            {OCTAVES.slice(0, -1).map(octave => (
+              <option key={octave} value={octave}>{settings.root}{octave}</option>
+            ))}
+          </select>
+          <span>to</span>
+          <select
+            value={settings.highOctave}
+            disabled={disabled}
+            onChange={(e) => update({ highOctave: parseInt(e.target.value) })}
+          >
+            {OCTAVES.slice(1).map(octave => (
+              <option key={octave} value={octave}>{settings.root}{octave}</option>
+            ))}
+          </select>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+export default ScaleSelector
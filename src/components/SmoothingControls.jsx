@@ -0,0 +1,62 @@
+/**
+ * SmoothingControls Component
+ * Landmark smoothing preset, cutoff and note hysteresis (see landmarkFilter)
+ */
+
+import React from 'react'
+import './SmoothingControls.css'
+import { SMOOTHING_PRESETS } from '../utils/landmarkFilter'
+
+const SmoothingControls = ({ settings, onChange }) => {
+  // Fine-tuning a preset turns it into a custom setting
+  const tune = (changes) => onChange({ ...settings, ...changes, preset: 'custom' })
+
+  return (
+    <div className="smoothing-controls">
+      <label className="smoothing-field">
+        <span className="smoothing-label">〰️ Smoothing</span>
+        <select
+          value={settings.preset}
+          onChange={(e) => onChange({ preset: e.target.value, ...SMOOTHING_PRESETS[e.target.value] })}
+          title="Filters tracking jitter so held notes don't flicker between neighbouring steps"
+        >
+          {Object.entries(SMOOTHING_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.name}</option>
+          ))}
+          {settings.preset === 'custom' && <option value="custom">Custom</option>}
+        </select>
+      </label>
+
+      {settings.enabled && (
+        <>
+          <label className="smoothing-field">
+            <span className="smoothing-label">Cutoff: {settings.minCutoff.toFixed(1)} Hz</span>
+            <input
+              type="range"
+              min={0.1}
+              max={5}
+              step={0.1}
+              value={settings.minCutoff}
+              onChange={(e) => tune({ minCutoff: parseFloat(e.target.value) })}
+              title="Lower = steadier hands when still, but more lag"
+            />
+          </label>
+
+          <label className="smoothing-field">
+            <span className="smoothing-label">Note hold: {Math.round(settings.hysteresis * 100)}%</span>
+            <input
+              type="range"
+              min={0}
+              max={50}
+              value={Math.round(settings.hysteresis * 100)}
+              onChange={(e) => tune({ hysteresis: parseInt(e.target.value) / 100 })}
+              title="How far past a note boundary the hand has to move before the note changes (share of a note step)"
+            />
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SmoothingControls
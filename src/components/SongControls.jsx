@@ -0,0 +1,132 @@
+/**
+ * SongControls Component
+ * Drop a song folder (stems + optional song.json) to play along with it,
+ * mute stems and choose which hand conducts which stem
+ */
+
+import React, { useState } from 'react'
+import './SongControls.css'
+import { readDroppedFiles } from '../utils/instrumentRegistry'
+
+const SongControls = ({
+  song,
+  loading,
+  conductor,
+  onLoad,
+  onPlay,
+  onMuteStem,
+  onConductorChange
+}) => {
+  const [isDragging, setIsDragging] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadFiles = async (name, files) => {
+    setError(null)
+    try {
+      await onLoad(name, files)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    try {
+      const { name, files } = await readDroppedFiles(e.dataTransfer)
+      loadFiles(name, files)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Folder picker fallback (webkitdirectory) - the folder name is the first path segment
+  const handleSelect = (e) => {
+    const files = [...e.target.files]
+    const name = files[0]?.webkitRelativePath?.split('/')[0]
+    e.target.value = ''
+    if (files.length > 0) loadFiles(name, files)
+  }
+
+  const details = song
+    ? [song.bpm && `${song.bpm} BPM`, song.key, song.timeSignature].filter(Boolean).join(' · ')
+    : ''
+
+  return (
+    <div className="song-controls">
+      <div
+        className={`song-drop-zone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setIsDragging(true)
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        {loading
+          ? `⏳ Decoding stems ${loading.loaded}/${loading.total}…`
+          : '🎵 Drop a song folder (backing track + stems, optional song.json) to play along'}
+        <label className="song-browse">
+          or choose a folder
+          <input type="file" webkitdirectory="" multiple onChange={handleSelect} />
+        </label>
+      </div>
+      {error && <span className="song-error">⚠️ {error}</span>}
+
+      {song && (
+        <>
+          <div className="song-row">
+            <button
+              className={`song-button ${song.isPlaying ? 'active' : ''}`}
+              onClick={() => onPlay(!song.isPlaying)}
+            >
+              {song.isPlaying ? '⏹️ Stop' : '▶️ Play'}
+            </button>
+            <span className="song-title">{song.title}</span>
+            {details && <span className="song-details">{details}</span>}
+          </div>
+
+          <div className="song-row">
+            <label className="song-field">
+              <span className="song-label">🪄 Conducting hand</span>
+              <select
+                value={conductor.hand || ''}
+                onChange={(e) => onConductorChange({ hand: e.target.value || null })}
+              >
+                <option value="">None (both hands play)</option>
+                <option value="Left">Left</option>
+                <option value="Right">Right</option>
+              </select>
+            </label>
+          </div>
+
+          <ul className="song-stems">
+            {song.stems.map(stem => (
+              <li key={stem.id} className={`song-stem ${stem.muted ? 'muted' : ''}`}>
+                <button
+                  className={`song-button ${stem.muted ? '' : 'active'}`}
+                  onClick={() => onMuteStem(stem.id, !stem.muted)}
+                  title={stem.muted ? 'Unmute' : 'Mute'}
+                >
+                  {stem.muted ? '🔇' : '🔊'}
+                </button>
+                <span className="song-stem-name">{stem.name}</span>
+                <label className="song-conduct">
+                  <input
+                    type="radio"
+                    name="song-conducted-stem"
+                    checked={conductor.stem === stem.id}
+                    onChange={() => onConductorChange({ stem: stem.id })}
+                  />
+                  Conducted
+                </label>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SongControls
@@ -0,0 +1,86 @@
+/**
+ * TransportControls Component
+ * Tempo (with tap tempo and conductor mode), swing and time signature for the synthesizer transport
+ */
+
+import React from 'react'
+import './TransportControls.css'
+import { TIME_SIGNATURES, MIN_BPM, MAX_BPM } from '../utils/tempo'
+
+const TransportControls = ({
+  tempo,
+  swing,
+  timeSignature,
+  onTempoChange,
+  onTap,
+  onSwingChange,
+  onTimeSignatureChange,
+  conductor,
+  onConductorHandChange
+}) => {
+  return (
+    <div className="transport-controls">
+      <label className="transport-field">
+        <span className="transport-label">Tempo: {tempo} BPM</span>
+        <span className="transport-row">
+          <input
+            type="range"
+            min={MIN_BPM}
+            max={MAX_BPM}
+            value={tempo}
+            onChange={(e) => onTempoChange(parseInt(e.target.value))}
+          />
+          <button className="tap-button" onClick={onTap} title="Tap repeatedly to set the tempo">
+            Tap
+          </button>
+        </span>
+      </label>
+
+      <label className="transport-field">
+        <span className="transport-label">Swing: {Math.round(swing * 100)}%</span>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(swing * 100)}
+          onChange={(e) => onSwingChange(parseInt(e.target.value) / 100)}
+        />
+      </label>
+
+      <label className="transport-field">
+        <span className="transport-label">Meter</span>
+        <select
+          value={timeSignature}
+          onChange={(e) => onTimeSignatureChange(e.target.value)}
+        >
+          {Object.entries(TIME_SIGNATURES).map(([id, meter]) => (
+            <option key={id} value={id}>{meter.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="transport-field">
+        <span className="transport-label">
+          🪄 Conductor
+          {conductor.hand && (
+            <span key={conductor.beats} className="conductor-beat">
+              {conductor.bpm ? ` ${conductor.bpm} BPM` : ' keep beating…'}
+              {conductor.dynamics && ` · ${conductor.dynamics.mark}`}
+            </span>
+          )}
+        </span>
+        <select
+          value={conductor.hand || ''}
+          onChange={(e) => onConductorHandChange(e.target.value || null)}
+          title="Beat time with one hand to lead the tempo and dynamics of the drums and song"
+        >
+          <option value="">Off</option>
+          <option value="Left">Left hand baton</option>
+          <option value="Right">Right hand baton</option>
+        </select>
+      </label>
+    </div>
+  )
+}
+
+export default TransportControls
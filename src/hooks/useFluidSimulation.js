@@ -25,6 +25,32 @@ import {
 import * as shaders from '../utils/fluidShaders'
 import { EmotionTransitioner } from '../utils/emotionFluidMapping'
 
+// Default configuration (presets override the look, see FLUID_PRESET_KEYS)
+export const DEFAULT_FLUID_CONFIG = {
+  SIM_RESOLUTION: 128,
+  DYE_RESOLUTION: isMobile() ? 512 : 1024,
+  DENSITY_DISSIPATION: 1,
+  VELOCITY_DISSIPATION: 0.2,
+  PRESSURE: 0.8,
+  PRESSURE_ITERATIONS: 20,
+  CURL: 30,
+  SPLAT_RADIUS: 0.25,
+  SPLAT_FORCE: 6000,
+  SHADING: true,
+  COLORFUL: true,
+  BLOOM: true,
+  BLOOM_ITERATIONS: 8,
+  BLOOM_RESOLUTION: 256,
+  BLOOM_INTENSITY: 0.8,
+  BLOOM_THRESHOLD: 0.6,
+  BLOOM_SOFT_KNEE: 0.7,
+  SUNRAYS: true,
+  SUNRAYS_RESOLUTION: 196,
+  SUNRAYS_WEIGHT: 1.0,
+  BACK_COLOR: { r: 0, g: 0, b: 0 },
+  TRANSPARENT: false
+}
+
 export const useFluidSimulation = (canvasRef, config = {}) => {
   const glRef = useRef(null)
   const extRef = useRef(null)
@@ -34,39 +60,15 @@ export const useFluidSimulation = (canvasRef, config = {}) => {
   const lastUpdateTimeRef = useRef(Date.now())
   const emotionTransitionerRef = useRef(null)
   const renderCountRef = useRef(0)
-  
-  // Default configuration
-  const defaultConfig = {
-    SIM_RESOLUTION: 128,
-    DYE_RESOLUTION: isMobile() ? 512 : 1024,
-    DENSITY_DISSIPATION: 1,
-    VELOCITY_DISSIPATION: 0.2,
-    PRESSURE: 0.8,
-    PRESSURE_ITERATIONS: 20,
-    CURL: 30,
-    SPLAT_RADIUS: 0.25,
-    SPLAT_FORCE: 6000,
-    SHADING: true,
-    COLORFUL: true,
-    BLOOM: true,
-    BLOOM_ITERATIONS: 8,
-    BLOOM_RESOLUTION: 256,
-    BLOOM_INTENSITY: 0.8,
-    BLOOM_THRESHOLD: 0.6,
-    BLOOM_SOFT_KNEE: 0.7,
-    SUNRAYS: true,
-    SUNRAYS_RESOLUTION: 196,
-    SUNRAYS_WEIGHT: 1.0,
-    BACK_COLOR: { r: 0, g: 0, b: 0 },
-    TRANSPARENT: false
-  }
+  // Listeners called right after each rendered frame (session export compositing)
+  const frameListenersRef = useRef(new Set())
 
-  const configRef = useRef({ ...defaultConfig, ...config })
+  const configRef = useRef({ ...DEFAULT_FLUID_CONFIG, ...config })
   const isReadyRef = useRef(config.isReady || false)
 
   // Update config when it changes
   useEffect(() => {
-    configRef.current = { ...defaultConfig, ...config }
+    configRef.current = { ...DEFAULT_FLUID_CONFIG, ...config }
     isReadyRef.current = config.isReady || false
   }, [config])
 
@@ -513,19 +515,23 @@ export const useFluidSimulation = (canvasRef, config = {}) => {
       initFramebuffers()
     }
 
-    // Update emotion config if transitioner exists
-    if (emotionTransitionerRef.current) {
+    // Update emotion config if transitioner exists (and emotion mapping isn't switched off)
+    if (emotionTransitionerRef.current && configRef.current.emotionMapping !== false) {
       const emotionConfig = emotionTransitionerRef.current.update()
       // Apply emotion config to simulation
       Object.assign(configRef.current, emotionConfig)
-      updateKeywords()
     }
+    updateKeywords()
 
     step(dt)
     render()
 
+    // The drawing buffer is only valid until the frame is presented, so
+    // anything that copies the canvas has to do it right here
+    frameListenersRef.current.forEach(listener => listener(canvasRef.current))
+
     animationFrameRef.current = requestAnimationFrame(animate)
-  }, [resizeCanvas, initFramebuffers, step, render, updateKeywords])
+  }, [canvasRef, resizeCanvas, initFramebuffers, step, render, updateKeywords])
 
   // Create splat
   const createSplat = useCallback((x, y, dx, dy, color) => {
@@ -569,10 +575,30 @@ export const useFluidSimulation = (canvasRef, config = {}) => {
     }
   }, [])
 
+  // Subscribe to rendered frames, returns an unsubscribe function
+  const subscribeFrame = useCallback((listener) => {
+    frameListenersRef.current.add(listener)
+    return () => {
+      frameListenersRef.current.delete(listener)
+    }
+  }, [])
+
+  // Capture the fluid canvas as a video MediaStream
+  const captureStream = useCallback((fps = 30) => {
+    const canvas = canvasRef.current
+    if (!canvas || !canvas.captureStream) {
+      console.log('⚠️ Cannot capture fluid canvas - canvas not available')
+      return null
+    }
+    return canvas.captureStream(fps)
+  }, [canvasRef])
+
   return {
     createSplat,
     updateConfig,
     setEmotion,
+    subscribeFrame,
+    captureStream,
     config: configRef.current
   }
 }
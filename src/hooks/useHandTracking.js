@@ -1,18 +1,34 @@
 import { useEffect, useRef, useState } from 'react'
-import { HandLandmarker, GestureRecognizer, FilesetResolver } from '@mediapipe/tasks-vision'
+import { MEDIAPIPE_SOURCE } from '../utils/mediapipeAssets'
+import { WorkerHandTracker, MainThreadHandTracker, canTrackInWorker } from '../utils/handTrackers'
+import { TrackingScheduler } from '../utils/trackingScheduler'
+import { HandFrameStore, UI_UPDATE_INTERVAL_MS } from '../utils/handFrameStore'
+
+const STATS_INTERVAL_MS = 1000 // How often the tracking timings are published
 
 export const useHandTracking = (videoRef, canvasRef) => {
-  const [handData, setHandData] = useState(null)
+  const [handData, setHandData] = useState(null) // Throttled copy for the UI - per-frame consumers subscribe to handFrames
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
-  const handLandmarkerRef = useRef(null)
-  const gestureRecognizerRef = useRef(null)
+  const [errorType, setErrorType] = useState(null) // 'camera' | 'assets'
+  const [timings, setTimings] = useState(null) // TrackingScheduler.getStats() + { where }
+  const trackerRef = useRef(null) // WorkerHandTracker or MainThreadHandTracker
+  const busyRef = useRef(false) // A frame is being tracked
   const animationFrameRef = useRef(null)
+  const frameCallbackRef = useRef(null) // requestVideoFrameCallback handle
+  const trackedVideoRef = useRef(null) // Video element the tracking loop follows
+  const restartTrackingRef = useRef(null)
+  const schedulerRef = useRef(new TrackingScheduler())
+  const lastStatsRef = useRef(0)
+  const handFramesRef = useRef(new HandFrameStore())
+  const lastHandDataRef = useRef(0) // When handData state was last updated
   const streamRef = useRef(null) // Store stream to persist across renders
 
   useEffect(() => {
+    let cancelled = false
 
     const initializeHandTracking = async () => {
+      let stage = 'camera'
       try {
         setIsLoading(true)
 
@@ -31,32 +47,14 @@ export const useHandTracking = (videoRef, canvasRef) => {
           console.log('📹 Video stream attached and playing')
         }
 
-        // Now initialize MediaPipe in parallel
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm'
-        )
-
-        handLandmarkerRef.current = await HandLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-            delegate: 'GPU'
-          },
-          runningMode: 'VIDEO',
-          numHands: 2,
-          minHandDetectionConfidence: 0.5,
-          minHandPresenceConfidence: 0.5,
-          minTrackingConfidence: 0.5
-        })
-
-        // Also create gesture recognizer
-        gestureRecognizerRef.current = await GestureRecognizer.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task',
-            delegate: 'GPU'
-          },
-          runningMode: 'VIDEO',
-          numHands: 2
-        })
+        // Now load MediaPipe - in a worker where possible, so inference never blocks the main thread
+        stage = 'assets'
+        trackerRef.current = await createTracker()
+        if (cancelled) {
+          trackerRef.current.close()
+          trackerRef.current = null
+          return
+        }
 
         // Wait for video to be ready, then start tracking
         if (videoRef.current) {
@@ -71,92 +69,162 @@ export const useHandTracking = (videoRef, canvasRef) => {
       } catch (err) {
         console.error('Error initializing hand tracking:', err)
         setError(err.message || 'Failed to initialize hand tracking')
+        setErrorType(stage)
         setIsLoading(false)
       }
     }
 
+    // Worker first, the main thread if the worker can't run MediaPipe here
+    const createTracker = async () => {
+      if (canTrackInWorker()) {
+        const worker = new WorkerHandTracker()
+        try {
+          await worker.init(MEDIAPIPE_SOURCE)
+          console.log('🖐️ Hand tracking runs in a worker')
+          return worker
+        } catch (err) {
+          worker.close()
+          console.warn('⚠️ Hand tracking worker failed, tracking on the main thread instead:', err.message)
+        }
+      }
+      const mainThread = new MainThreadHandTracker()
+      await mainThread.init(MEDIAPIPE_SOURCE)
+      return mainThread
+    }
+
+    const stopTrackingLoop = () => {
+      if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current)
+        animationFrameRef.current = null
+      }
+      if (frameCallbackRef.current && trackedVideoRef.current?.cancelVideoFrameCallback) {
+        trackedVideoRef.current.cancelVideoFrameCallback(frameCallbackRef.current)
+      }
+      frameCallbackRef.current = null
+      trackedVideoRef.current = null
+    }
+
+    // Landmarks overlay on the webcam
+    const drawLandmarks = (video, landmarksList) => {
+      const canvas = canvasRef.current
+      const ctx = canvas.getContext('2d')
+      // Resizing clears and reallocates the canvas, so only do it when the video size changes
+      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+        canvas.width = video.videoWidth
+        canvas.height = video.videoHeight
+      }
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.fillStyle = '#4CC2B4'
+      ctx.strokeStyle = '#4CC2B4'
+      ctx.lineWidth = 2
+
+      landmarksList.forEach((landmarks) => {
+        landmarks.forEach((landmark, index) => {
+          const x = landmark.x * canvas.width
+          const y = landmark.y * canvas.height
+
+          // Draw point
+          ctx.beginPath()
+          ctx.arc(x, y, 5, 0, 2 * Math.PI)
+          ctx.fill()
+
+          // Draw connections
+          if (index > 0) {
+            ctx.beginPath()
+            const prevLandmark = landmarks[index - 1]
+            ctx.moveTo(prevLandmark.x * canvas.width, prevLandmark.y * canvas.height)
+            ctx.lineTo(x, y)
+            ctx.stroke()
+          }
+        })
+      })
+    }
+
     const startTracking = () => {
-      if (!videoRef.current || !handLandmarkerRef.current || !gestureRecognizerRef.current) return
-
-      console.log('📹 Starting hand tracking, video ready state:', videoRef.current.readyState)
-      console.log('📹 Video dimensions:', videoRef.current.videoWidth, 'x', videoRef.current.videoHeight)
-
-      const detectHands = async () => {
-        if (videoRef.current && videoRef.current.readyState >= 2) {
-          const startTimeMs = performance.now()
-          
-          // Get landmarks from HandLandmarker
-          const landmarkResults = handLandmarkerRef.current.detectForVideo(
-            videoRef.current,
-            startTimeMs
-          )
-
-          // Get gestures from GestureRecognizer
-          const gestureResults = gestureRecognizerRef.current.recognizeForVideo(
-            videoRef.current,
-            startTimeMs
-          )
-
-          // Combine results
-          const combinedResults = {
-            landmarks: landmarkResults.landmarks,
-            worldLandmarks: landmarkResults.worldLandmarks,
-            handedness: landmarkResults.handednesses,
-            gestures: gestureResults.gestures,
-            gestureHandedness: gestureResults.handednesses
+      const video = videoRef.current
+      const tracker = trackerRef.current
+      if (!video || !tracker) return
+
+      console.log('📹 Starting hand tracking, video ready state:', video.readyState)
+      console.log('📹 Video dimensions:', video.videoWidth, 'x', video.videoHeight)
+
+      // In a worker inference may take the whole frame time, on the main thread only half of it
+      const scheduler = schedulerRef.current
+      scheduler.budget = tracker instanceof WorkerHandTracker ? 1 : 0.5
+      scheduler.reset()
+      stopTrackingLoop()
+      trackedVideoRef.current = video
+      busyRef.current = false
+
+      // Follow the camera's frames where the browser can, not the display refresh rate
+      const scheduleNext = () => {
+        if (video.requestVideoFrameCallback) {
+          frameCallbackRef.current = video.requestVideoFrameCallback(detectHands)
+        } else {
+          animationFrameRef.current = requestAnimationFrame(detectHands)
+        }
+      }
+
+      // Results arrive after the frame was handed over - the loop keeps following the camera meanwhile
+      const trackFrame = async (now) => {
+        busyRef.current = true
+        try {
+          const { handData: results, inferenceMs, captureMs } = await tracker.detect(video, now)
+          if (trackedVideoRef.current !== video) return
+          scheduler.measure('capture', captureMs)
+          scheduler.measure('inference', inferenceMs)
+
+          const drawStart = performance.now()
+          if (canvasRef.current && results.landmarks) {
+            drawLandmarks(video, results.landmarks)
           }
+          scheduler.measure('draw', performance.now() - drawStart)
 
-          // Draw on canvas
-          if (canvasRef.current && combinedResults.landmarks) {
-            const canvas = canvasRef.current
-            const ctx = canvas.getContext('2d')
-            canvas.width = videoRef.current.videoWidth
-            canvas.height = videoRef.current.videoHeight
-
-            ctx.clearRect(0, 0, canvas.width, canvas.height)
-
-            // Draw landmarks
-            combinedResults.landmarks.forEach((landmarks) => {
-              landmarks.forEach((landmark, index) => {
-                const x = landmark.x * canvas.width
-                const y = landmark.y * canvas.height
-
-                // Draw point
-                ctx.fillStyle = '#4CC2B4'
-                ctx.beginPath()
-                ctx.arc(x, y, 5, 0, 2 * Math.PI)
-                ctx.fill()
-
-                // Draw connections
-                if (index > 0) {
-                  ctx.strokeStyle = '#4CC2B4'
-                  ctx.lineWidth = 2
-                  ctx.beginPath()
-                  const prevLandmark = landmarks[index - 1]
-                  ctx.moveTo(prevLandmark.x * canvas.width, prevLandmark.y * canvas.height)
-                  ctx.lineTo(x, y)
-                  ctx.stroke()
-                }
-              })
-            })
+          // Subscribers (gesture processing) run on every frame, React only re-renders now and then
+          handFramesRef.current.publish(results)
+          const publishStart = performance.now()
+          if (publishStart - lastHandDataRef.current >= UI_UPDATE_INTERVAL_MS) {
+            lastHandDataRef.current = publishStart
+            setHandData(results)
           }
+          scheduler.measure('publish', performance.now() - publishStart)
+        } catch (err) {
+          // Frames still in flight fail when the tracker is closed - nothing to report then
+          if (trackerRef.current === tracker) console.error('Error tracking frame:', err)
+        } finally {
+          busyRef.current = false
+        }
+      }
 
-          setHandData(combinedResults)
+      const detectHands = () => {
+        // The loop moved to a new video element
+        if (trackedVideoRef.current !== video) return
+
+        const now = performance.now()
+        // Frames that arrive while the previous one is still tracked are skipped
+        if (video.readyState >= 2 && scheduler.shouldRun(now, video.currentTime, busyRef.current)) {
+          trackFrame(now)
+        }
+
+        if (now - lastStatsRef.current >= STATS_INTERVAL_MS) {
+          lastStatsRef.current = now
+          setTimings({ ...scheduler.getStats(now), where: tracker.where })
         }
 
-        animationFrameRef.current = requestAnimationFrame(detectHands)
+        scheduleNext()
       }
 
-      detectHands()
+      scheduleNext()
     }
+    restartTrackingRef.current = startTracking
 
     initializeHandTracking()
 
     return () => {
-      // Stop animation frame
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current)
-      }
+      // Stop the tracking loop
+      restartTrackingRef.current = null
+      stopTrackingLoop()
       
       // Stop webcam stream
       if (streamRef.current) {
@@ -168,17 +236,12 @@ export const useHandTracking = (videoRef, canvasRef) => {
         videoRef.current.removeEventListener('loadeddata', startTracking)
         videoRef.current.srcObject = null
       }
-      
-      // Close MediaPipe hand landmarker
-      if (handLandmarkerRef.current) {
-        handLandmarkerRef.current.close()
-        handLandmarkerRef.current = null
-      }
 
-      // Close MediaPipe gesture recognizer
-      if (gestureRecognizerRef.current) {
-        gestureRecognizerRef.current.close()
-        gestureRecognizerRef.current = null
+      // Close the tracker (terminates the worker)
+      cancelled = true
+      if (trackerRef.current) {
+        trackerRef.current.close()
+        trackerRef.current = null
       }
     }
   }, [videoRef, canvasRef])
@@ -191,9 +254,16 @@ export const useHandTracking = (videoRef, canvasRef) => {
         videoRef.current.srcObject = streamRef.current
         videoRef.current.play().catch(err => console.error('Error playing video after re-attach:', err))
       }
+      // Frame callbacks belong to the old element - follow the new one
+      if (trackedVideoRef.current && trackedVideoRef.current !== videoRef.current && restartTrackingRef.current) {
+        restartTrackingRef.current()
+      }
     }
   }) // Run on every render to catch video element changes
 
-  return { handData, isLoading, error }
+  // Stages measured outside the tracking loop (e.g. gesture processing in the app)
+  const measureStage = (stage, ms) => schedulerRef.current.measure(stage, ms)
+
+  return { handData, handFrames: handFramesRef.current, isLoading, error, errorType, timings, measureStage }
 }
 
@@ -0,0 +1,179 @@
+/**
+ * useMidiOutput Hook
+ * Sends the notes the synthesizer plays and the hand brightness/reverb as MIDI (Web MIDI API)
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import * as Tone from 'tone'
+import {
+  DEFAULT_MIDI_SETTINGS,
+  noteOnMessage,
+  noteOffMessage,
+  controlChangeMessage,
+  allNotesOffMessage,
+  notesToMidi,
+  mapFilterFreqToCC,
+  mapReverbToCC
+} from '../utils/midi'
+
+export const useMidiOutput = () => {
+  const [isSupported] = useState(() => typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess)
+  const [outputs, setOutputs] = useState([])
+  const [settings, setSettingsState] = useState(DEFAULT_MIDI_SETTINGS)
+  const [error, setError] = useState(null)
+
+  const accessRef = useRef(null)
+  const settingsRef = useRef(DEFAULT_MIDI_SETTINGS)
+  // Last CC values sent per channel, so unchanged values aren't repeated every frame
+  const lastControlsRef = useRef({})
+
+  const getOutput = () => {
+    const access = accessRef.current
+    const { enabled, outputId } = settingsRef.current
+    if (!access || !enabled || !outputId) return null
+    return access.outputs.get(outputId) || null
+  }
+
+  const refreshOutputs = useCallback(() => {
+    const access = accessRef.current
+    if (!access) return
+
+    const available = Array.from(access.outputs.values()).map(output => ({
+      id: output.id,
+      name: output.name || output.id
+    }))
+    setOutputs(available)
+
+    // Pick the first port automatically, drop a port that disappeared
+    const { outputId } = settingsRef.current
+    if (!available.some(output => output.id === outputId)) {
+      const next = { ...settingsRef.current, outputId: available[0] ? available[0].id : null }
+      settingsRef.current = next
+      setSettingsState(next)
+    }
+  }, [])
+
+  // Ask for MIDI access the first time output is enabled
+  const requestAccess = useCallback(async () => {
+    if (accessRef.current) return true
+    if (!isSupported) {
+      setError('Web MIDI is not supported in this browser')
+      return false
+    }
+
+    try {
+      const access = await navigator.requestMIDIAccess()
+      accessRef.current = access
+      access.onstatechange = refreshOutputs
+      refreshOutputs()
+      setError(null)
+      console.log('🎛️ MIDI access granted')
+      return true
+    } catch (err) {
+      console.error('Error requesting MIDI access:', err)
+      setError(err.message || 'MIDI access was denied')
+      return false
+    }
+  }, [isSupported, refreshOutputs])
+
+  // Silence the channels of the current output (before switching or disabling)
+  const silence = () => {
+    const output = getOutput()
+    if (!output) return
+    Object.values(settingsRef.current.channels).forEach(channel => {
+      output.send(allNotesOffMessage(channel))
+    })
+  }
+
+  /**
+   * Update MIDI settings ({ enabled, outputId, channels, filterCC, reverbCC, includeBass })
+   */
+  const setSettings = useCallback(async (changes) => {
+    if (changes.enabled && !(await requestAccess())) return
+
+    silence()
+    const next = {
+      ...settingsRef.current,
+      ...changes,
+      channels: { ...settingsRef.current.channels, ...changes.channels }
+    }
+    settingsRef.current = next
+    lastControlsRef.current = {}
+    setSettingsState(next)
+
+    if ('enabled' in changes) {
+      console.log(`🎛️ MIDI output ${next.enabled ? 'on' : 'off'}`)
+    }
+  }, [requestAccess])
+
+  /**
+   * Send a scheduled note (subscribe to the synthesizer's notes)
+   * @param {Object} event - { hand, voice, notes, duration, velocity }
+   * @param {number} time - Audio context time the note sounds at
+   */
+  const sendNote = useCallback((event, time) => {
+    const output = getOutput()
+    if (!output) return
+    if (event.voice === 'bass' && !settingsRef.current.includeBass) return
+
+    const channel = settingsRef.current.channels[event.hand]
+    if (!channel) return
+
+    // Convert audio context time to a performance.now() timestamp
+    const context = Tone.getContext()
+    const onAt = performance.now() + Math.max(0, time - context.currentTime) * 1000
+    const offAt = onAt + Tone.Time(event.duration).toSeconds() * 1000
+
+    notesToMidi(event.notes).forEach(midi => {
+      output.send(noteOnMessage(channel, midi, event.velocity), onAt)
+      output.send(noteOffMessage(channel, midi), offAt)
+    })
+  }, [])
+
+  /**
+   * Send brightness and reverb CCs for a hand (only values that changed)
+   * @param {string} hand - 'Left' or 'Right'
+   * @param {Object} controls - { filterFreq, reverb } from processGestures
+   */
+  const sendHandControls = useCallback((hand, { filterFreq, reverb }) => {
+    const output = getOutput()
+    if (!output) return
+
+    const { channels, filterCC, reverbCC } = settingsRef.current
+    const channel = channels[hand]
+    if (!channel) return
+
+    const last = lastControlsRef.current[channel] || {}
+    const values = {
+      [filterCC]: mapFilterFreqToCC(filterFreq),
+      [reverbCC]: mapReverbToCC(reverb)
+    }
+
+    Object.entries(values).forEach(([controller, value]) => {
+      if (last[controller] === value) return
+      output.send(controlChangeMessage(channel, Number(controller), value))
+      last[controller] = value
+    })
+    lastControlsRef.current[channel] = last
+  }, [])
+
+  // Release everything on unmount
+  useEffect(() => {
+    return () => {
+      silence()
+      if (accessRef.current) {
+        accessRef.current.onstatechange = null
+      }
+    }
+  }, [])
+
+  return {
+    isSupported,
+    outputs,
+    settings,
+    setSettings,
+    sendNote,
+    sendHandControls,
+    error
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * useModulationMatrix Hook
+ * Holds the active modulation routes and the named presets (custom presets live in localStorage)
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import {
+  ModulationMatrix,
+  MOD_PRESETS,
+  MOD_SOURCES,
+  MOD_TARGETS,
+  DEFAULT_MOD_PRESET,
+  createRoute
+} from '../utils/modulation'
+
+const STORAGE_KEY = 'figureflo.modulationPresets'
+
+// Drop routes that point at features/parameters that no longer exist
+const sanitizeRoutes = (routes) => (Array.isArray(routes) ? routes : [])
+  .filter(route => MOD_SOURCES[route.source] && MOD_TARGETS[route.target])
+
+// Routes are stored without ids, new ids are assigned when a preset is loaded
+const stripIds = (routes) => routes.map(({ id, ...route }) => route)
+
+const loadCustomPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    const presets = {}
+    Object.entries(stored).forEach(([name, routes]) => {
+      presets[name] = sanitizeRoutes(routes)
+    })
+    return presets
+  } catch (err) {
+    console.error('Error loading modulation presets:', err)
+    return {}
+  }
+}
+
+const saveCustomPresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+  } catch (err) {
+    console.error('Error saving modulation presets:', err)
+  }
+}
+
+export const useModulationMatrix = () => {
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets)
+  const [presetName, setPresetName] = useState(DEFAULT_MOD_PRESET)
+  const [routes, setRoutes] = useState(() => MOD_PRESETS[DEFAULT_MOD_PRESET].map(createRoute))
+
+  const matrixRef = useRef(new ModulationMatrix(routes))
+
+  useEffect(() => {
+    matrixRef.current.setRoutes(routes)
+  }, [routes])
+
+  /**
+   * Evaluate the routes for one frame of gesture data
+   * @param {Object|null} params - Result of processGestures
+   * @returns {Object} { hands: { Left: { target: value } }, fluid: { CONFIG_KEY: value } }
+   */
+  const process = useCallback((params) => matrixRef.current.process(params), [])
+
+  const addRoute = useCallback((route = {}) => {
+    setRoutes(prev => [...prev, createRoute(route)])
+  }, [])
+
+  // Changing the target resets the range to the target's defaults
+  const updateRoute = useCallback((id, changes) => {
+    setRoutes(prev => prev.map(route => {
+      if (route.id !== id) return route
+      if (changes.target && changes.target !== route.target) {
+        const target = MOD_TARGETS[changes.target]
+        return { ...route, min: target.min, max: target.max, ...changes }
+      }
+      return { ...route, ...changes }
+    }))
+  }, [])
+
+  const removeRoute = useCallback((id) => {
+    setRoutes(prev => prev.filter(route => route.id !== id))
+  }, [])
+
+  const loadPreset = useCallback((name) => {
+    const preset = customPresets[name] || MOD_PRESETS[name]
+    if (!preset) return
+    setRoutes(preset.map(createRoute))
+    setPresetName(name)
+    console.log(`🎚️ Modulation preset: ${name}`)
+  }, [customPresets])
+
+  // Save the current routes under a name (built-in names can't be overwritten)
+  const savePreset = useCallback((name) => {
+    const trimmed = name.trim()
+    if (!trimmed || MOD_PRESETS[trimmed]) return false
+
+    const next = { ...customPresets, [trimmed]: stripIds(routes) }
+    setCustomPresets(next)
+    saveCustomPresets(next)
+    setPresetName(trimmed)
+    console.log(`🎚️ Saved modulation preset: ${trimmed}`)
+    return true
+  }, [customPresets, routes])
+
+  const deletePreset = useCallback((name) => {
+    if (!customPresets[name]) return
+
+    const { [name]: removed, ...next } = customPresets
+    setCustomPresets(next)
+    saveCustomPresets(next)
+    if (presetName === name) setPresetName(null)
+  }, [customPresets, presetName])
+
+  return {
+    routes,
+    presetName,
+    builtInPresetNames: Object.keys(MOD_PRESETS),
+    customPresetNames: Object.keys(customPresets),
+    process,
+    addRoute,
+    updateRoute,
+    removeRoute,
+    loadPreset,
+    savePreset,
+    deletePreset
+  }
+}
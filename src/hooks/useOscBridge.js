@@ -0,0 +1,111 @@
+/**
+ * useOscBridge Hook
+ * Streams hand tracking and emotion data as OSC over a WebSocket to a local relay
+ * (browsers can't send UDP - see scripts/osc-relay.js)
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import { encodeOscBundle, buildGestureMessages } from '../utils/osc'
+
+export const DEFAULT_OSC_RELAY_URL = import.meta.env.VITE_OSC_RELAY_URL || 'ws://localhost:8080'
+
+// Send at most 30 bundles per second
+const SEND_INTERVAL_MS = 1000 / 30
+
+const RECONNECT_DELAY_MS = 3000
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.isEnabled - Connect to the relay
+ * @param {string} options.url - Relay WebSocket URL
+ */
+export const useOscBridge = ({ isEnabled = false, url = DEFAULT_OSC_RELAY_URL } = {}) => {
+  const [status, setStatus] = useState('disconnected') // 'disconnected' | 'connecting' | 'connected'
+  const [error, setError] = useState(null)
+
+  const wsRef = useRef(null)
+  const reconnectTimeoutRef = useRef(null)
+  const lastSendRef = useRef(0)
+
+  /**
+   * Connect to the relay, reconnecting while enabled
+   */
+  const connect = useCallback(() => {
+    if (!isEnabled) return
+
+    try {
+      setStatus('connecting')
+      const ws = new WebSocket(url)
+      ws.binaryType = 'arraybuffer'
+
+      ws.onopen = () => {
+        console.log(`📡 OSC relay connected (${url})`)
+        setStatus('connected')
+        setError(null)
+      }
+
+      ws.onerror = () => {
+        setError(`Can't reach the OSC relay at ${url} - is it running? (npm run osc-relay)`)
+      }
+
+      ws.onclose = (event) => {
+        setStatus('disconnected')
+        wsRef.current = null
+
+        if (isEnabled && event.code !== 1000) {
+          reconnectTimeoutRef.current = setTimeout(connect, RECONNECT_DELAY_MS)
+        }
+      }
+
+      wsRef.current = ws
+    } catch (err) {
+      console.error('Error connecting to OSC relay:', err)
+      setError(err.message)
+      setStatus('disconnected')
+    }
+  }, [isEnabled, url])
+
+  useEffect(() => {
+    if (isEnabled) {
+      connect()
+    }
+
+    return () => {
+      if (reconnectTimeoutRef.current) {
+        clearTimeout(reconnectTimeoutRef.current)
+        reconnectTimeoutRef.current = null
+      }
+      if (wsRef.current) {
+        wsRef.current.close(1000, 'OSC bridge disabled')
+        wsRef.current = null
+      }
+      setStatus('disconnected')
+    }
+  }, [isEnabled, connect])
+
+  /**
+   * Send one frame of gesture data (throttled)
+   * @param {Object|null} params - Result of processGestures (null when no hands)
+   * @param {Object|null} emotions - From useEmotionDetection
+   */
+  const sendGestures = useCallback((params, emotions) => {
+    const ws = wsRef.current
+    if (!ws || ws.readyState !== WebSocket.OPEN) return
+
+    const now = performance.now()
+    if (now - lastSendRef.current < SEND_INTERVAL_MS) return
+    lastSendRef.current = now
+
+    try {
+      ws.send(encodeOscBundle(buildGestureMessages(params, emotions)))
+    } catch (err) {
+      console.error('Error sending OSC:', err)
+    }
+  }, [])
+
+  return {
+    status,
+    error,
+    sendGestures
+  }
+}
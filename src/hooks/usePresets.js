@@ -0,0 +1,151 @@
+/**
+ * usePresets Hook
+ * Named session presets in localStorage - save, load, cycle, import and export.
+ * The last loaded preset is applied again on the next visit.
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import { createPreset, sanitizePreset, exportPresetFile, readPresetFile } from '../utils/presets'
+
+const STORAGE_KEY = 'figureflo.presets'
+const ACTIVE_KEY = 'figureflo.activePreset'
+
+const loadStoredPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    const presets = {}
+    Object.values(stored).forEach(data => {
+      try {
+        const preset = sanitizePreset(data)
+        presets[preset.name] = preset
+      } catch (err) {
+        console.error('Skipping invalid preset:', err)
+      }
+    })
+    return presets
+  } catch (err) {
+    console.error('Error loading presets:', err)
+    return {}
+  }
+}
+
+const saveStoredPresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+  } catch (err) {
+    console.error('Error saving presets:', err)
+  }
+}
+
+const saveActiveName = (name) => {
+  try {
+    if (name) {
+      localStorage.setItem(ACTIVE_KEY, name)
+    } else {
+      localStorage.removeItem(ACTIVE_KEY)
+    }
+  } catch (err) {
+    console.error('Error saving active preset:', err)
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.capture - Returns the current session (see createPreset)
+ * @param {Function} options.apply - Applies a preset to the session
+ */
+export const usePresets = ({ capture, apply }) => {
+  const [presets, setPresets] = useState(loadStoredPresets)
+  const [activeName, setActiveName] = useState(null)
+
+  // Latest session callbacks (App recreates them on every render)
+  const captureRef = useRef(capture)
+  const applyRef = useRef(apply)
+  captureRef.current = capture
+  applyRef.current = apply
+
+  const updatePresets = useCallback((next) => {
+    setPresets(next)
+    saveStoredPresets(next)
+  }, [])
+
+  const loadPreset = useCallback((name) => {
+    const preset = presets[name]
+    if (!preset) return
+    applyRef.current(preset)
+    setActiveName(name)
+    saveActiveName(name)
+    console.log(`💾 Preset loaded: ${name}`)
+  }, [presets])
+
+  // Save the current session under a name (overwrites a preset with the same name)
+  const savePreset = useCallback((name) => {
+    const trimmed = name.trim()
+    if (!trimmed) return false
+
+    updatePresets({ ...presets, [trimmed]: createPreset(trimmed, captureRef.current()) })
+    setActiveName(trimmed)
+    saveActiveName(trimmed)
+    console.log(`💾 Preset saved: ${trimmed}`)
+    return true
+  }, [presets, updatePresets])
+
+  const deletePreset = useCallback((name) => {
+    if (!presets[name]) return
+
+    const { [name]: removed, ...next } = presets
+    updatePresets(next)
+    if (activeName === name) {
+      setActiveName(null)
+      saveActiveName(null)
+    }
+  }, [presets, activeName, updatePresets])
+
+  // Step through the saved presets (gesture switching mid-performance)
+  const cyclePreset = useCallback((direction = 1) => {
+    const names = Object.keys(presets)
+    if (names.length === 0) return null
+
+    const index = names.indexOf(activeName)
+    const next = names[(index + direction + names.length) % names.length]
+    loadPreset(next)
+    return next
+  }, [presets, activeName, loadPreset])
+
+  const exportPreset = useCallback((name) => {
+    if (presets[name]) exportPresetFile(presets[name])
+  }, [presets])
+
+  // Add the presets of an exported file, returns their names
+  const importPresets = useCallback(async (file) => {
+    const imported = await readPresetFile(file)
+    const next = { ...presets }
+    imported.forEach(preset => {
+      next[preset.name] = preset
+    })
+    updatePresets(next)
+    console.log(`💾 Imported presets: ${imported.map(preset => preset.name).join(', ')}`)
+    return imported.map(preset => preset.name)
+  }, [presets, updatePresets])
+
+  // Re-apply the last loaded preset once on startup
+  useEffect(() => {
+    try {
+      const name = localStorage.getItem(ACTIVE_KEY)
+      if (name && presets[name]) loadPreset(name)
+    } catch (err) {
+      console.error('Error restoring preset:', err)
+    }
+  }, [])
+
+  return {
+    presetNames: Object.keys(presets),
+    activePreset: activeName,
+    loadPreset,
+    savePreset,
+    deletePreset,
+    cyclePreset,
+    exportPreset,
+    importPresets
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * useSessionExport Hook
+ * Records the fluid canvas + synthesizer master bus into one WebM ("Share your flo")
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import {
+  createTimestampedFilename,
+  extensionForMimeType,
+  downloadBlob,
+  pickSupportedMimeType
+} from '../utils/recording'
+
+const VIDEO_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+]
+
+const EXPORT_FPS = 30
+
+// Webcam overlay size and margin, relative to the output width
+const WEBCAM_OVERLAY_SCALE = 0.25
+const WEBCAM_OVERLAY_MARGIN = 0.02
+
+/**
+ * @param {Object} options
+ * @param {Object} options.fluidCanvasRef - Ref to the fluid simulation canvas
+ * @param {Object} options.videoRef - Ref to the webcam video element
+ * @param {Function} options.subscribeFrame - From useFluidSimulation
+ * @param {Function} options.captureStream - From useFluidSimulation
+ * @param {Function} options.getMasterStream - From useSynthesizer
+ */
+export const useSessionExport = ({
+  fluidCanvasRef,
+  videoRef,
+  subscribeFrame,
+  captureStream,
+  getMasterStream
+}) => {
+  const [isExporting, setIsExporting] = useState(false)
+  const [lastExport, setLastExport] = useState(null)
+  const [error, setError] = useState(null)
+
+  const mediaRecorderRef = useRef(null)
+  const chunksRef = useRef([])
+  const compositeCanvasRef = useRef(null)
+  const unsubscribeFrameRef = useRef(null)
+  const videoStreamRef = useRef(null)
+
+  /**
+   * Draw the latest fluid frame plus the webcam in the bottom-right corner
+   */
+  const drawComposite = useCallback((fluidCanvas) => {
+    const canvas = compositeCanvasRef.current
+    if (!canvas || !fluidCanvas) return
+
+    if (canvas.width !== fluidCanvas.width || canvas.height !== fluidCanvas.height) {
+      canvas.width = fluidCanvas.width
+      canvas.height = fluidCanvas.height
+    }
+
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(fluidCanvas, 0, 0, canvas.width, canvas.height)
+
+    const video = videoRef.current
+    if (!video || video.readyState < 2 || !video.videoWidth) return
+
+    const overlayWidth = canvas.width * WEBCAM_OVERLAY_SCALE
+    const overlayHeight = overlayWidth * (video.videoHeight / video.videoWidth)
+    const margin = canvas.width * WEBCAM_OVERLAY_MARGIN
+    const x = canvas.width - overlayWidth - margin
+    const y = canvas.height - overlayHeight - margin
+
+    // Mirror the webcam like the on-screen preview
+    ctx.save()
+    ctx.translate(x + overlayWidth, y)
+    ctx.scale(-1, 1)
+    ctx.drawImage(video, 0, 0, overlayWidth, overlayHeight)
+    ctx.restore()
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)'
+    ctx.lineWidth = 2
+    ctx.strokeRect(x, y, overlayWidth, overlayHeight)
+  }, [videoRef])
+
+  const cleanupCapture = useCallback(() => {
+    if (unsubscribeFrameRef.current) {
+      unsubscribeFrameRef.current()
+      unsubscribeFrameRef.current = null
+    }
+    if (videoStreamRef.current) {
+      videoStreamRef.current.getTracks().forEach(track => track.stop())
+      videoStreamRef.current = null
+    }
+    compositeCanvasRef.current = null
+  }, [])
+
+  /**
+   * Start exporting the session
+   * @param {Object} options
+   * @param {boolean} options.includeWebcam - Composite the webcam in a corner
+   */
+  const startExport = useCallback(({ includeWebcam = false } = {}) => {
+    if (mediaRecorderRef.current) return
+
+    if (typeof MediaRecorder === 'undefined') {
+      setError('Video export is not supported in this browser')
+      return
+    }
+
+    const fluidCanvas = fluidCanvasRef.current
+    if (!fluidCanvas) {
+      setError('Fluid simulation is not running yet')
+      return
+    }
+
+    try {
+      // Video: either the fluid canvas directly, or a 2D compositing canvas
+      let videoStream
+      if (includeWebcam) {
+        compositeCanvasRef.current = document.createElement('canvas')
+        compositeCanvasRef.current.width = fluidCanvas.width
+        compositeCanvasRef.current.height = fluidCanvas.height
+        unsubscribeFrameRef.current = subscribeFrame(drawComposite)
+        videoStream = compositeCanvasRef.current.captureStream(EXPORT_FPS)
+      } else {
+        videoStream = captureStream(EXPORT_FPS)
+      }
+
+      if (!videoStream) {
+        throw new Error('Could not capture the fluid canvas')
+      }
+      videoStreamRef.current = videoStream
+
+      // Audio: synthesizer master bus (post-reverb)
+      const audioStream = getMasterStream()
+      const tracks = [
+        ...videoStream.getVideoTracks(),
+        ...(audioStream ? audioStream.getAudioTracks() : [])
+      ]
+
+      const mimeType = pickSupportedMimeType(VIDEO_MIME_TYPES)
+      const recorder = new MediaRecorder(new MediaStream(tracks), mimeType ? { mimeType } : undefined)
+      chunksRef.current = []
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          chunksRef.current.push(event.data)
+        }
+      }
+
+      recorder.onstop = () => {
+        const type = recorder.mimeType || mimeType || 'video/webm'
+        const blob = new Blob(chunksRef.current, { type })
+        const filename = createTimestampedFilename('figureflo-session', extensionForMimeType(type))
+
+        const url = downloadBlob(blob, filename)
+        setLastExport({ url, filename, blob })
+        chunksRef.current = []
+        console.log(`🎬 Session export saved: ${filename}`)
+      }
+
+      recorder.start(1000)
+      mediaRecorderRef.current = recorder
+      setIsExporting(true)
+      setError(null)
+      console.log(`🎬 Session export started${includeWebcam ? ' (with webcam overlay)' : ''}`)
+    } catch (err) {
+      console.error('Error starting session export:', err)
+      setError(err.message || 'Failed to start session export')
+      cleanupCapture()
+    }
+  }, [fluidCanvasRef, subscribeFrame, captureStream, getMasterStream, drawComposite, cleanupCapture])
+
+  /**
+   * Stop exporting, the file downloads once the recorder flushes
+   */
+  const stopExport = useCallback(() => {
+    const recorder = mediaRecorderRef.current
+    if (!recorder) return
+
+    if (recorder.state !== 'inactive') {
+      recorder.stop()
+    }
+    mediaRecorderRef.current = null
+    cleanupCapture()
+    setIsExporting(false)
+  }, [cleanupCapture])
+
+  // Release an export's download URL once a newer export replaces it (or on unmount)
+  useEffect(() => () => {
+    if (lastExport) URL.revokeObjectURL(lastExport.url)
+  }, [lastExport])
+
+  // Stop any running export on unmount (without downloading it - nobody is there to see it)
+  useEffect(() => {
+    return () => {
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        mediaRecorderRef.current.onstop = null
+        mediaRecorderRef.current.stop()
+      }
+      mediaRecorderRef.current = null
+      cleanupCapture()
+    }
+  }, [cleanupCapture])
+
+  return {
+    startExport,
+    stopExport,
+    isExporting,
+    lastExport,
+    error
+  }
+}
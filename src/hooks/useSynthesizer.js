@@ -1,30 +1,41 @@
 import { useEffect, useRef, useState } from 'react'
 import * as Tone from 'tone'
+import { createTimestampedFilename, extensionForMimeType, downloadBlob } from '../utils/recording'
+import { voiceLeadChord } from '../utils/musicTheory'
+import {
+  Arpeggiator,
+  ARP_PATTERNS,
+  ARP_RATES,
+  DEFAULT_ARP_SETTINGS,
+  mapValueToArpRate
+} from '../utils/arpeggiator'
+import {
+  TIME_SIGNATURES,
+  DEFAULT_TIME_SIGNATURE,
+  DEFAULT_BPM,
+  TapTempo,
+  clampBpm,
+  toTransportBpm,
+  describeStep
+} from '../utils/tempo'
+import { DrumMachine } from '../utils/drumMachine'
+import { BeatDetector, amplitudeToDynamics } from '../utils/conductor'
+import { SongPlayer, readSongFiles, getSongSettings, getMelodyStem, mapHandToConducting } from '../utils/songPlayer'
+import { DRUM_GENRES, DEFAULT_DRUM_PATTERN, getDrumPattern, fitDrumPattern, nextDrumPattern } from '../utils/drumPatterns'
+import { Looper, LOOP_LENGTHS } from '../utils/looper'
+import { MidiFileRecorder } from '../utils/midiFile'
+import {
+  DEFAULT_THEREMIN_SETTINGS,
+  VIBRATO_RATE,
+  VIBRATO_MAX_DEPTH,
+  TremorTracker,
+  softSnapFrequency,
+  mapRollToVibrato
+} from '../utils/theremin'
+import { EffectsRack, getHandDimensions } from '../utils/effects'
+import { instrumentRegistry } from '../utils/instrumentRegistry'
 
-// Verified working instruments from CDN + synthesizer options
-const INSTRUMENTS = [
-  // Basic Oscillator Synthesizers
-  { id: 'synth-sine', name: 'Sine Wave', type: 'synth', oscillator: 'sine' },
-  { id: 'synth-triangle', name: 'Triangle Wave', type: 'synth', oscillator: 'triangle' },
-  { id: 'synth-sawtooth', name: 'Sawtooth Wave', type: 'synth', oscillator: 'sawtooth' },
-  { id: 'synth-square', name: 'Square Wave', type: 'synth', oscillator: 'square' },
-  
-  // Advanced Tone.js Synthesizers
-  { id: 'Synth', name: 'Basic Synth', type: 'tone-synth', synthType: 'Synth' },
-  { id: 'MonoSynth', name: 'Mono Synth', type: 'tone-synth', synthType: 'MonoSynth' },
-  { id: 'FMSynth', name: 'FM Synth', type: 'tone-synth', synthType: 'FMSynth' },
-  { id: 'AMSynth', name: 'AM Synth', type: 'tone-synth', synthType: 'AMSynth' },
-  { id: 'DuoSynth', name: 'Duo Synth', type: 'tone-synth', synthType: 'DuoSynth' },
-  { id: 'PolySynth', name: 'Poly Synth', type: 'tone-synth', synthType: 'PolySynth' },
-  { id: 'MembraneSynth', name: 'Membrane Synth', type: 'tone-synth', synthType: 'MembraneSynth' },
-  { id: 'MetalSynth', name: 'Metal Synth', type: 'tone-synth', synthType: 'MetalSynth' },
-  
-  // Sampled instruments (from CDN)
-  { id: 'bassoon', name: 'Bassoon', type: 'sampler', notes: ['A3', 'C4', 'E4', 'G4', 'A4'] },
-  { id: 'cello', name: 'Cello', type: 'sampler', notes: ['C2', 'D2', 'E2', 'G2', 'A2', 'C3', 'D3', 'E3', 'G3', 'A3'] },
-  { id: 'guitar-acoustic', name: 'Acoustic Guitar', type: 'sampler', notes: ['A2', 'C3', 'E3', 'A3', 'C4', 'E4'] },
-  { id: 'violin', name: 'Violin', type: 'sampler', notes: ['A3', 'C4', 'E4', 'G4', 'A4', 'C5', 'E5'] }
-]
+const HANDS = ['Left', 'Right']
 
 export const useSynthesizer = () => {
   // Separate synths for left and right hand (melody)
@@ -34,8 +45,21 @@ export const useSynthesizer = () => {
   const leftBassRef = useRef(null)
   const rightBassRef = useRef(null)
   const reverbRef = useRef(null)
+  // Master bus (post-reverb) - everything audible passes through here
+  const masterRef = useRef(null)
+  // Master dynamics so layered hands, drums and loops don't clip
+  const masterCompressorRef = useRef(null)
+  const masterLimiterRef = useRef(null)
+  // Backing arrangement (drums + song) - its level follows the conductor's dynamics
+  const backingRef = useRef(null)
+  const recorderRef = useRef(null)
+  const masterStreamDestRef = useRef(null)
   const leftFilterRef = useRef(null)
   const rightFilterRef = useRef(null)
+  // Per-hand effects chain between the filter and the shared reverb
+  const leftEffectsRef = useRef(null)
+  const rightEffectsRef = useRef(null)
+  const [effects, setEffectsState] = useState({ Left: [], Right: [] })
   
   // Current notes for each hand (for rhythmic scheduling)
   const leftNoteRef = useRef(null)
@@ -44,17 +68,131 @@ export const useSynthesizer = () => {
   const rightVelocityRef = useRef(0.5)
   const leftActiveRef = useRef(false)
   const rightActiveRef = useRef(false)
+  // Voiced chords for chord mode (voice-led from the previous chord)
+  const leftChordRef = useRef(null)
+  const rightChordRef = useRef(null)
+  const leftChordKeyRef = useRef(null)
+  const rightChordKeyRef = useRef(null)
   
+  // Instruments come from the registry (built-ins + sample packs registered at runtime)
+  const [registry, setRegistryState] = useState(() => instrumentRegistry.getSnapshot())
+  const instrumentsRef = useRef(registry.instruments)
+
   const [isStarted, setIsStarted] = useState(false)
   const [leftPlaying, setLeftPlaying] = useState(false)
   const [rightPlaying, setRightPlaying] = useState(false)
   const [leftInstrumentIndex, setLeftInstrumentIndex] = useState(0)
   const [rightInstrumentIndex, setRightInstrumentIndex] = useState(0)
   const [isStopped, setIsStopped] = useState(false)
+  const [isRecording, setIsRecording] = useState(false)
+  const isStoppedRef = useRef(false) // Read by per-frame callers before React re-renders
+  const isRecordingRef = useRef(false)
+  // Chord mode per hand (hand shape picks the chord quality)
+  const [chordMode, setChordModeState] = useState({ Left: false, Right: false })
+  const chordModeRef = useRef(chordMode)
+  // Arpeggiator per hand (pattern, octaves, and what controls the rate)
+  const [arpSettings, setArpSettingsState] = useState({
+    Left: { ...DEFAULT_ARP_SETTINGS },
+    Right: { ...DEFAULT_ARP_SETTINGS }
+  })
+  const arpSettingsRef = useRef(arpSettings)
+  const leftArpRef = useRef(null)
+  const rightArpRef = useRef(null)
+  const leftArpLoopRef = useRef(null)
+  const rightArpLoopRef = useRef(null)
+  const leftArpRateRef = useRef(ARP_RATES[0])
+  const rightArpRateRef = useRef(ARP_RATES[0])
+  const [lastRecording, setLastRecording] = useState(null)
   const transportLoopRef = useRef(null)
 
-  const createInstrument = (instrumentIndex) => {
-    const config = INSTRUMENTS[instrumentIndex]
+  // Tempo / groove (refs mirror state for the transport callbacks)
+  const [tempo, setTempoState] = useState(DEFAULT_BPM)
+  const [swing, setSwingState] = useState(0)
+  const [timeSignature, setTimeSignatureState] = useState(DEFAULT_TIME_SIGNATURE)
+  const tempoRef = useRef(DEFAULT_BPM)
+  const swingRef = useRef(0)
+  const timeSignatureRef = useRef(DEFAULT_TIME_SIGNATURE)
+  const tapTempoRef = useRef(new TapTempo())
+
+  // Drum layer (runs on the same transport, independent of the hands)
+  const drumMachineRef = useRef(null)
+  const [drums, setDrumsState] = useState({ playing: false, ...DEFAULT_DRUM_PATTERN })
+  const drumsRef = useRef(drums)
+
+  // Song / stems mode: a local song plays along on the transport, a hand can conduct one stem
+  const songPlayerRef = useRef(null)
+  const [song, setSongState] = useState(null) // SongPlayer.getState()
+  const [songLoading, setSongLoading] = useState(null) // { loaded, total } while decoding
+  const [songConductor, setSongConductorState] = useState({ hand: null, stem: null })
+  const songConductorRef = useRef(songConductor)
+
+  // Conductor mode: a baton hand beats time - beats set the tempo, stroke size the backing dynamics
+  const beatDetectorRef = useRef(new BeatDetector())
+  const [conductor, setConductorState] = useState({ hand: null, bpm: null, dynamics: null, beats: 0 })
+  const conductorRef = useRef(conductor)
+
+  // Loop station - recorded layers play on their own copies of the instruments
+  const looperRef = useRef(null)
+  const layerVoicesRef = useRef(new Map())
+  const [looper, setLooperState] = useState(null)
+
+  // Listeners for every note the hands and loop layers schedule (MIDI out, MIDI file...)
+  const noteListenersRef = useRef(new Set())
+
+  // Note log for MIDI file export (runs alongside audio recording / session export)
+  const midiFileRecorderRef = useRef(null)
+  const midiCaptureOwnersRef = useRef(new Set()) // 'recording', 'export' - capture runs while any is left
+  const [lastMidiFile, setLastMidiFile] = useState(null)
+
+  // Theremin mode per hand - a monophonic voice that follows continuous pitch
+  const [thereminSettings, setThereminSettingsState] = useState({
+    Left: { ...DEFAULT_THEREMIN_SETTINGS },
+    Right: { ...DEFAULT_THEREMIN_SETTINGS }
+  })
+  const thereminSettingsRef = useRef(thereminSettings)
+  const leftThereminRef = useRef(null) // { synth, vibrato, isSounding }
+  const rightThereminRef = useRef(null)
+  const leftTremorRef = useRef(new TremorTracker())
+  const rightTremorRef = useRef(new TremorTracker())
+
+  // Per-hand refs, so hand logic can be written once
+  const handRefs = {
+    Left: {
+      synth: leftSynthRef,
+      bass: leftBassRef,
+      note: leftNoteRef,
+      velocity: leftVelocityRef,
+      active: leftActiveRef,
+      chord: leftChordRef,
+      chordKey: leftChordKeyRef,
+      arp: leftArpRef,
+      arpLoop: leftArpLoopRef,
+      arpRate: leftArpRateRef,
+      filter: leftFilterRef,
+      effects: leftEffectsRef,
+      theremin: leftThereminRef,
+      tremor: leftTremorRef
+    },
+    Right: {
+      synth: rightSynthRef,
+      bass: rightBassRef,
+      note: rightNoteRef,
+      velocity: rightVelocityRef,
+      active: rightActiveRef,
+      chord: rightChordRef,
+      chordKey: rightChordKeyRef,
+      arp: rightArpRef,
+      arpLoop: rightArpLoopRef,
+      arpRate: rightArpRateRef,
+      filter: rightFilterRef,
+      effects: rightEffectsRef,
+      theremin: rightThereminRef,
+      tremor: rightTremorRef
+    }
+  }
+
+  // Melody voice for an instrument config from the registry (a plain synth when it's gone)
+  const createInstrument = (config) => {
     if (!config) {
       return new Tone.Synth()
     }
@@ -97,30 +235,128 @@ export const useSynthesizer = () => {
       return new Tone.PolySynth(Tone[synthType])
     }
 
-    // Create sampler for acoustic instruments
+    // Create sampler for acoustic instruments (samples are shared and cached by the registry)
     if (config.type === 'sampler') {
-      const samples = {}
-      config.notes.forEach(note => {
-        samples[note] = `${note}.mp3`
-      })
-
-      const baseUrl = config.url || 
-        `https://cdn.jsdelivr.net/gh/nbrosowsky/tonejs-instruments@master/samples/${config.id}/`
-
-      return new Tone.Sampler(samples, () => {
-        console.log(`✅ ${config.name} loaded`)
-      }, baseUrl)
+      return instrumentRegistry.createSampler(config)
     }
 
     return new Tone.Synth()
   }
 
+  // Bass synth for harmonic depth (one per hand, plus one per looper layer)
+  const createBass = () => {
+    const filter = new Tone.Filter(300, 'lowpass')
+    const synth = new Tone.MonoSynth({
+      oscillator: { type: 'square' },
+      filter: { type: 'lowpass', frequency: 400 },
+      envelope: { attack: 0.05, decay: 0.3, sustain: 0.4, release: 1.2 }
+    })
+    synth.chain(filter, reverbRef.current)
+    return { synth, filter }
+  }
+
+  const disposeBass = (bass) => {
+    bass.synth.dispose()
+    bass.filter.dispose()
+  }
+
+  // Theremin voice: a gliding monophonic synth through a vibrato into the hand's filter
+  const createThereminVoice = (filter) => {
+    const vibrato = new Tone.Vibrato(VIBRATO_RATE, 0)
+    const synth = new Tone.Synth({
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.08, decay: 0.1, sustain: 1, release: 0.4 }
+    })
+    synth.chain(vibrato, filter)
+    return { synth, vibrato, isSounding: false }
+  }
+
+  // Follow the instrument registry, and restore cached / public sample packs
+  useEffect(() => {
+    const unsubscribe = instrumentRegistry.subscribe((snapshot) => {
+      instrumentsRef.current = snapshot.instruments
+      setRegistryState(snapshot)
+    })
+    instrumentRegistry.init()
+    return unsubscribe
+  }, [])
+
+  // Re-create a hand's instruments when its instrument is replaced or removed from the registry
+  const leftInstrumentConfig = registry.instruments[leftInstrumentIndex]
+  const rightInstrumentConfig = registry.instruments[rightInstrumentIndex]
+
+  // A removed instrument falls back to the first one
   useEffect(() => {
+    if (leftInstrumentIndex >= registry.instruments.length) setLeftInstrumentIndex(0)
+    if (rightInstrumentIndex >= registry.instruments.length) setRightInstrumentIndex(0)
+  }, [registry.instruments, leftInstrumentIndex, rightInstrumentIndex])
+
+  useEffect(() => {
+    // Arpeggiators keep their step position between notes
+    leftArpRef.current = new Arpeggiator(DEFAULT_ARP_SETTINGS)
+    rightArpRef.current = new Arpeggiator(DEFAULT_ARP_SETTINGS)
+
+    // Master bus → compressor → limiter feeds the speakers and the recorder tap
+    masterRef.current = new Tone.Gain(1)
+    masterCompressorRef.current = new Tone.Compressor({ threshold: -18, ratio: 3, attack: 0.01, release: 0.25 })
+    masterLimiterRef.current = new Tone.Limiter(-1)
+    masterRef.current.chain(masterCompressorRef.current, masterLimiterRef.current, Tone.getDestination())
+    recorderRef.current = new Tone.Recorder()
+    masterLimiterRef.current.connect(recorderRef.current)
+
     // Create shared reverb with musical settings
     reverbRef.current = new Tone.Reverb({
       decay: 2,
       wet: 0.2
-    }).toDestination()
+    }).connect(masterRef.current)
+
+    backingRef.current = new Tone.Volume(0).connect(masterRef.current)
+
+    // Drums bypass the reverb so the beat stays tight
+    drumMachineRef.current = new DrumMachine(backingRef.current)
+
+    // Song stems also bypass the reverb (they come with their own mix)
+    songPlayerRef.current = new SongPlayer(backingRef.current)
+    songPlayerRef.current.onEnded = () => setSongState(songPlayerRef.current.getState())
+
+    // Looper layers get a snapshot of the instruments the hands used while recording
+    // (by id - the registry's order changes when sample packs are added or removed)
+    looperRef.current = new Looper({
+      onPlay: (layer, event, time) => {
+        const voices = layerVoicesRef.current.get(layer.id)?.[event.hand]
+        const voice = event.voice === 'bass' ? voices?.bass.synth : voices?.melody
+        triggerSynth(voice, event.notes, event.duration, time, event.velocity)
+        // MIDI out and the MIDI file get the loop too - but not the looper, or overdubs would double it
+        notifyNoteListeners(event, time)
+      },
+      onLayerAdded: (layer) => {
+        const voices = {}
+        layer.hands.forEach(hand => {
+          voices[hand] = {
+            melody: createInstrument(instrumentRegistry.get(layer.meta.instruments[hand])).connect(reverbRef.current),
+            bass: createBass()
+          }
+        })
+        layerVoicesRef.current.set(layer.id, voices)
+      },
+      onLayerRemoved: (layer) => {
+        const voices = layerVoicesRef.current.get(layer.id)
+        if (!voices) return
+        Object.values(voices).forEach(({ melody, bass }) => {
+          melody.dispose()
+          disposeBass(bass)
+        })
+        layerVoicesRef.current.delete(layer.id)
+      },
+      onChange: setLooperState
+    })
+    setLooperState(looperRef.current.getState())
+
+    // MIDI file log listens to every hand note, but only keeps them while capturing
+    const midiFileRecorder = new MidiFileRecorder(() => TIME_SIGNATURES[timeSignatureRef.current].timeSignature)
+    const logMidiNote = (event, time) => midiFileRecorder.record(event, time)
+    midiFileRecorderRef.current = midiFileRecorder
+    noteListenersRef.current.add(logMidiNote)
 
     // Create filters for each hand (brightness control)
     leftFilterRef.current = new Tone.Filter({
@@ -135,19 +371,49 @@ export const useSynthesizer = () => {
       rolloff: -12
     })
 
+    // Filter → effects rack → reverb (empty racks pass straight through)
+    leftEffectsRef.current = new EffectsRack(reverbRef.current)
+    rightEffectsRef.current = new EffectsRack(reverbRef.current)
+    leftFilterRef.current.connect(leftEffectsRef.current.input)
+    rightFilterRef.current.connect(rightEffectsRef.current.input)
+
+    leftThereminRef.current = createThereminVoice(leftFilterRef.current)
+    rightThereminRef.current = createThereminVoice(rightFilterRef.current)
+
     return () => {
       // Cleanup on unmount
       if (transportLoopRef.current) {
         transportLoopRef.current.stop()
         transportLoopRef.current.dispose()
       }
+      if (leftArpLoopRef.current) leftArpLoopRef.current.dispose()
+      if (rightArpLoopRef.current) rightArpLoopRef.current.dispose()
       if (leftSynthRef.current) leftSynthRef.current.dispose()
       if (rightSynthRef.current) rightSynthRef.current.dispose()
-      if (leftBassRef.current) leftBassRef.current.dispose()
-      if (rightBassRef.current) rightBassRef.current.dispose()
+      if (leftBassRef.current) disposeBass(leftBassRef.current)
+      if (rightBassRef.current) disposeBass(rightBassRef.current)
+      HANDS.forEach(hand => {
+        const voice = handRefs[hand].theremin.current
+        if (voice) {
+          voice.synth.dispose()
+          voice.vibrato.dispose()
+        }
+      })
       if (leftFilterRef.current) leftFilterRef.current.dispose()
       if (rightFilterRef.current) rightFilterRef.current.dispose()
+      if (leftEffectsRef.current) leftEffectsRef.current.dispose()
+      if (rightEffectsRef.current) rightEffectsRef.current.dispose()
       if (reverbRef.current) reverbRef.current.dispose()
+      if (drumMachineRef.current) drumMachineRef.current.dispose()
+      if (songPlayerRef.current) songPlayerRef.current.dispose()
+      if (backingRef.current) backingRef.current.dispose()
+      if (looperRef.current) looperRef.current.dispose()
+      if (recorderRef.current) recorderRef.current.dispose()
+      if (masterRef.current) masterRef.current.dispose()
+      if (masterCompressorRef.current) masterCompressorRef.current.dispose()
+      if (masterLimiterRef.current) masterLimiterRef.current.dispose()
+      noteListenersRef.current.delete(logMidiNote)
+      masterStreamDestRef.current = null
       Tone.Transport.stop()
       Tone.Transport.cancel()
     }
@@ -161,24 +427,20 @@ export const useSynthesizer = () => {
         leftSynthRef.current.dispose()
       }
       if (leftBassRef.current) {
-        leftBassRef.current.dispose()
+        disposeBass(leftBassRef.current)
       }
     } catch (e) {
       console.error('Error disposing left instruments:', e)
     }
     
     // Create melody synth
-    leftSynthRef.current = createInstrument(leftInstrumentIndex)
-      .chain(leftFilterRef.current, reverbRef.current)
+    leftSynthRef.current = createInstrument(instrumentsRef.current[leftInstrumentIndex])
+      .connect(leftFilterRef.current)
     
     // Create bass synth for harmonic depth
-    leftBassRef.current = new Tone.MonoSynth({
-      oscillator: { type: 'square' },
-      filter: { type: 'lowpass', frequency: 400 },
-      envelope: { attack: 0.05, decay: 0.3, sustain: 0.4, release: 1.2 }
-    }).connect(new Tone.Filter(300, 'lowpass')).connect(reverbRef.current)
+    leftBassRef.current = createBass()
     
-    console.log(`🎹 Left hand: ${INSTRUMENTS[leftInstrumentIndex].name}`)
+    console.log(`🎹 Left hand: ${instrumentsRef.current[leftInstrumentIndex]?.name}`)
 
     return () => {
       try {
@@ -186,13 +448,13 @@ export const useSynthesizer = () => {
           leftSynthRef.current.dispose()
         }
         if (leftBassRef.current) {
-          leftBassRef.current.dispose()
+          disposeBass(leftBassRef.current)
         }
       } catch (e) {
         console.error('Error cleaning up left instruments:', e)
       }
     }
-  }, [leftInstrumentIndex])
+  }, [leftInstrumentIndex, leftInstrumentConfig])
 
   // Right hand instrument (melody + bass)
   useEffect(() => {
@@ -202,24 +464,20 @@ export const useSynthesizer = () => {
         rightSynthRef.current.dispose()
       }
       if (rightBassRef.current) {
-        rightBassRef.current.dispose()
+        disposeBass(rightBassRef.current)
       }
     } catch (e) {
       console.error('Error disposing right instruments:', e)
     }
     
     // Create melody synth
-    rightSynthRef.current = createInstrument(rightInstrumentIndex)
-      .chain(rightFilterRef.current, reverbRef.current)
+    rightSynthRef.current = createInstrument(instrumentsRef.current[rightInstrumentIndex])
+      .connect(rightFilterRef.current)
     
     // Create bass synth for harmonic depth
-    rightBassRef.current = new Tone.MonoSynth({
-      oscillator: { type: 'square' },
-      filter: { type: 'lowpass', frequency: 400 },
-      envelope: { attack: 0.05, decay: 0.3, sustain: 0.4, release: 1.2 }
-    }).connect(new Tone.Filter(300, 'lowpass')).connect(reverbRef.current)
+    rightBassRef.current = createBass()
     
-    console.log(`🎹 Right hand: ${INSTRUMENTS[rightInstrumentIndex].name}`)
+    console.log(`🎹 Right hand: ${instrumentsRef.current[rightInstrumentIndex]?.name}`)
 
     return () => {
       try {
@@ -227,78 +485,130 @@ export const useSynthesizer = () => {
           rightSynthRef.current.dispose()
         }
         if (rightBassRef.current) {
-          rightBassRef.current.dispose()
+          disposeBass(rightBassRef.current)
         }
       } catch (e) {
         console.error('Error cleaning up right instruments:', e)
       }
     }
-  }, [rightInstrumentIndex])
+  }, [rightInstrumentIndex, rightInstrumentConfig])
+
+  // Trigger a synth (safely handle different synth types)
+  const triggerSynth = (synth, notes, duration, time, velocity) => {
+    if (!synth) return
+
+    try {
+      // MembraneSynth and MetalSynth don't take note parameter
+      if (synth instanceof Tone.MembraneSynth || synth instanceof Tone.MetalSynth) {
+        synth.triggerAttackRelease(duration, time, velocity)
+      } else {
+        synth.triggerAttackRelease(notes, duration, time, velocity)
+      }
+    } catch (e) {
+      console.error('Error triggering synth:', e)
+    }
+  }
+
+  // Report a scheduled note (hands or looper playback) to the note listeners
+  // event: { hand, voice: 'melody' | 'bass', notes, duration, velocity }
+  const notifyNoteListeners = (event, time) => {
+    noteListenersRef.current.forEach(listener => listener(event, time))
+  }
+
+  // Report a scheduled hand note to the looper and note listeners
+  const emitNote = (event, time) => {
+    if (looperRef.current) {
+      looperRef.current.capture(event, time)
+    }
+    notifyNoteListeners(event, time)
+  }
+
+  // Trigger the melody synth of a hand
+  const triggerMelody = (hand, notes, duration, time, velocity) => {
+    triggerSynth(handRefs[hand].synth.current, notes, duration, time, velocity)
+    emitNote({ hand, voice: 'melody', notes, duration, velocity }, time)
+  }
+
+  // One loop step for a hand: melody (unless the arpeggiator owns it) + bass on the beats
+  // Nothing is stepped in theremin mode - the theremin voice plays continuously instead
+  const playHandStep = (hand, time, meter, stepInfo) => {
+    const refs = handRefs[hand]
+    if (!refs.active.current || !refs.note.current || isStoppedRef.current) return
+    if (thereminSettingsRef.current[hand].enabled) return
+
+    const note = refs.note.current
+    const velocity = refs.velocity.current * stepInfo.accent
+
+    if (!arpSettingsRef.current[hand].enabled) {
+      // Chord mode plays the voiced chord, otherwise the single note
+      const melody = chordModeRef.current[hand] && refs.chord.current
+        ? refs.chord.current
+        : note
+      triggerMelody(hand, melody, meter.subdivision, time, velocity)
+    }
+
+    // Trigger bass (one octave below), once per beat of the meter
+    if (refs.bass.current && stepInfo.isBeat) {
+      const bassNote = note.replace(/\d/, (match) => Math.max(1, parseInt(match) - 1))
+      refs.bass.current.synth.triggerAttackRelease(bassNote, meter.beatDuration, time, velocity * 0.8)
+      emitNote({ hand, voice: 'bass', notes: bassNote, duration: meter.beatDuration, velocity: velocity * 0.8 }, time)
+    }
+  }
+
+  // Push tempo, swing and meter to Tone.Transport
+  const applyTransportSettings = () => {
+    const meter = TIME_SIGNATURES[timeSignatureRef.current]
+    Tone.Transport.timeSignature = meter.timeSignature
+    Tone.Transport.bpm.value = toTransportBpm(tempoRef.current, timeSignatureRef.current)
+    Tone.Transport.swing = swingRef.current
+    Tone.Transport.swingSubdivision = meter.swingSubdivision
+    if (transportLoopRef.current) {
+      transportLoopRef.current.interval = meter.subdivision
+    }
+    if (drumMachineRef.current) {
+      drumMachineRef.current.setMeter(meter)
+    }
+  }
+
+  // One arpeggiator step for a hand, at the hand's current arp rate
+  const playArpStep = (hand, time) => {
+    const refs = handRefs[hand]
+    if (!arpSettingsRef.current[hand].enabled || !refs.active.current || !refs.arp.current) return
+    if (isStoppedRef.current) return
+    if (thereminSettingsRef.current[hand].enabled) return
+
+    const note = refs.arp.current.next()
+    if (note) {
+      triggerMelody(hand, note, refs.arpRate.current, time, refs.velocity.current)
+    }
+  }
 
   const start = async () => {
     if (!isStarted) {
       await Tone.start()
       
-      // Set BPM for rhythmic quantization (120 BPM = moderate tempo)
-      Tone.Transport.bpm.value = 120
-      
-      // Create rhythmic loop - triggers every 8th note
+      // Create rhythmic loop - triggers on every subdivision of the meter (8th notes)
       // This provides musical timing like in the sound field example
+      const initialMeter = TIME_SIGNATURES[timeSignatureRef.current]
       transportLoopRef.current = new Tone.Loop((time) => {
-        // Left hand
-        if (leftActiveRef.current && leftNoteRef.current && !isStopped) {
-          const note = leftNoteRef.current
-          const velocity = leftVelocityRef.current
-          
-          // Trigger melody (safely handle different synth types)
-          if (leftSynthRef.current) {
-            try {
-              // MembraneSynth and MetalSynth don't take note parameter
-              if (leftSynthRef.current instanceof Tone.MembraneSynth || 
-                  leftSynthRef.current instanceof Tone.MetalSynth) {
-                leftSynthRef.current.triggerAttackRelease('8n', time, velocity)
-              } else {
-                leftSynthRef.current.triggerAttackRelease(note, '8n', time, velocity)
-              }
-            } catch (e) {
-              console.error('Error triggering left synth:', e)
-            }
-          }
-          
-          // Trigger bass (one octave below)
-          if (leftBassRef.current && note) {
-            const bassNote = note.replace(/\d/, (match) => Math.max(1, parseInt(match) - 1))
-            leftBassRef.current.triggerAttackRelease(bassNote, '4n', time, velocity * 0.8)
-          }
-        }
-        
-        // Right hand
-        if (rightActiveRef.current && rightNoteRef.current && !isStopped) {
-          const note = rightNoteRef.current
-          const velocity = rightVelocityRef.current
-          
-          // Trigger melody (safely handle different synth types)
-          if (rightSynthRef.current) {
-            try {
-              // MembraneSynth and MetalSynth don't take note parameter
-              if (rightSynthRef.current instanceof Tone.MembraneSynth || 
-                  rightSynthRef.current instanceof Tone.MetalSynth) {
-                rightSynthRef.current.triggerAttackRelease('8n', time, velocity)
-              } else {
-                rightSynthRef.current.triggerAttackRelease(note, '8n', time, velocity)
-              }
-            } catch (e) {
-              console.error('Error triggering right synth:', e)
-            }
-          }
-          
-          // Trigger bass (one octave below)
-          if (rightBassRef.current && note) {
-            const bassNote = note.replace(/\d/, (match) => Math.max(1, parseInt(match) - 1))
-            rightBassRef.current.triggerAttackRelease(bassNote, '4n', time, velocity * 0.8)
-          }
-        }
-      }, '8n')
+        const meter = TIME_SIGNATURES[timeSignatureRef.current]
+        const stepTicks = Tone.Time(meter.subdivision).toTicks()
+        const stepsPerBar = meter.beats * meter.stepsPerBeat
+        const step = Math.round(Tone.Transport.getTicksAtTime(time) / stepTicks) % stepsPerBar
+        const stepInfo = describeStep(step, meter)
+
+        HANDS.forEach(hand => playHandStep(hand, time, meter, stepInfo))
+      }, initialMeter.subdivision)
+
+      // Set tempo, swing and meter for rhythmic quantization (120 BPM 4/4 by default)
+      applyTransportSettings()
+
+      // Arpeggiator loops - one per hand so each can run at its own rate
+      HANDS.forEach(hand => {
+        const arpLoop = new Tone.Loop((time) => playArpStep(hand, time), handRefs[hand].arpRate.current)
+        arpLoop.start(0)
+        handRefs[hand].arpLoop.current = arpLoop
+      })
       
       transportLoopRef.current.start(0)
       Tone.Transport.start()
@@ -309,24 +619,111 @@ export const useSynthesizer = () => {
   }
 
   const stop = () => {
+    isStoppedRef.current = true
     setIsStopped(true)
     leftActiveRef.current = false
     rightActiveRef.current = false
     setLeftPlaying(false)
     setRightPlaying(false)
+    setDrumsPlaying(false)
+    setSongPlaying(false)
+    HANDS.forEach(releaseTheremin)
+    if (looperRef.current) {
+      looperRef.current.cancelRecording()
+      looperRef.current.setAllMuted(true)
+    }
     console.log('🛑 Synthesizer stopped')
   }
 
   const resume = () => {
+    isStoppedRef.current = false
     setIsStopped(false)
     console.log('▶️ Synthesizer resumed')
   }
 
+  // Glide the theremin voice of a hand to the hand's continuous pitch
+  // Starts the voice on the first update of a pinch, then only moves its pitch
+  const updateTheremin = (hand, velocity, extras) => {
+    const refs = handRefs[hand]
+    const voice = refs.theremin.current
+    const settings = thereminSettingsRef.current[hand]
+    const { pitch, scale, wristRoll = 0, normalizedY = 0 } = extras
+    if (!voice || !pitch) return
+
+    const frequency = softSnapFrequency(pitch, scale, settings.snap)
+    voice.synth.portamento = settings.portamento
+    if (voice.isSounding) {
+      voice.synth.setNote(frequency)
+    } else {
+      voice.synth.triggerAttack(frequency)
+      voice.isSounding = true
+    }
+
+    // Velocity sets the loudness, there are no new notes to carry it
+    voice.synth.volume.rampTo(Tone.gainToDb(Math.max(0.05, velocity)), 0.1)
+
+    let vibratoAmount = 0
+    if (settings.vibratoSource === 'roll') {
+      vibratoAmount = mapRollToVibrato(wristRoll)
+    } else if (settings.vibratoSource === 'tremor') {
+      vibratoAmount = refs.tremor.current.push(normalizedY)
+    }
+    voice.vibrato.depth.rampTo(vibratoAmount * VIBRATO_MAX_DEPTH, 0.1)
+  }
+
+  const releaseTheremin = (hand) => {
+    const refs = handRefs[hand]
+    const voice = refs.theremin.current
+    refs.tremor.current.reset()
+    if (!voice || !voice.isSounding) return
+    voice.synth.triggerRelease()
+    voice.isSounding = false
+  }
+
   // Update continuous parameters (called from gesture tracking)
-  const updateParams = (hand, note, velocity, filterFreq, reverb) => {
-    if (isStopped || !isStarted) return
+  // extras: { chord, openness, depth, pitch, wristFilterFreq, wristRoll, normalizedX, normalizedY, scale } from processGestures
+  // - chord (root position) is only used in chord mode
+  // - openness/depth drive the arpeggiator rate
+  // - pitch, wrist filter/roll, normalizedY (tremor) and scale (snapping) are only used in theremin mode
+  // - position, depth, openness and wrist roll drive the effects rack
+  // - modulation: modulation matrix outputs for this hand ({ filterQ, volume, effectsWet })
+  const updateParams = (hand, note, velocity, filterFreq, reverb, extras = {}) => {
+    if (isStoppedRef.current || !isStarted) return
     
     const isLeft = hand === 'Left'
+    const refs = handRefs[hand]
+    const { chord: chordNotes, openness = 0, depth = 0, wristFilterFreq, modulation = {} } = extras
+    const isTheremin = thereminSettingsRef.current[hand].enabled
+
+    if (isTheremin) {
+      updateTheremin(hand, velocity, extras)
+    }
+
+    // Voice-lead to the new chord only when the chord actually changes
+    if (chordModeRef.current[hand] && chordNotes && chordNotes.length > 0) {
+      const chordKey = chordNotes.join(' ')
+      if (refs.chordKey.current !== chordKey) {
+        refs.chord.current = voiceLeadChord(refs.chord.current, chordNotes)
+        refs.chordKey.current = chordKey
+      }
+    }
+
+    // Arpeggiator stage: feed it the current note or chord and follow the rate control
+    const arp = arpSettingsRef.current[hand]
+    if (arp.enabled && refs.arp.current) {
+      const arpNotes = chordModeRef.current[hand] && refs.chord.current
+        ? refs.chord.current
+        : [note]
+      refs.arp.current.setNotes(arpNotes)
+
+      const rate = mapValueToArpRate(arp.rateSource === 'depth' ? depth : openness)
+      if (rate !== refs.arpRate.current) {
+        refs.arpRate.current = rate
+        if (refs.arpLoop.current) {
+          refs.arpLoop.current.interval = rate
+        }
+      }
+    }
     
     // Update note and velocity for rhythmic triggering
     if (isLeft) {
@@ -341,12 +738,22 @@ export const useSynthesizer = () => {
       setRightPlaying(true)
     }
     
-    // Update filter frequency (brightness)
+    // Update filter frequency (brightness, or the wrist position in theremin mode)
     const filter = isLeft ? leftFilterRef.current : rightFilterRef.current
     if (filter) {
-      filter.frequency.rampTo(filterFreq, 0.2)
+      filter.frequency.rampTo(isTheremin && wristFilterFreq ? wristFilterFreq : filterFreq, 0.2)
+      if (modulation.filterQ !== undefined) {
+        filter.Q.rampTo(modulation.filterQ, 0.2)
+      }
     }
     
+    // Effect parameters follow their hand dimensions
+    if (refs.effects.current) {
+      refs.effects.current.setDimensions(getHandDimensions(extras))
+      if (modulation.effectsWet !== undefined) refs.effects.current.setWet(modulation.effectsWet)
+      if (modulation.volume !== undefined) refs.effects.current.setLevel(modulation.volume)
+    }
+
     // Update reverb (spatial depth)
     if (reverbRef.current) {
       reverbRef.current.wet.rampTo(reverb, 0.3)
@@ -355,6 +762,12 @@ export const useSynthesizer = () => {
   
   const stopHand = (hand) => {
     const isLeft = hand === 'Left'
+
+    // Next pinch starts the arpeggio from the beginning
+    if (handRefs[hand].arp.current) {
+      handRefs[hand].arp.current.reset()
+    }
+    releaseTheremin(hand)
     
     if (isLeft) {
       leftActiveRef.current = false
@@ -365,33 +778,514 @@ export const useSynthesizer = () => {
     }
   }
 
+  // Set tempo in felt beats per minute (dotted quarters in 6/8 and 12/8)
+  const setTempo = (bpm) => {
+    const next = clampBpm(bpm)
+    tempoRef.current = next
+    setTempoState(next)
+    Tone.Transport.bpm.rampTo(toTransportBpm(next, timeSignatureRef.current), 0.1)
+    if (songPlayerRef.current) songPlayerRef.current.followTempo(next)
+  }
+
+  // Register a tap, returns the new tempo once the taps form a steady pulse
+  const tapTempo = () => {
+    const bpm = tapTempoRef.current.tap()
+    if (bpm !== null) {
+      setTempo(bpm)
+      console.log(`🥁 Tap tempo: ${bpm} BPM`)
+    }
+    return bpm
+  }
+
+  // Set swing amount (0 = straight, 1 = full triplet swing)
+  const setSwing = (amount) => {
+    const next = Math.max(0, Math.min(1, amount))
+    swingRef.current = next
+    setSwingState(next)
+    Tone.Transport.swing = next
+  }
+
+  // Set the time signature (key of TIME_SIGNATURES)
+  const setTimeSignature = (signature) => {
+    if (!TIME_SIGNATURES[signature]) return
+    timeSignatureRef.current = signature
+    setTimeSignatureState(signature)
+    applyTransportSettings()
+    console.log(`🎼 Time signature: ${signature}`)
+
+    // Switch to a drum pattern written for the new meter
+    const fitted = fitDrumPattern(drumsRef.current, signature)
+    if (fitted !== drumsRef.current) setDrumPattern(fitted.genre, fitted.patternIndex)
+  }
+
+  // Enable/disable chord mode for a hand
+  const setChordMode = (hand, enabled) => {
+    const next = { ...chordModeRef.current, [hand]: enabled }
+    chordModeRef.current = next
+    setChordModeState(next)
+
+    // Start voice leading from scratch next time
+    if (!enabled) {
+      if (hand === 'Left') {
+        leftChordRef.current = null
+        leftChordKeyRef.current = null
+      } else {
+        rightChordRef.current = null
+        rightChordKeyRef.current = null
+      }
+    }
+    console.log(`🎼 ${hand} hand chord mode ${enabled ? 'on' : 'off'}`)
+  }
+
+  const toggleChordMode = (hand) => {
+    setChordMode(hand, !chordModeRef.current[hand])
+  }
+
+  // Update arpeggiator settings for a hand ({ enabled, pattern, octaves, rateSource })
+  const setArpSettings = (hand, changes) => {
+    const next = {
+      ...arpSettingsRef.current,
+      [hand]: { ...arpSettingsRef.current[hand], ...changes }
+    }
+    arpSettingsRef.current = next
+    setArpSettingsState(next)
+
+    const arp = handRefs[hand].arp.current
+    if (arp) {
+      arp.setPattern(next[hand].pattern)
+      arp.setOctaves(next[hand].octaves)
+      if ('enabled' in changes) arp.reset()
+    }
+    if ('enabled' in changes) {
+      console.log(`🎶 ${hand} hand arpeggiator ${next[hand].enabled ? 'on' : 'off'}`)
+    }
+  }
+
+  // Step to the next arpeggio pattern for a hand
+  const cycleArpPattern = (hand) => {
+    const patterns = Object.keys(ARP_PATTERNS)
+    const current = patterns.indexOf(arpSettingsRef.current[hand].pattern)
+    const pattern = patterns[(current + 1) % patterns.length]
+    setArpSettings(hand, { pattern })
+    console.log(`🎶 ${hand} hand arpeggio pattern: ${ARP_PATTERNS[pattern]}`)
+  }
+
+  // Update theremin settings for a hand ({ enabled, portamento, snap, vibratoSource })
+  const setThereminSettings = (hand, changes) => {
+    const next = {
+      ...thereminSettingsRef.current,
+      [hand]: { ...thereminSettingsRef.current[hand], ...changes }
+    }
+    thereminSettingsRef.current = next
+    setThereminSettingsState(next)
+
+    if ('enabled' in changes) {
+      // Switching modes mid-pinch shouldn't leave the old voice hanging
+      if (!next[hand].enabled) releaseTheremin(hand)
+      console.log(`〰️ ${hand} hand theremin ${next[hand].enabled ? 'on' : 'off'}`)
+    }
+  }
+
+  // Run an effects rack edit for a hand and refresh the UI snapshot
+  const editEffects = (hand, edit) => {
+    const rack = handRefs[hand].effects.current
+    if (!rack) return
+    edit(rack)
+    setEffectsState(prev => ({ ...prev, [hand]: rack.getState() }))
+  }
+
+  // Append an effect (key of EFFECT_TYPES) to a hand's chain
+  const addEffect = (hand, type) => {
+    editEffects(hand, rack => rack.add(type))
+    console.log(`🎛️ ${hand} hand effect added: ${type}`)
+  }
+
+  const removeEffect = (hand, id) => {
+    editEffects(hand, rack => rack.remove(id))
+  }
+
+  // Move an effect earlier (-1) or later (1) in the chain
+  const moveEffect = (hand, id, direction) => {
+    editEffects(hand, rack => rack.move(id, direction))
+  }
+
+  const refreshSong = () => {
+    setSongState(songPlayerRef.current ? songPlayerRef.current.getState() : null)
+  }
+
+  /**
+   * Load a dropped song folder (audio stems + optional song.json) and sync tempo and meter to it
+   * @returns {Promise<Object>} Song settings { bpm?, timeSignature?, scale? } - the caller applies the scale
+   */
+  const loadSong = async (name, files) => {
+    const player = songPlayerRef.current
+    if (!player) return null
+
+    const songData = await readSongFiles(name, files)
+    setSongLoading({ loaded: 0, total: songData.stems.length })
+    try {
+      await player.load(songData, (loaded, total) => setSongLoading({ loaded, total }))
+    } catch (err) {
+      // The previous song was unloaded too
+      refreshSong()
+      throw err
+    } finally {
+      setSongLoading(null)
+    }
+
+    const settings = getSongSettings(songData)
+    if (settings.timeSignature) setTimeSignature(settings.timeSignature)
+    if (settings.bpm) setTempo(settings.bpm)
+
+    // Conduct the melody stem by default (or the first one)
+    const melody = getMelodyStem(songData) || songData.stems[0]
+    const conductor = { ...songConductorRef.current, stem: melody.id }
+    songConductorRef.current = conductor
+    setSongConductorState(conductor)
+
+    refreshSong()
+    console.log(`🎵 Song loaded: ${songData.title} (${songData.stems.length} stems)`, settings)
+    return settings
+  }
+
+  // Start the song on the next bar, or stop it
+  const setSongPlaying = (playing) => {
+    const player = songPlayerRef.current
+    if (!player || player.isPlaying === playing) return
+    if (playing) {
+      player.start()
+    } else {
+      player.stop()
+    }
+    refreshSong()
+    console.log(`🎵 Song ${playing ? 'starts on the next bar' : 'stopped'}`)
+  }
+
+  const setStemMuted = (id, muted) => {
+    if (!songPlayerRef.current) return
+    songPlayerRef.current.setMuted(id, muted)
+    refreshSong()
+  }
+
+  // Choose which hand conducts which stem ({ hand: 'Left' | 'Right' | null, stem })
+  const setSongConductor = (changes) => {
+    const previous = songConductorRef.current
+    const next = { ...previous, ...changes }
+    // A stem that's no longer conducted goes back to full volume and an open filter
+    if (previous.stem && songPlayerRef.current && (next.stem !== previous.stem || !next.hand)) {
+      songPlayerRef.current.resetStem(previous.stem)
+    }
+    songConductorRef.current = next
+    setSongConductorState(next)
+  }
+
+  // Conducting hand: height = stem volume, left/right = stem filter
+  const conductSong = (hand, gesture) => {
+    const { hand: conductor, stem } = songConductorRef.current
+    if (conductor !== hand || !stem || !songPlayerRef.current) return
+    songPlayerRef.current.conduct(stem, mapHandToConducting(gesture))
+  }
+
+  const updateConductor = (changes) => {
+    const next = { ...conductorRef.current, ...changes }
+    conductorRef.current = next
+    setConductorState(next)
+  }
+
+  // Choose the baton hand ('Left' | 'Right' | null) - switching off brings the backing back to full level
+  const setConductorHand = (hand) => {
+    beatDetectorRef.current.reset()
+    if (!hand && backingRef.current) {
+      backingRef.current.volume.rampTo(0, 0.3)
+    }
+    updateConductor({ hand, bpm: null, dynamics: null })
+    console.log(hand ? `🪄 Conductor mode: ${hand} hand` : '🪄 Conductor mode off')
+  }
+
+  /**
+   * Follow the baton hand (every frame)
+   * @param {string} hand - 'Left' | 'Right'
+   * @param {number} y - Normalized hand height
+   * @param {number} now - Timestamp in ms
+   */
+  const followConductor = (hand, y, now = performance.now()) => {
+    if (conductorRef.current.hand !== hand) return
+
+    const beat = beatDetectorRef.current.update(y, now)
+    if (!beat) return
+
+    const dynamics = amplitudeToDynamics(beat.amplitude)
+    if (backingRef.current) {
+      backingRef.current.volume.rampTo(dynamics.db, 0.15)
+    }
+    if (beat.bpm !== null && beat.bpm !== tempoRef.current) {
+      setTempo(beat.bpm)
+    }
+    updateConductor({
+      bpm: beat.bpm ?? conductorRef.current.bpm,
+      dynamics,
+      beats: conductorRef.current.beats + 1
+    })
+  }
+
+  // Replace a hand's whole chain ([{ type, source, enabled }], e.g. from a preset)
+  const setEffects = (hand, slots) => {
+    editEffects(hand, rack => {
+      rack.getState().forEach(slot => rack.remove(slot.id))
+      slots.forEach(({ type, source, enabled }) => {
+        rack.add(type, source)
+        const added = rack.slots[rack.slots.length - 1]
+        if (added && enabled === false) rack.update(added.id, { enabled: false })
+      })
+    })
+  }
+
+  // Change an effect's control source (key of HAND_DIMENSIONS) or bypass it ({ source, enabled })
+  const updateEffect = (hand, id, changes) => {
+    editEffects(hand, rack => rack.update(id, changes))
+  }
+
+  const updateDrums = (changes) => {
+    const next = { ...drumsRef.current, ...changes }
+    drumsRef.current = next
+    setDrumsState(next)
+    return next
+  }
+
+  // Start/stop the drum layer (starts on the next bar)
+  const setDrumsPlaying = (playing) => {
+    const drumMachine = drumMachineRef.current
+    if (!drumMachine || playing === drumsRef.current.playing) return
+    if (playing && !isStarted) return
+
+    if (playing) {
+      drumMachine.start()
+    } else {
+      drumMachine.stop()
+    }
+    updateDrums({ playing })
+    console.log(`🥁 Drums ${playing ? 'on' : 'off'}`)
+  }
+
+  const toggleDrums = () => {
+    setDrumsPlaying(!drumsRef.current.playing)
+  }
+
+  // Select a drum pattern (genre key of DRUM_GENRES + index within it)
+  // A pattern for another meter is replaced by one for the current meter, preferably of the same genre
+  const setDrumPattern = (requestedGenre, requestedIndex = 0) => {
+    const { genre, patternIndex } = fitDrumPattern(
+      { genre: requestedGenre, patternIndex: requestedIndex },
+      timeSignatureRef.current
+    )
+    const pattern = getDrumPattern(genre, patternIndex)
+    if (!pattern) return
+
+    if (drumMachineRef.current) {
+      drumMachineRef.current.setPattern(genre, patternIndex)
+    }
+    updateDrums({ genre, patternIndex })
+    console.log(`🥁 Drum pattern: ${DRUM_GENRES[genre].name} - ${pattern.name}`)
+  }
+
+  // Step to the next pattern for the meter (then on to the next genre)
+  const cycleDrumPattern = () => {
+    const { genre, patternIndex } = nextDrumPattern(drumsRef.current, timeSignatureRef.current)
+    setDrumPattern(genre, patternIndex)
+  }
+
+  const triggerDrumFill = () => {
+    if (!drumMachineRef.current || !drumsRef.current.playing) return
+    drumMachineRef.current.triggerFill()
+    console.log('🥁 Drum fill')
+  }
+
+  // Record a looper pass (new loop, or overdub once a loop exists)
+  const recordLoop = () => {
+    if (!looperRef.current || !isStarted) return
+    looperRef.current.record({
+      instruments: { Left: leftInstrumentConfig?.id, Right: rightInstrumentConfig?.id }
+    })
+  }
+
+  const undoLoopLayer = () => {
+    if (looperRef.current) looperRef.current.undo()
+  }
+
+  const clearLoop = () => {
+    if (looperRef.current) looperRef.current.clear()
+  }
+
+  const toggleLoopLayerMute = (layerId) => {
+    if (looperRef.current) looperRef.current.toggleMute(layerId)
+  }
+
+  // Mute everything, or unmute everything if all layers are already muted
+  const toggleLoopMute = () => {
+    const current = looperRef.current
+    if (!current || current.layers.length === 0) return
+    const allMuted = current.layers.every(layer => layer.muted)
+    current.setAllMuted(!allMuted)
+    console.log(`🔁 Looper ${allMuted ? 'unmuted' : 'muted'}`)
+  }
+
+  const setLoopBars = (bars) => {
+    if (looperRef.current) looperRef.current.setBars(bars)
+  }
+
   const cycleInstrument = (hand, direction) => {
+    const instruments = instrumentsRef.current
     if (hand === 'Left') {
       setLeftInstrumentIndex(prev => {
         const next = direction === 'up' 
-          ? (prev + 1) % INSTRUMENTS.length 
-          : (prev - 1 + INSTRUMENTS.length) % INSTRUMENTS.length
-        console.log(`👍 Left hand instrument: ${INSTRUMENTS[next].name}`)
+          ? (prev + 1) % instruments.length 
+          : (prev - 1 + instruments.length) % instruments.length
+        console.log(`👍 Left hand instrument: ${instruments[next].name}`)
         return next
       })
     } else {
       setRightInstrumentIndex(prev => {
         const next = direction === 'up' 
-          ? (prev + 1) % INSTRUMENTS.length 
-          : (prev - 1 + INSTRUMENTS.length) % INSTRUMENTS.length
-        console.log(`👍 Right hand instrument: ${INSTRUMENTS[next].name}`)
+          ? (prev + 1) % instruments.length 
+          : (prev - 1 + instruments.length) % instruments.length
+        console.log(`👍 Right hand instrument: ${instruments[next].name}`)
         return next
       })
     }
   }
 
-  // Dummy recording function (not implemented yet)
-  const startRecording = () => {
-    console.log('🎙️ Recording started (dummy function)')
+  // Jump straight to an instrument (instrument picker)
+  const selectInstrument = (hand, index) => {
+    const instrument = instrumentsRef.current[index]
+    if (!instrument) return
+    if (hand === 'Left') {
+      setLeftInstrumentIndex(index)
+    } else {
+      setRightInstrumentIndex(index)
+    }
+    console.log(`🎯 ${hand} hand instrument: ${instrument.name}`)
   }
 
-  const stopRecording = () => {
-    console.log('⏹️ Recording stopped (dummy function)')
+  // Register an instrument at runtime (see InstrumentRegistry.register)
+  const registerInstrument = (config) => instrumentRegistry.register(config)
+
+  // Register a dropped folder of note-named samples, returns the new instrument
+  const loadSamplePack = (name, files) => instrumentRegistry.registerSamplePack(name, files)
+
+  const removeInstrument = (id) => {
+    instrumentRegistry.unregister(id)
+  }
+
+  // Subscribe to the notes the hands and loop layers play (called at schedule time with the audio time)
+  const subscribeNotes = (listener) => {
+    noteListenersRef.current.add(listener)
+    return () => {
+      noteListenersRef.current.delete(listener)
+    }
+  }
+
+  // Transport, recording and hand-mode state as of now, for callers that run on every hand frame
+  // (the React state they would otherwise read only catches up on the next render)
+  const getPerformanceState = () => ({
+    isStopped: isStoppedRef.current,
+    isRecording: isRecordingRef.current,
+    arpSettings: arpSettingsRef.current,
+    conductor: conductorRef.current,
+    songConductor: songConductorRef.current,
+    songPlaying: !!songPlayerRef.current?.isPlaying
+  })
+
+  // Expose the master bus as a MediaStream (for session video export)
+  const getMasterStream = () => {
+    if (!masterLimiterRef.current) return null
+
+    if (!masterStreamDestRef.current) {
+      masterStreamDestRef.current = Tone.getContext().createMediaStreamDestination()
+      masterLimiterRef.current.connect(masterStreamDestRef.current)
+    }
+    return masterStreamDestRef.current.stream
+  }
+
+  // Start logging hand notes for a MIDI file, shared by audio recording and session export
+  // owner: who needs the capture ('recording' or 'export')
+  const startMidiCapture = (owner) => {
+    const midiFileRecorder = midiFileRecorderRef.current
+    if (!midiFileRecorder) return
+    midiCaptureOwnersRef.current.add(owner)
+    if (midiFileRecorder.isRecording) return
+    midiFileRecorder.start()
+    console.log('🎼 MIDI capture started')
+  }
+
+  // Release the previous MIDI file's URL once a newer one replaces it (or on unmount)
+  useEffect(() => () => {
+    if (lastMidiFile) URL.revokeObjectURL(lastMidiFile.url)
+  }, [lastMidiFile])
+
+  // Stop logging and offer the notes as a Standard MIDI File (type 1, one track per hand/voice)
+  // Keeps logging while another owner still captures, the file then covers both
+  const stopMidiCapture = (owner) => {
+    const midiFileRecorder = midiFileRecorderRef.current
+    midiCaptureOwnersRef.current.delete(owner)
+    if (!midiFileRecorder || !midiFileRecorder.isRecording || midiCaptureOwnersRef.current.size > 0) return null
+
+    const bytes = midiFileRecorder.stop()
+    if (!bytes) {
+      console.log('🎼 MIDI capture stopped - no notes played')
+      return null
+    }
+
+    const blob = new Blob([bytes], { type: 'audio/midi' })
+    const filename = createTimestampedFilename('figureflo', 'mid')
+    setLastMidiFile({ url: URL.createObjectURL(blob), filename, blob })
+    console.log(`🎼 MIDI capture stopped - ${filename} ready`)
+    return blob
+  }
+
+  // Release a take's download URL once a newer take replaces it (or on unmount)
+  useEffect(() => () => {
+    if (lastRecording) URL.revokeObjectURL(lastRecording.url)
+  }, [lastRecording])
+
+  // Record the master output (post-reverb and limiter) through a Tone.Recorder tap
+  // The notes are logged too, so every take also has a MIDI file
+  const startRecording = async () => {
+    const recorder = recorderRef.current
+    if (!recorder || recorder.state === 'started') return
+
+    try {
+      await recorder.start()
+      startMidiCapture('recording')
+      isRecordingRef.current = true
+      setIsRecording(true)
+      console.log('🎙️ Recording started')
+    } catch (e) {
+      console.error('Error starting recording:', e)
+    }
+  }
+
+  // Stop recording and download the take with a timestamped filename
+  const stopRecording = async () => {
+    const recorder = recorderRef.current
+    if (!recorder || recorder.state !== 'started') return null
+
+    try {
+      stopMidiCapture('recording')
+      const blob = await recorder.stop()
+      const filename = createTimestampedFilename('figureflo', extensionForMimeType(blob.type || recorder.mimeType))
+
+      const url = downloadBlob(blob, filename)
+      setLastRecording({ url, filename, blob })
+      isRecordingRef.current = false
+      setIsRecording(false)
+      console.log(`⏹️ Recording stopped - saved ${filename}`)
+      return blob
+    } catch (e) {
+      console.error('Error stopping recording:', e)
+      isRecordingRef.current = false
+      setIsRecording(false)
+      return null
+    }
   }
 
   return {
@@ -401,16 +1295,76 @@ export const useSynthesizer = () => {
     updateParams,
     stopHand,
     cycleInstrument,
+    selectInstrument,
+    setChordMode,
+    toggleChordMode,
+    chordMode,
+    setArpSettings,
+    cycleArpPattern,
+    arpSettings,
+    setThereminSettings,
+    thereminSettings,
+    effects,
+    addEffect,
+    removeEffect,
+    moveEffect,
+    updateEffect,
+    setEffects,
+    setTempo,
+    tapTempo,
+    setSwing,
+    setTimeSignature,
+    tempo,
+    swing,
+    timeSignature,
+    drums,
+    drumGenres: DRUM_GENRES,
+    setDrumsPlaying,
+    toggleDrums,
+    setDrumPattern,
+    cycleDrumPattern,
+    triggerDrumFill,
+    song,
+    songLoading,
+    songConductor,
+    loadSong,
+    setSongPlaying,
+    setStemMuted,
+    setSongConductor,
+    conductSong,
+    conductor,
+    setConductorHand,
+    followConductor,
+    looper,
+    loopLengths: LOOP_LENGTHS,
+    recordLoop,
+    undoLoopLayer,
+    clearLoop,
+    toggleLoopLayerMute,
+    toggleLoopMute,
+    setLoopBars,
     startRecording,
     stopRecording,
+    getMasterStream,
+    getPerformanceState,
+    subscribeNotes,
+    startMidiCapture,
+    stopMidiCapture,
+    lastMidiFile,
     isStarted,
     isPlaying: leftPlaying || rightPlaying,
     leftPlaying,
     rightPlaying,
     isStopped,
-    leftInstrument: INSTRUMENTS[leftInstrumentIndex],
-    rightInstrument: INSTRUMENTS[rightInstrumentIndex],
-    instruments: INSTRUMENTS
+    isRecording,
+    lastRecording,
+    leftInstrument: leftInstrumentConfig || registry.instruments[0],
+    rightInstrument: rightInstrumentConfig || registry.instruments[0],
+    instruments: registry.instruments,
+    instrumentStatus: registry.status,
+    registerInstrument,
+    loadSamplePack,
+    removeInstrument
   }
 }
 
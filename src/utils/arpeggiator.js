@@ -0,0 +1,155 @@
+/**
+ * Arpeggiator
+ * Turns the held note or chord of a hand into a rhythmic note sequence
+ */
+
+import { noteToMidi, midiToNote } from './musicTheory'
+
+export const ARP_PATTERNS = {
+  up: 'Up',
+  down: 'Down',
+  upDown: 'Up-Down',
+  random: 'Random',
+  asPlayed: 'As Played'
+}
+
+// Slowest to fastest (8th, 8th triplet, 16th, 16th triplet)
+export const ARP_RATES = ['8n', '8t', '16n', '16t']
+
+export const DEFAULT_ARP_SETTINGS = {
+  enabled: false,
+  pattern: 'up',
+  octaves: 2,
+  rateSource: 'openness' // 'openness' or 'depth'
+}
+
+/**
+ * Map a 0-1 control value to an arpeggio rate
+ * @param {number} value - Openness or depth (0 = slow, 1 = fast)
+ * @returns {string} Tone.js time notation
+ */
+export function mapValueToArpRate(value) {
+  const index = Math.floor((value || 0) * ARP_RATES.length)
+  return ARP_RATES[Math.max(0, Math.min(ARP_RATES.length - 1, index))]
+}
+
+export class Arpeggiator {
+  constructor({ pattern = DEFAULT_ARP_SETTINGS.pattern, octaves = DEFAULT_ARP_SETTINGS.octaves } = {}) {
+    this.pattern = pattern
+    this.octaves = octaves
+    this.heldNotes = [] // MIDI numbers in the order they were played
+    this.sequence = []
+    this.stepIndex = 0
+    this.lastNote = null
+  }
+
+  /**
+   * Set the arpeggio pattern
+   * @param {string} pattern - Key of ARP_PATTERNS
+   */
+  setPattern(pattern) {
+    if (!ARP_PATTERNS[pattern] || pattern === this.pattern) return
+    this.pattern = pattern
+    this.rebuild()
+  }
+
+  /**
+   * Set how many octaves the held notes are spread over
+   * @param {number} octaves - 1 or more
+   */
+  setOctaves(octaves) {
+    this.octaves = Math.max(1, octaves)
+    this.rebuild()
+  }
+
+  /**
+   * Update the held notes (single note or chord)
+   * Notes that stay held keep their place so "as played" order survives chord changes
+   * @param {string[]} notes - Note names like ['C4', 'E4', 'G4']
+   */
+  setNotes(notes) {
+    const incoming = (notes || []).map(noteToMidi).filter(midi => midi !== null)
+    const kept = this.heldNotes.filter(midi => incoming.includes(midi))
+    const added = incoming.filter(midi => !kept.includes(midi))
+    const next = [...kept, ...added]
+
+    if (next.length === this.heldNotes.length && next.every((midi, i) => midi === this.heldNotes[i])) {
+      return
+    }
+
+    this.heldNotes = next
+    this.rebuild()
+  }
+
+  /**
+   * Rebuild the step sequence for the current notes, pattern and octaves
+   */
+  rebuild() {
+    const spread = []
+    for (let octave = 0; octave < this.octaves; octave++) {
+      this.heldNotes.forEach(midi => spread.push(midi + octave * 12))
+    }
+
+    const ascending = [...spread].sort((a, b) => a - b)
+
+    switch (this.pattern) {
+      case 'down':
+        this.sequence = [...ascending].reverse()
+        break
+      case 'upDown':
+        // Don't repeat the top and bottom notes when turning around
+        this.sequence = ascending.length > 2
+          ? [...ascending, ...ascending.slice(1, -1).reverse()]
+          : ascending
+        break
+      case 'asPlayed':
+        this.sequence = spread
+        break
+      case 'random':
+      case 'up':
+      default:
+        this.sequence = ascending
+        break
+    }
+
+    // Keep the position so the rhythm continues smoothly across changes
+    if (this.sequence.length > 0) {
+      this.stepIndex = this.stepIndex % this.sequence.length
+    } else {
+      this.stepIndex = 0
+    }
+  }
+
+  /**
+   * Advance one step
+   * @returns {string|null} Next note to play
+   */
+  next() {
+    if (this.sequence.length === 0) return null
+
+    let midi
+    if (this.pattern === 'random') {
+      // Avoid playing the same note twice in a row when there is a choice
+      const choices = this.sequence.length > 1
+        ? this.sequence.filter(note => note !== this.lastNote)
+        : this.sequence
+      midi = choices[Math.floor(Math.random() * choices.length)]
+    } else {
+      midi = this.sequence[this.stepIndex % this.sequence.length]
+      this.stepIndex = (this.stepIndex + 1) % this.sequence.length
+    }
+
+    this.lastNote = midi
+    return midiToNote(midi)
+  }
+
+  /**
+   * Forget held notes and restart the pattern
+   */
+  reset() {
+    this.heldNotes = []
+    this.sequence = []
+    this.stepIndex = 0
+    this.lastNote = null
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Conductor
+ * Beat detection from a baton-like hand trajectory: every beat is the bottom of a
+ * down-up stroke (the ictus), the time between beats sets the tempo and the size
+ * of the stroke sets the dynamics of the backing arrangement
+ */
+
+import { clampBpm } from './tempo'
+
+const MIN_STROKE = 0.04     // Normalized height a stroke must travel to count as a beat
+const FULL_STROKE = 0.4     // Stroke height for full volume (ff)
+const MIN_VELOCITY = 0.0002 // Normalized height per ms - slower motion doesn't change direction
+const MIN_BEAT_MS = 250     // 240 BPM
+const MAX_BEAT_MS = 1500    // 40 BPM - a longer pause starts counting again
+const SMOOTHING = 0.5       // Velocity smoothing between frames
+
+// Dynamic marks from the smallest to the largest stroke
+const DYNAMIC_MARKS = ['pp', 'p', 'mp', 'mf', 'f', 'ff']
+const QUIETEST_DB = -18
+
+/**
+ * Map a stroke's height to a backing level
+ * @param {number} amplitude - Normalized stroke height (0-1)
+ * @returns {Object} { db, mark } - level in dB (-18 to 0) and its dynamic mark
+ */
+export function amplitudeToDynamics(amplitude) {
+  const amount = Math.max(0, Math.min(1, (amplitude - MIN_STROKE) / (FULL_STROKE - MIN_STROKE)))
+  const index = Math.min(DYNAMIC_MARKS.length - 1, Math.floor(amount * DYNAMIC_MARKS.length))
+  return {
+    db: QUIETEST_DB - QUIETEST_DB * amount,
+    mark: DYNAMIC_MARKS[index]
+  }
+}
+
+/**
+ * Beat detector for one conducting hand
+ * Feed it the hand's height every frame, it reports a beat on each downward-to-upward reversal
+ */
+export class BeatDetector {
+  constructor({ maxBeats = 4 } = {}) {
+    this.maxBeats = maxBeats
+    this.reset()
+  }
+
+  reset() {
+    this.lastY = null
+    this.lastTime = null
+    this.velocity = 0
+    this.direction = null // 'down' | 'up'
+    this.top = null       // Highest point before the current stroke (smallest y)
+    this.bottom = null    // Lowest point of the current stroke (largest y)
+    this.lastBeat = null
+    this.intervals = []
+  }
+
+  /**
+   * Follow the hand
+   * @param {number} y - Normalized hand height (screen Y, grows downward)
+   * @param {number} now - Timestamp in ms
+   * @returns {Object|null} { bpm, amplitude } on a beat (bpm is null until the beats are steady)
+   */
+  update(y, now = performance.now()) {
+    if (this.lastY === null || now <= this.lastTime) {
+      this.lastY = y
+      this.lastTime = now
+      this.top = y
+      return null
+    }
+
+    const velocity = (y - this.lastY) / (now - this.lastTime)
+    this.velocity = this.velocity * SMOOTHING + velocity * (1 - SMOOTHING)
+    this.lastY = y
+    this.lastTime = now
+
+    if (Math.abs(this.velocity) < MIN_VELOCITY) return null
+
+    let beat = null
+    if (this.velocity > 0) {
+      // Falling towards the ictus
+      if (this.direction !== 'down') this.bottom = y
+      this.direction = 'down'
+      this.bottom = Math.max(this.bottom, y)
+    } else {
+      // The hand turned back up - the bottom of the stroke was the beat
+      if (this.direction === 'down') {
+        beat = this.registerBeat(this.bottom - this.top, now)
+        this.top = y
+      }
+      this.direction = 'up'
+      this.top = Math.min(this.top, y)
+    }
+    return beat
+  }
+
+  registerBeat(amplitude, now) {
+    if (amplitude < MIN_STROKE) return null
+
+    if (this.lastBeat !== null) {
+      const interval = now - this.lastBeat
+      if (interval < MIN_BEAT_MS) return null
+      if (interval > MAX_BEAT_MS) {
+        this.intervals = []
+      } else {
+        this.intervals.push(interval)
+        if (this.intervals.length > this.maxBeats) this.intervals.shift()
+      }
+    }
+    this.lastBeat = now
+
+    return { bpm: this.getBpm(), amplitude }
+  }
+
+  /**
+   * Tempo of the recent beats
+   * @returns {number|null} BPM, or null while there are fewer than 2 steady intervals
+   */
+  getBpm() {
+    if (this.intervals.length < 2) return null
+    const average = this.intervals.reduce((sum, interval) => sum + interval, 0) / this.intervals.length
+    // Every interval within 30% of the average - conducting is looser than tapping
+    const steady = this.intervals.every(interval => Math.abs(interval - average) <= average * 0.3)
+    return steady ? clampBpm(60000 / average) : null
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Drum Machine
+ * Step-sequenced beat layer (kick, snare, hats, percussion) on the Tone.js transport
+ */
+
+import * as Tone from 'tone'
+import {
+  DRUM_FILL,
+  DEFAULT_DRUM_PATTERN,
+  getDrumPattern,
+  stepVelocity
+} from './drumPatterns'
+import { TIME_SIGNATURES, DEFAULT_TIME_SIGNATURE } from './tempo'
+
+const STEP = '16n'
+
+// Descending toms for the fill (one per tom hit)
+const FILL_TOMS = ['A3', 'F3', 'D3', 'A2']
+
+export class DrumMachine {
+  /**
+   * @param {Object} output - Tone.js node to connect to (the master bus)
+   */
+  constructor(output) {
+    this.bus = new Tone.Gain(0.7).connect(output)
+
+    this.kick = new Tone.MembraneSynth({
+      pitchDecay: 0.05,
+      octaves: 6,
+      envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.1 }
+    }).connect(this.bus)
+
+    this.snareFilter = new Tone.Filter(1800, 'highpass').connect(this.bus)
+    this.snare = new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.18, sustain: 0 }
+    }).connect(this.snareFilter)
+
+    this.hat = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 0.05, release: 0.01 },
+      harmonicity: 5.1,
+      modulationIndex: 32,
+      resonance: 4000,
+      octaves: 1.5,
+      volume: -14
+    }).connect(this.bus)
+
+    this.openHat = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 0.3, release: 0.1 },
+      harmonicity: 5.1,
+      modulationIndex: 32,
+      resonance: 4000,
+      octaves: 1.5,
+      volume: -16
+    }).connect(this.bus)
+
+    this.crash = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 1.4, release: 0.5 },
+      harmonicity: 5.1,
+      modulationIndex: 40,
+      resonance: 3000,
+      octaves: 2,
+      volume: -18
+    }).connect(this.bus)
+
+    this.perc = new Tone.MembraneSynth({
+      pitchDecay: 0.02,
+      octaves: 2,
+      envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.1 },
+      volume: -6
+    }).connect(this.bus)
+
+    this.meter = TIME_SIGNATURES[DEFAULT_TIME_SIGNATURE]
+    this.pattern = getDrumPattern(DEFAULT_DRUM_PATTERN.genre, DEFAULT_DRUM_PATTERN.patternIndex)
+    this.isPlaying = false
+    this.fillRequested = false
+    this.fillStep = null
+    this.crashPending = false
+
+    this.loop = new Tone.Loop((time) => this.playStep(time), STEP)
+  }
+
+  /**
+   * Select a pattern (takes effect on the next step)
+   * @param {string} genre - Key of DRUM_GENRES
+   * @param {number} patternIndex - Index within the genre
+   */
+  setPattern(genre, patternIndex) {
+    const pattern = getDrumPattern(genre, patternIndex)
+    if (pattern) {
+      this.pattern = pattern
+    }
+  }
+
+  /**
+   * Follow the transport's time signature
+   * @param {Object} meter - Entry of TIME_SIGNATURES
+   */
+  setMeter(meter) {
+    this.meter = meter
+  }
+
+  /**
+   * Start on the next bar line so the beat lands with the melody loop
+   */
+  start() {
+    if (this.isPlaying) return
+    this.isPlaying = true
+    this.loop.start('@1m')
+  }
+
+  stop() {
+    if (!this.isPlaying) return
+    this.isPlaying = false
+    this.loop.stop()
+    this.fillRequested = false
+    this.fillStep = null
+    this.crashPending = false
+  }
+
+  /**
+   * Play a fill from the next beat, ending with a crash
+   */
+  triggerFill() {
+    if (!this.isPlaying || this.fillStep !== null) return
+    this.fillRequested = true
+  }
+
+  /**
+   * One 16th-note step
+   * @param {number} time - Audio context time of the step
+   */
+  playStep(time) {
+    const stepsPerBeat = this.meter.stepsPerBeat * 2 // 16ths per felt beat
+    const stepsPerBar = this.meter.beats * stepsPerBeat
+    const step = Math.round(Tone.Transport.getTicksAtTime(time) / Tone.Time(STEP).toTicks()) % stepsPerBar
+
+    if (this.fillRequested && step % stepsPerBeat === 0) {
+      this.fillRequested = false
+      this.fillStep = 0
+    }
+
+    if (this.fillStep !== null) {
+      this.playFillStep(time)
+      return
+    }
+
+    if (this.crashPending) {
+      this.crashPending = false
+      this.trigger('crash', 1, time)
+      this.trigger('kick', 1, time)
+      return
+    }
+
+    if (!this.pattern) return
+    Object.entries(this.pattern.steps).forEach(([voice, steps]) => {
+      this.trigger(voice, stepVelocity(steps, step), time)
+    })
+  }
+
+  playFillStep(time) {
+    const step = this.fillStep
+
+    this.trigger('kick', stepVelocity(DRUM_FILL.kick, step), time)
+    this.trigger('snare', stepVelocity(DRUM_FILL.snare, step), time)
+
+    const tomVelocity = stepVelocity(DRUM_FILL.perc, step)
+    if (tomVelocity > 0) {
+      this.perc.triggerAttackRelease(FILL_TOMS[step % FILL_TOMS.length], '16n', time, tomVelocity)
+    }
+
+    this.fillStep++
+    if (this.fillStep >= DRUM_FILL.snare.length) {
+      this.fillStep = null
+      this.crashPending = true
+    }
+  }
+
+  /**
+   * Trigger one drum voice
+   * @param {string} voice - kick, snare, hat, openHat, perc or crash
+   * @param {number} velocity - 0 skips the hit
+   * @param {number} time - Audio context time
+   */
+  trigger(voice, velocity, time) {
+    if (velocity <= 0) return
+
+    try {
+      switch (voice) {
+        case 'kick':
+          this.kick.triggerAttackRelease('C1', '8n', time, velocity)
+          break
+        case 'snare':
+          this.snare.triggerAttackRelease('16n', time, velocity)
+          break
+        case 'hat':
+          this.hat.triggerAttackRelease(200, '32n', time, velocity)
+          break
+        case 'openHat':
+          this.openHat.triggerAttackRelease(200, '8n', time, velocity)
+          break
+        case 'crash':
+          this.crash.triggerAttackRelease(300, '2n', time, velocity)
+          break
+        case 'perc':
+          this.perc.triggerAttackRelease('G3', '16n', time, velocity)
+          break
+        default:
+          break
+      }
+    } catch (e) {
+      console.error(`Error triggering drum voice ${voice}:`, e)
+    }
+  }
+
+  dispose() {
+    const nodes = [this.kick, this.snare, this.snareFilter, this.hat, this.openHat, this.crash, this.perc, this.bus]
+    this.loop.dispose()
+    nodes.forEach(node => node.dispose())
+  }
+}
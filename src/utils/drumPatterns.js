@@ -0,0 +1,252 @@
+/**
+ * Drum Pattern Library
+ * Step patterns in 16th notes: 'X' = accent, 'x' = hit, '.' = rest
+ * Voices: kick, snare, hat, openHat, perc, crash
+ * Each pattern is one bar of its meter (key of TIME_SIGNATURES, 4/4 unless it says otherwise)
+ */
+
+import { DEFAULT_TIME_SIGNATURE } from './tempo'
+
+export const DRUM_GENRES = {
+  rock: {
+    name: 'Rock',
+    patterns: [
+      {
+        name: 'Straight',
+        steps: {
+          kick:  'X.......X.x.....',
+          snare: '....X.......X...',
+          hat:   'X.x.x.x.X.x.x.x.'
+        }
+      },
+      {
+        name: 'Driving',
+        steps: {
+          kick:  'X.x.....X.x..x..',
+          snare: '....X.......X..x',
+          hat:   'Xxxxxxxxxxxxxxxx'
+        }
+      }
+    ]
+  },
+  pop: {
+    name: 'Pop',
+    patterns: [
+      {
+        name: 'Four on the Floor',
+        steps: {
+          kick:  'X...X...X...X...',
+          snare: '....X.......X...',
+          hat:   '..x...x...x...x.'
+        }
+      },
+      {
+        name: 'Half Time',
+        steps: {
+          kick:  'X.....x.........',
+          snare: '........X.......',
+          hat:   'x.x.x.x.x.x.x.x.',
+          perc:  '...x.......x....'
+        }
+      }
+    ]
+  },
+  hiphop: {
+    name: 'Hip Hop',
+    patterns: [
+      {
+        name: 'Boom Bap',
+        steps: {
+          kick:  'X......X..X.....',
+          snare: '....X.......X...',
+          hat:   'x.x.x.x.x.x.x.xx'
+        }
+      },
+      {
+        name: 'Trap',
+        steps: {
+          kick:  'X......x..X.....',
+          snare: '........X.......',
+          hat:   'xxxxxxxxxxxxxxxx',
+          openHat: '.............x..'
+        }
+      }
+    ]
+  },
+  house: {
+    name: 'House',
+    patterns: [
+      {
+        name: 'Classic',
+        steps: {
+          kick:    'X...X...X...X...',
+          snare:   '....x.......x...',
+          openHat: '..x...x...x...x.'
+        }
+      },
+      {
+        name: 'Shuffle',
+        steps: {
+          kick:    'X...X...X...X...',
+          snare:   '....x.......x...',
+          hat:     'x.xxx.xxx.xxx.xx',
+          perc:    '......x.......x.'
+        }
+      }
+    ]
+  },
+  funk: {
+    name: 'Funk',
+    patterns: [
+      {
+        name: 'Ghost Notes',
+        steps: {
+          kick:  'X..x..X...X..x..',
+          snare: '....X..x.x..X...',
+          hat:   'xxxxxxxxxxxxxxxx'
+        }
+      }
+    ]
+  },
+  latin: {
+    name: 'Latin',
+    patterns: [
+      {
+        name: 'Bossa Nova',
+        steps: {
+          kick:  'X..xX..xX..xX..x',
+          perc:  'x..x..x...x..x..',
+          hat:   'xxxxxxxxxxxxxxxx'
+        }
+      },
+      {
+        name: 'Reggae One Drop',
+        steps: {
+          kick:  '........X.......',
+          perc:  '........X.......',
+          hat:   'x.x.x.x.x.x.x.x.'
+        }
+      }
+    ]
+  },
+  triple: {
+    name: 'Waltz, 6/8 & 5/4',
+    patterns: [
+      {
+        name: 'Waltz (3/4)',
+        meter: '3/4',
+        steps: {
+          kick:  'X...........',
+          snare: '....x...x...',
+          hat:   'x.x.x.x.x.x.'
+        }
+      },
+      {
+        name: 'Ballad (6/8)',
+        meter: '6/8',
+        steps: {
+          kick:  'X.....x.....',
+          snare: '......X.....',
+          hat:   'x.x.x.x.x.x.'
+        }
+      },
+      {
+        name: 'Blues Shuffle (12/8)',
+        meter: '12/8',
+        steps: {
+          kick:  'X.....x.....X.....x.....',
+          snare: '......X...........X.....',
+          hat:   'x...x.x...x.x...x.x...x.'
+        }
+      },
+      {
+        name: 'Five (5/4)',
+        meter: '5/4',
+        steps: {
+          kick:  'X.....x.....X.......',
+          snare: '........X.......X...',
+          hat:   'x.x.x.x.x.x.x.x.x.x.'
+        }
+      }
+    ]
+  }
+}
+
+// Two beats of toms into the snare, followed by a crash on the next downbeat
+export const DRUM_FILL = {
+  perc:  'XxXx....',
+  snare: '....xxXX',
+  kick:  'X.....X.'
+}
+
+export const DEFAULT_DRUM_PATTERN = { genre: 'rock', patternIndex: 0 }
+
+/**
+ * Whether a pattern is written for a time signature - patterns of another bar length would wrap mid-bar
+ * @param {Object} pattern - Entry of a genre's patterns
+ * @param {string} signature - Key of TIME_SIGNATURES
+ * @returns {boolean}
+ */
+export function fitsMeter(pattern, signature) {
+  return (pattern.meter || DEFAULT_TIME_SIGNATURE) === signature
+}
+
+// Every { genre, patternIndex } written for a time signature, in library order
+const patternsForMeter = (signature) => Object.entries(DRUM_GENRES).flatMap(([genre, { patterns }]) =>
+  patterns.flatMap((pattern, patternIndex) => (fitsMeter(pattern, signature) ? [{ genre, patternIndex }] : []))
+)
+
+/**
+ * Look up a pattern
+ * @param {string} genre - Key of DRUM_GENRES
+ * @param {number} patternIndex - Index within the genre
+ * @returns {Object|null}
+ */
+export function getDrumPattern(genre, patternIndex) {
+  const patterns = DRUM_GENRES[genre]?.patterns
+  if (!patterns || patterns.length === 0) return null
+  return patterns[((patternIndex % patterns.length) + patterns.length) % patterns.length]
+}
+
+/**
+ * The pattern to play in a time signature: the requested one if it fits,
+ * else the genre's first pattern for the meter, else the first one of any genre
+ * @param {Object} requested - { genre, patternIndex }
+ * @param {string} signature - Key of TIME_SIGNATURES
+ * @returns {Object} { genre, patternIndex } (the requested one when no pattern fits)
+ */
+export function fitDrumPattern(requested, signature) {
+  const pattern = getDrumPattern(requested.genre, requested.patternIndex)
+  if (pattern && fitsMeter(pattern, signature)) return requested
+
+  const fitting = patternsForMeter(signature)
+  return fitting.find(({ genre }) => genre === requested.genre) || fitting[0] || requested
+}
+
+/**
+ * Step to the next pattern for the time signature, moving on to the next genre after the last one
+ * @param {Object} current - { genre, patternIndex }
+ * @param {string} signature - Key of TIME_SIGNATURES
+ * @returns {Object} Next { genre, patternIndex }
+ */
+export function nextDrumPattern({ genre, patternIndex }, signature = DEFAULT_TIME_SIGNATURE) {
+  const fitting = patternsForMeter(signature)
+  if (fitting.length === 0) return { genre, patternIndex }
+
+  const index = fitting.findIndex(entry => entry.genre === genre && entry.patternIndex === patternIndex)
+  return fitting[(index + 1) % fitting.length]
+}
+
+/**
+ * Velocity of a pattern step ('X' accent, 'x' hit, anything else rest)
+ * @param {string} steps - Pattern string for one voice
+ * @param {number} step - Step index (wraps around the pattern)
+ * @returns {number} 0 for a rest
+ */
+export function stepVelocity(steps, step) {
+  if (!steps || steps.length === 0) return 0
+  const symbol = steps[step % steps.length]
+  if (symbol === 'X') return 1
+  if (symbol === 'x') return 0.6
+  return 0
+}
@@ -0,0 +1,208 @@
+/**
+ * Effects Rack
+ * Per-hand chain of Tone.js effects whose key parameter follows a hand dimension
+ */
+
+import * as Tone from 'tone'
+
+// Wrist roll (radians) that reaches either end of the roll dimension (~45°)
+const ROLL_RANGE = 0.8
+
+/**
+ * Hand dimensions an effect parameter can follow (all normalized 0-1)
+ */
+export const HAND_DIMENSIONS = {
+  x: 'Left ↔ Right',
+  y: 'Height',
+  depth: 'Depth',
+  openness: 'Openness',
+  roll: 'Wrist roll'
+}
+
+/**
+ * Read the hand dimensions from the gesture data passed to updateParams
+ * @param {Object} hand - { normalizedX, normalizedY, depth, openness, wristRoll }
+ * @returns {Object} { x, y, depth, openness, roll } in 0-1
+ */
+export function getHandDimensions({ normalizedX = 0.5, normalizedY = 0.5, depth = 0, openness = 0, wristRoll = 0 }) {
+  const clamp = (value) => Math.max(0, Math.min(1, value))
+  return {
+    x: clamp(normalizedX),
+    y: clamp(1 - normalizedY), // Screen Y grows downward
+    depth: clamp(depth),
+    openness: clamp(openness),
+    roll: clamp(0.5 + wristRoll / (2 * ROLL_RANGE))
+  }
+}
+
+// Ramp a signal/param, or assign a plain property only when it changes noticeably
+// (some setters, like Distortion.distortion, rebuild a curve on every change)
+const rampParam = (param, value) => param.rampTo(value, 0.1)
+const setProperty = (effect, property, value, step) => {
+  if (Math.abs(effect[property] - value) >= step) {
+    effect[property] = value
+  }
+}
+
+/**
+ * Available effects
+ * - create(): new effect instance (LFO effects are started)
+ * - param: the key parameter a hand dimension controls, mapped linearly from min to max
+ */
+export const EFFECT_TYPES = {
+  delay: {
+    name: 'Delay',
+    create: () => new Tone.FeedbackDelay({ delayTime: '8n', feedback: 0.3, wet: 0.35 }),
+    param: { name: 'Feedback', min: 0.05, max: 0.75, apply: (effect, value) => rampParam(effect.feedback, value) }
+  },
+  pingPong: {
+    name: 'Ping-Pong Delay',
+    create: () => new Tone.PingPongDelay({ delayTime: '8n', feedback: 0.3, wet: 0.35 }),
+    param: { name: 'Feedback', min: 0.05, max: 0.75, apply: (effect, value) => rampParam(effect.feedback, value) }
+  },
+  chorus: {
+    name: 'Chorus',
+    create: () => new Tone.Chorus({ frequency: 1.5, delayTime: 3.5, depth: 0.7, wet: 0.5 }).start(),
+    param: { name: 'Depth', min: 0, max: 1, apply: (effect, value) => setProperty(effect, 'depth', value, 0.01) }
+  },
+  phaser: {
+    name: 'Phaser',
+    create: () => new Tone.Phaser({ frequency: 0.5, octaves: 3, baseFrequency: 350, wet: 0.5 }),
+    param: { name: 'Rate', min: 0.1, max: 8, apply: (effect, value) => rampParam(effect.frequency, value) }
+  },
+  distortion: {
+    name: 'Distortion',
+    create: () => new Tone.Distortion({ distortion: 0.4, oversample: '2x', wet: 0.5 }),
+    param: { name: 'Drive', min: 0, max: 0.9, apply: (effect, value) => setProperty(effect, 'distortion', value, 0.02) }
+  },
+  bitcrusher: {
+    name: 'Bitcrusher',
+    create: () => new Tone.BitCrusher({ bits: 8, wet: 0.5 }),
+    // More of the dimension = fewer bits = crunchier
+    param: { name: 'Bits', min: 12, max: 2, apply: (effect, value) => rampParam(effect.bits, value) }
+  },
+  autoFilter: {
+    name: 'Auto-Filter',
+    create: () => new Tone.AutoFilter({ frequency: 2, baseFrequency: 200, octaves: 3, wet: 1 }).start(),
+    param: { name: 'Rate', min: 0.25, max: 10, apply: (effect, value) => rampParam(effect.frequency, value) }
+  }
+}
+
+export const DEFAULT_EFFECT_SOURCE = 'y'
+
+/**
+ * Chain of effects between a hand's filter and the shared reverb
+ * input → enabled effects in order → output
+ */
+export class EffectsRack {
+  /**
+   * @param {Tone.ToneAudioNode} output - Where the chain ends (the shared reverb)
+   */
+  constructor(output) {
+    this.input = new Tone.Gain(1)
+    this.output = output
+    this.slots = [] // { id, type, source, enabled, effect }
+    this.nextId = 1
+    this.connect()
+  }
+
+  // Rewire input → enabled effects → output (bypassed effects stay allocated)
+  connect() {
+    this.input.disconnect()
+    this.slots.forEach(slot => slot.effect.disconnect())
+
+    const active = this.slots.filter(slot => slot.enabled).map(slot => slot.effect)
+    this.input.chain(...active, this.output)
+  }
+
+  /**
+   * Append an effect to the end of the chain
+   * @param {string} type - Key of EFFECT_TYPES
+   * @param {string} source - Key of HAND_DIMENSIONS
+   */
+  add(type, source = DEFAULT_EFFECT_SOURCE) {
+    const definition = EFFECT_TYPES[type]
+    if (!definition) return
+
+    this.slots.push({ id: this.nextId++, type, source, enabled: true, effect: definition.create() })
+    this.connect()
+  }
+
+  remove(id) {
+    const slot = this.slots.find(item => item.id === id)
+    if (!slot) return
+
+    this.slots = this.slots.filter(item => item !== slot)
+    this.connect()
+    slot.effect.dispose()
+  }
+
+  /**
+   * Move an effect earlier (-1) or later (1) in the chain
+   */
+  move(id, direction) {
+    const index = this.slots.findIndex(item => item.id === id)
+    const target = index + direction
+    if (index < 0 || target < 0 || target >= this.slots.length) return
+
+    const slots = [...this.slots]
+    const [slot] = slots.splice(index, 1)
+    slots.splice(target, 0, slot)
+    this.slots = slots
+    this.connect()
+  }
+
+  /**
+   * Change an effect's control source or bypass it
+   * @param {Object} changes - { source, enabled }
+   */
+  update(id, changes) {
+    const slot = this.slots.find(item => item.id === id)
+    if (!slot) return
+
+    const wasEnabled = slot.enabled
+    Object.assign(slot, changes)
+    if (slot.enabled !== wasEnabled) this.connect()
+  }
+
+  /**
+   * Follow the hand: set each effect's key parameter from its dimension
+   * @param {Object} dimensions - From getHandDimensions()
+   */
+  setDimensions(dimensions) {
+    this.slots.forEach(slot => {
+      const { param } = EFFECT_TYPES[slot.type]
+      const amount = dimensions[slot.source] ?? 0
+      param.apply(slot.effect, param.min + amount * (param.max - param.min))
+    })
+  }
+
+  /**
+   * Wet/dry mix of every effect in the chain (modulation matrix target)
+   * @param {number} amount - 0-1
+   */
+  setWet(amount) {
+    this.slots.forEach(slot => slot.effect.wet.rampTo(amount, 0.1))
+  }
+
+  /**
+   * Level going into the chain in dB (modulation matrix target)
+   */
+  setLevel(decibels) {
+    this.input.gain.rampTo(Tone.dbToGain(decibels), 0.1)
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {Object[]} { id, type, source, enabled }
+   */
+  getState() {
+    return this.slots.map(({ id, type, source, enabled }) => ({ id, type, source, enabled }))
+  }
+
+  dispose() {
+    this.slots.forEach(slot => slot.effect.dispose())
+    this.slots = []
+    this.input.dispose()
+  }
+}
@@ -2,6 +2,8 @@
  * Helper utilities for WebGL Fluid Simulation
  */
 
+import { getScaleDegree, SCALES } from './musicTheory'
+
 /**
  * Convert HSV color to RGB
  */
@@ -102,11 +104,21 @@ export function generateColor() {
 }
 
 /**
- * Map musical note to color hue (pentatonic scale awareness)
+ * Map musical note to color hue (scale awareness)
+ * With scale settings, degrees of the selected scale spread evenly over the
+ * spectrum so every key and mode uses the full palette (root = red)
+ * @param {string} note - Note like "C4" or "D#5"
+ * @param {Object} scale - Optional scale settings { root, scale }
  */
-export function noteToHue(note, scale = 'pentatonic') {
+export function noteToHue(note, scale = null) {
   // Note is like "C4", "D#5", etc.
   if (!note) return Math.random()
+
+  if (scale) {
+    const degree = getScaleDegree(note, scale)
+    const degreeCount = (SCALES[scale.scale] || SCALES.majorPentatonic).intervals.length
+    if (degree >= 0) return degree / degreeCount
+  }
   
   // Extract note name without octave
   const noteName = note.replace(/[0-9]/g, '')
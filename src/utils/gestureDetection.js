@@ -47,6 +47,24 @@ const isFingerExtended = (tipLandmark, mcpLandmark, pipLandmark) => {
   return tipToMCP > pipToMCP * 1.2
 }
 
+/**
+ * Count extended fingers (thumb excluded)
+ * @param {Array} landmarks - Hand landmarks from MediaPipe
+ * @param {string[]} fingers - Which fingers to check
+ * @returns {number} - Number of extended fingers
+ */
+export const countExtendedFingers = (landmarks, fingers = ['index', 'middle', 'ring', 'pinky']) => {
+  if (!landmarks || landmarks.length < 21) return 0
+  
+  const points = getLandmarkPoints(landmarks)
+  
+  return fingers.filter(finger => isFingerExtended(
+    points[`${finger}Tip`],
+    points[`${finger}MCP`],
+    points[`${finger}PIP`]
+  )).length
+}
+
 /**
  * Check if thumb is extended (different check since thumb moves differently)
  */
@@ -260,7 +278,7 @@ export const detectThumbsUp = (landmarks) => {
 /**
  * Detect if a specific hand (left or right) is making a gesture
  * @param {Array} landmarks - Array of all hand landmarks
- * @param {Array} handedness - Array of handedness info from MediaPipe
+ * @param {Array} handedness - Handedness categories per hand from MediaPipe (handedness[i][0].categoryName)
  * @param {string} targetHand - 'Left' or 'Right'
  * @param {Function} gestureDetector - The gesture detection function to use
  * @returns {Object} - { detected: boolean, confidence: number }
@@ -272,7 +290,7 @@ export const detectHandSpecificGesture = (landmarks, handedness, targetHand, ges
   
   // Find the target hand
   for (let i = 0; i < landmarks.length; i++) {
-    if (handedness[i] && handedness[i].categoryName === targetHand) {
+    if (handedness[i] && handedness[i][0] && handedness[i][0].categoryName === targetHand) {
       return gestureDetector(landmarks[i])
     }
   }
@@ -295,7 +313,7 @@ export const detectCalibrationGestures = (handData) => {
     }
   }
   
-  const { landmarks, handedness, gestures, gestureHandedness } = handData
+  const { landmarks, handedness, gestures } = handData
   
   // Use MediaPipe's built-in gesture recognition when available
   let twoPalmsOut = detectTwoPalmsOut(landmarks, handedness)
@@ -314,7 +332,7 @@ export const detectCalibrationGestures = (handData) => {
     gestures.forEach((gestureList, index) => {
       if (gestureList && gestureList.length > 0) {
         const gesture = gestureList[0]
-        const handednessItem = gestureHandedness && gestureHandedness[index] ? gestureHandedness[index][0] : null
+        const handednessItem = handedness && handedness[index] ? handedness[index][0] : null
         const hand = handednessItem ? handednessItem.categoryName : null
         
         if (gesture.categoryName === 'Open_Palm') {
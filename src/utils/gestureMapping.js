@@ -1,3 +1,7 @@
+import { buildScaleNotes, buildChord, fitNotesToRange, DEFAULT_SCALE_SETTINGS } from './musicTheory'
+import { countExtendedFingers } from './gestureDetection'
+import { getPitchRange, calculateWristRoll } from './theremin'
+
 /**
  * Calculate the average position of all landmarks in a hand
  */
@@ -72,6 +76,81 @@ export const detectVictorySign = (landmarks) => {
   return indexExtended && middleExtended && ringCurled && pinkyCurled
 }
 
+/**
+ * Detect rock-on sign (index and pinky extended, middle and ring curled)
+ */
+export const detectRockOn = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return false
+  
+  const indexTip = landmarks[8]
+  const indexMid = landmarks[6]
+  const middleTip = landmarks[12]
+  const middleMid = landmarks[10]
+  const ringTip = landmarks[16]
+  const ringMid = landmarks[14]
+  const pinkyTip = landmarks[20]
+  const pinkyMid = landmarks[18]
+  
+  // Index and pinky extended (the horns)
+  const indexExtended = indexTip.y < indexMid.y - 0.02
+  const pinkyExtended = pinkyTip.y < pinkyMid.y - 0.02
+  
+  // Middle and ring folded down
+  const middleCurled = middleTip.y >= middleMid.y - 0.03
+  const ringCurled = ringTip.y >= ringMid.y - 0.03
+  
+  // Thumb can be anywhere (🤘 and 🤟 both count)
+  
+  return indexExtended && pinkyExtended && middleCurled && ringCurled
+}
+
+/**
+ * Detect shaka / "call me" sign (thumb and pinky extended, the other fingers curled)
+ * Measured from the wrist, so it works with the hand upright or sideways
+ */
+export const detectShaka = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return false
+  
+  const wrist = landmarks[0]
+  // How far a fingertip reaches past its knuckle (~1.7 extended, ~1 curled)
+  const reach = (tipIdx, knuckleIdx) => calculateDistance(landmarks[tipIdx], wrist) / 
+    Math.max(0.0001, calculateDistance(landmarks[knuckleIdx], wrist))
+  
+  const pinkyExtended = reach(20, 17) > 1.5
+  const othersCurled = [[8, 5], [12, 9], [16, 13]].every(([tipIdx, knuckleIdx]) => reach(tipIdx, knuckleIdx) < 1.25)
+  
+  // Thumb sticks out: tip far from the index knuckle compared to the palm width
+  const palmWidth = calculateDistance(landmarks[5], landmarks[17])
+  const thumbExtended = calculateDistance(landmarks[4], landmarks[5]) > palmWidth * 0.8
+  
+  return pinkyExtended && othersCurled && thumbExtended
+}
+
+/**
+ * Detect pointing up (only the index finger extended)
+ */
+export const detectPointingUp = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return false
+  
+  const indexTip = landmarks[8]
+  const indexMid = landmarks[6]
+  const middleTip = landmarks[12]
+  const middleMid = landmarks[10]
+  const ringTip = landmarks[16]
+  const ringMid = landmarks[14]
+  const pinkyTip = landmarks[20]
+  const pinkyMid = landmarks[18]
+  
+  // Index finger clearly up
+  const indexExtended = indexTip.y < indexMid.y - 0.04
+  
+  // Middle, ring and pinky folded down
+  const othersCurled = [[middleTip, middleMid], [ringTip, ringMid], [pinkyTip, pinkyMid]]
+    .every(([tip, mid]) => tip.y >= mid.y - 0.03)
+  
+  return indexExtended && othersCurled
+}
+
 /**
  * Detect thumbs up gesture
  */
@@ -150,26 +229,39 @@ export const detectFist = (landmarks) => {
   return allCurled
 }
 
-// Pentatonic scale - always sounds musical, no dissonance
-// C major pentatonic: C, D, E, G, A
-const PENTATONIC_SCALE = ['C3', 'D3', 'E3', 'G3', 'A3', 'C4', 'D4', 'E4', 'G4', 'A4', 'C5', 'D5', 'E5']
+// Default scale (C major pentatonic) - always sounds musical, no dissonance
+const DEFAULT_SCALE_NOTES = buildScaleNotes(DEFAULT_SCALE_SETTINGS)
 
 /**
- * Map hand Y position to quantized pentatonic note
+ * Map hand Y position to a note quantized to the given scale
  * Higher hand = higher pitch (quantized to always sound good)
+ * @param {Array} landmarks - Hand landmarks from MediaPipe
+ * @param {string[]} scaleNotes - Notes from low to high (see buildScaleNotes)
+ * @param {Object} options
+ * @param {string} options.previousNote - The hand's note on the previous frame
+ * @param {number} options.hysteresis - Share of a note step (0-0.5) the hand has to move past
+ *   the previous note's boundaries before the note changes, so it doesn't flicker on a boundary
  */
-export const mapHandToNote = (landmarks) => {
-  if (!landmarks || landmarks.length === 0) return null
+export const mapHandToNote = (landmarks, scaleNotes = DEFAULT_SCALE_NOTES, { previousNote = null, hysteresis = 0 } = {}) => {
+  if (!landmarks || landmarks.length === 0 || !scaleNotes || scaleNotes.length === 0) return null
   
   const center = calculateHandCenter(landmarks)
   // Invert Y (0 = top, 1 = bottom in screen coords)
   const normalizedY = 1 - center.y
   
-  // Quantize to pentatonic scale
-  const noteIndex = Math.floor(normalizedY * PENTATONIC_SCALE.length)
-  const clampedIndex = Math.max(0, Math.min(PENTATONIC_SCALE.length - 1, noteIndex))
+  // Quantize to scale
+  const position = normalizedY * scaleNotes.length
+  let noteIndex = Math.floor(position)
+
+  // Hold the previous note until the hand is clearly past its step
+  const previousIndex = previousNote ? scaleNotes.indexOf(previousNote) : -1
+  if (previousIndex >= 0 && position > previousIndex - hysteresis && position < previousIndex + 1 + hysteresis) {
+    noteIndex = previousIndex
+  }
+
+  const clampedIndex = Math.max(0, Math.min(scaleNotes.length - 1, noteIndex))
   
-  return PENTATONIC_SCALE[clampedIndex]
+  return scaleNotes[clampedIndex]
 }
 
 /**
@@ -220,21 +312,21 @@ export const calculateDistance = (landmark1, landmark2) => {
 }
 
 /**
- * Map hand height to pitch (frequency)
- * Higher hand = higher pitch
+ * Map hand height to continuous pitch (frequency) for theremin mode
+ * Higher hand = higher pitch, exponential so equal distances are equal intervals
+ * Uses the hand center like mapHandToNote, so both modes share the same register
+ * @param {Array} landmarks - Hand landmarks from MediaPipe
+ * @param {Object} range - { minFreq, maxFreq } in Hz (see getPitchRange)
  */
-export const mapHandToPitch = (landmarks) => {
+export const mapHandToPitch = (landmarks, range = { minFreq: 200, maxFreq: 1000 }) => {
   if (!landmarks || landmarks.length === 0) return null
   
-  // Use wrist position (landmark 0) for Y position
-  const wrist = landmarks[0]
+  const center = calculateHandCenter(landmarks)
   // Invert Y (0 = top, 1 = bottom in screen coords)
-  const normalizedY = 1 - wrist.y
+  const normalizedY = Math.max(0, Math.min(1, 1 - center.y))
   
-  // Map to frequency range (200 Hz to 1000 Hz)
-  const minFreq = 200
-  const maxFreq = 1000
-  const frequency = minFreq + (normalizedY * (maxFreq - minFreq))
+  const { minFreq, maxFreq } = range
+  const frequency = minFreq * Math.pow(maxFreq / minFreq, normalizedY)
   
   return frequency
 }
@@ -315,35 +407,94 @@ export const calculateHandOpenness = (landmarks) => {
   return Math.max(0, Math.min(1, (avgDistance - minOpen) / (maxOpen - minOpen)))
 }
 
+/**
+ * Estimate how close the hand is to the camera (0 = far, 1 = close)
+ * MediaPipe's landmark z is relative to the wrist, so the apparent palm
+ * size (wrist to middle finger base) is used as the depth cue instead
+ */
+export const mapHandToDepth = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return 0
+  
+  const wrist = landmarks[0]
+  const middleMCP = landmarks[9]
+  const palmSize = Math.hypot(wrist.x - middleMCP.x, wrist.y - middleMCP.y)
+  
+  // Normalize to 0-1 range
+  const minSize = 0.08 // Hand far from camera
+  const maxSize = 0.3  // Hand close to camera
+  
+  return Math.max(0, Math.min(1, (palmSize - minSize) / (maxSize - minSize)))
+}
+
+// Fingers that stay free while pinching (the index finger is busy with the thumb)
+const CHORD_FINGERS = ['middle', 'ring', 'pinky']
+
+// Extended free fingers -> chord quality
+const CHORD_QUALITY_BY_FINGERS = ['triad', 'seventh', 'sus', 'add9']
+
+/**
+ * Map the number of extended (free) fingers to a chord quality
+ * 0 = triad, 1 = seventh, 2 = sus4, 3 = add9
+ */
+export const mapFingersToChordQuality = (extendedCount) => {
+  const index = Math.max(0, Math.min(CHORD_QUALITY_BY_FINGERS.length - 1, extendedCount))
+  return CHORD_QUALITY_BY_FINGERS[index]
+}
+
 /**
  * Main gesture processing function
  * Takes hand landmarks and returns musical parameters for each hand
  * Based on sound field theory: Y-axis = pitch, X-axis = brightness
+ * @param {Object} handData - Results from useHandTracking
+ * @param {Object} options
+ * @param {Object} options.scale - Scale settings { root, scale, lowOctave, highOctave }
+ * @param {Object} options.ranges - Playable range of each hand's instrument { Left: ['C2', 'A4'], Right: null }
+ * @param {Object} options.previousNotes - Each hand's note on the previous frame { Left: 'E4', Right: null }
+ * @param {number} options.hysteresis - Note hysteresis (see mapHandToNote)
+ * @param {Array} options.noteLandmarks - Smoothed landmarks per hand for note and pitch selection,
+ *   everything else (gestures, hand center for tremor and conductor) reads the raw landmarks
  */
-export const processGestures = (handData) => {
+export const processGestures = (handData, options = {}) => {
   if (!handData || !handData.landmarks || handData.landmarks.length === 0) {
     return null
   }
   
+  const scaleNotes = options.scale ? buildScaleNotes(options.scale) : DEFAULT_SCALE_NOTES
+  const ranges = options.ranges || {}
+  const previousNotes = options.previousNotes || {}
   const hands = []
   
   // Process each detected hand
   for (let i = 0; i < Math.min(handData.landmarks.length, 2); i++) {
     const landmarks = handData.landmarks[i]
-    const mediaPipeHandedness = handData.handednesses && handData.handednesses[i] 
-      ? handData.handednesses[i][0].categoryName 
+    const mediaPipeHandedness = handData.handedness && handData.handedness[i] 
+      ? handData.handedness[i][0].categoryName 
       : (i === 0 ? 'Left' : 'Right')
     
     // IMPORTANT: MediaPipe reports handedness in mirror view (video is mirrored)
     // So we need to swap: MediaPipe's "Right" = physical LEFT hand, MediaPipe's "Left" = physical RIGHT hand
     const handedness = mediaPipeHandedness === 'Right' ? 'Left' : 'Right'
+    const noteLandmarks = options.noteLandmarks?.[i] || landmarks
     
     // Musical mapping: height = pitch, position = brightness
-    const note = mapHandToNote(landmarks)
+    // Scale transposed/clamped into the instrument's range
+    const note = mapHandToNote(noteLandmarks, fitNotesToRange(scaleNotes, ranges[handedness]), {
+      previousNote: previousNotes[handedness],
+      hysteresis: options.hysteresis
+    })
     const bassNote = getBassNote(note)
+    const extendedFingers = countExtendedFingers(landmarks, CHORD_FINGERS)
+    const chordQuality = mapFingersToChordQuality(extendedFingers)
+    const chord = buildChord(note, chordQuality, options.scale || DEFAULT_SCALE_SETTINGS)
     const brightness = mapHandToBrightness(landmarks)
     const pinch = detectPinch(landmarks)
     const velocity = mapPinchToVelocity(pinch)
+    const openness = calculateHandOpenness(landmarks)
+    const depth = mapHandToDepth(landmarks)
+    // Theremin mode: continuous pitch, wrist filter and roll (for vibrato)
+    const pitch = mapHandToPitch(noteLandmarks, getPitchRange(options.scale || DEFAULT_SCALE_SETTINGS))
+    const wristFilterFreq = mapHandToFilter(landmarks)
+    const wristRoll = calculateWristRoll(landmarks)
     
     // Detect gestures for control
     const isOpenPalm = detectOpenPalm(landmarks)
@@ -351,6 +502,9 @@ export const processGestures = (handData) => {
     const isThumbsDown = detectThumbsDown(landmarks)
     const isFist = detectFist(landmarks)
     const isVictorySign = detectVictorySign(landmarks)
+    const isRockOn = detectRockOn(landmarks)
+    const isPointingUp = detectPointingUp(landmarks) && pinch < 0.5
+    const isShaka = detectShaka(landmarks)
     
     // Calculate hand center position for fluid simulation
     const handCenter = calculateHandCenter(landmarks)
@@ -360,19 +514,30 @@ export const processGestures = (handData) => {
     hands.push({
       handedness, // This is now the PHYSICAL hand (left/right in real world)
       landmarks,
-      note,           // Quantized to pentatonic scale
+      note,           // Quantized to the selected scale
       bassNote,       // Octave below for harmonic depth
+      extendedFingers, // Free fingers extended while pinching (middle, ring, pinky)
+      chordQuality,   // Chord quality selected by hand shape
+      chord,          // Diatonic chord on the note, root position
       filterFreq: brightness.filterFreq,
       reverb: brightness.reverb,
       brightness: brightness.brightness,
       pinch,
       velocity,
+      openness,       // Thumb to fingertips spread (0-1)
+      depth,          // Closeness to the camera (0-1)
+      pitch,          // Continuous pitch in Hz (theremin mode)
+      wristFilterFreq, // Wrist X mapped to filter cutoff (theremin mode)
+      wristRoll,      // Knuckle line rotation in radians (theremin vibrato)
       isPinched: pinch > 0.7,
       isOpenPalm,
       isThumbsUp,
       isThumbsDown,
       isFist,
       isVictorySign,
+      isRockOn,
+      isPointingUp,
+      isShaka,
       normalizedX,    // Hand center X position (0-1)
       normalizedY     // Hand center Y position (0-1)
     })
@@ -390,11 +555,26 @@ export const processGestures = (handData) => {
   const bothHandsVictory = hands.length === 2 && 
                            hands.every(hand => hand.isVictorySign)
   
+  // Detect both hands rock-on sign (drum fill gesture)
+  const bothHandsRockOn = hands.length === 2 && 
+                          hands.every(hand => hand.isRockOn)
+  
+  // Detect both hands pointing up (looper mute / clear gesture)
+  const bothHandsPointing = hands.length === 2 && 
+                            hands.every(hand => hand.isPointingUp)
+  
+  // Detect both hands shaka (next preset gesture)
+  const bothHandsShaka = hands.length === 2 && 
+                         hands.every(hand => hand.isShaka)
+  
   return {
     hands,
     bothHandsOpen,
     bothHandsFist,
     bothHandsVictory,
+    bothHandsRockOn,
+    bothHandsPointing,
+    bothHandsShaka,
     handCount: hands.length
   }
 }
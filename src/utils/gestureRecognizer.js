@@ -0,0 +1,71 @@
+/**
+ * Gesture Recognizer
+ * Creates the MediaPipe gesture recognizer (shared by the tracking worker and the
+ * main-thread fallback) and shapes its results into the hand data the app reads
+ */
+
+import { GestureRecognizer } from '@mediapipe/tasks-vision'
+import { loadMediaPipeAssets, MEDIAPIPE_SOURCE } from './mediapipeAssets'
+
+/**
+ * MediaPipe loads its WASM loader with importScripts(), which module workers can't run -
+ * import the (already verified) loader as a module instead and hand MediaPipe the factory
+ * it defines, so it skips loading the script itself
+ * @param {Object} fileset - From loadMediaPipeAssets()
+ * @returns {Promise<Object>} The fileset without a loader to load
+ */
+const importWasmLoader = async (fileset) => {
+  const response = await fetch(fileset.wasmLoaderPath)
+  if (!response.ok) throw new Error(`Couldn't load the hand tracking runtime (HTTP ${response.status})`)
+  const source = `${await response.text()}\nexport default ModuleFactory\n`
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }))
+  try {
+    self.ModuleFactory = (await import(/* @vite-ignore */ url)).default
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+  return { ...fileset, wasmLoaderPath: undefined }
+}
+
+/**
+ * One model pass per frame: the gesture recognizer runs the hand landmarker internally
+ * and returns the landmarks, handedness and gestures of the same hands
+ * @param {string} source - See MEDIAPIPE_SOURCE
+ * @returns {Promise<GestureRecognizer>}
+ */
+export async function createGestureRecognizer(source = MEDIAPIPE_SOURCE) {
+  const assets = await loadMediaPipeAssets(source)
+  try {
+    const inWorker = typeof document === 'undefined'
+    const fileset = inWorker ? await importWasmLoader(assets.fileset) : assets.fileset
+    return await GestureRecognizer.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetBuffer: assets.gestureRecognizer,
+        delegate: 'GPU'
+      },
+      runningMode: 'VIDEO',
+      numHands: 2,
+      minHandDetectionConfidence: 0.5,
+      minHandPresenceConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    })
+  } finally {
+    assets.release()
+  }
+}
+
+/**
+ * Hand data in the shape processGestures and the calibration read
+ * Gestures and handedness come from the same pass, so index i is always the same hand
+ * @param {Object} results - GestureRecognizerResult
+ * @returns {Object} { landmarks, worldLandmarks, handedness, gestures } - handedness[i][0].categoryName
+ *   is MediaPipe's 'Left' / 'Right' for hand i
+ */
+export function toHandData(results) {
+  return {
+    landmarks: results.landmarks,
+    worldLandmarks: results.worldLandmarks,
+    handedness: results.handedness,
+    gestures: results.gestures
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Hand Frame Store
+ * Hands every tracked frame to its subscribers (gesture processing, synth, fluid) without
+ * going through React state - re-rendering the app at camera frame rate is too slow to play with.
+ * React state only follows at UI_UPDATE_INTERVAL_MS for the debug and calibration UI.
+ */
+
+// How often tracking data reaches React state (ms, ~10 updates per second)
+export const UI_UPDATE_INTERVAL_MS = 100
+
+export class HandFrameStore {
+  constructor() {
+    this.frame = null
+    this.listeners = new Set()
+  }
+
+  // The latest hand data (null before the first frame)
+  getFrame() {
+    return this.frame
+  }
+
+  // Listen for every tracked frame, returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Publish a tracked frame to all subscribers
+   * @param {Object} handData - See toHandData()
+   */
+  publish(handData) {
+    this.frame = handData
+    this.listeners.forEach(listener => listener(handData))
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Hand Trackers
+ * Run the gesture recognizer on video frames - in a Web Worker (video frames are sent as
+ * transferred ImageBitmaps) or, where workers can't run it, on the main thread.
+ * Both have the same interface: init(source), detect(video, timestamp), close()
+ */
+
+import { createGestureRecognizer, toHandData } from './gestureRecognizer'
+
+/**
+ * Can this browser track hands in a worker? (needs ImageBitmap transfer and OffscreenCanvas for the GPU delegate)
+ * @returns {boolean}
+ */
+export function canTrackInWorker() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function'
+}
+
+export class WorkerHandTracker {
+  constructor() {
+    this.worker = null
+    this.nextId = 1
+    this.pending = new Map() // id -> { resolve, reject }
+    this.starting = null // { resolve, reject } of init() until the worker is ready
+    this.where = 'worker'
+  }
+
+  /**
+   * Start the worker and load the model in it
+   * @param {string} source - See MEDIAPIPE_SOURCE
+   */
+  init(source) {
+    this.worker = new Worker(new URL('../workers/handTracking.worker.js', import.meta.url), { type: 'module' })
+
+    return new Promise((resolve, reject) => {
+      this.starting = { resolve, reject }
+      this.worker.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+          this.starting = null
+          resolve()
+        } else if (data.type === 'results') {
+          this.settle(data.id, 'resolve', { handData: data.handData, inferenceMs: data.inferenceMs })
+        } else if (data.type === 'error') {
+          if (data.id === undefined) {
+            this.starting = null
+            reject(new Error(data.message))
+          } else {
+            this.settle(data.id, 'reject', new Error(data.message))
+          }
+        }
+      }
+      this.worker.onerror = (event) => {
+        event.preventDefault()
+        this.rejectAll(new Error(event.message || 'Hand tracking worker failed'))
+      }
+      this.worker.postMessage({ type: 'init', source })
+    })
+  }
+
+  // Fail init() and every frame still waiting for the worker
+  rejectAll(err) {
+    if (this.starting) {
+      this.starting.reject(err)
+      this.starting = null
+    }
+    this.pending.forEach(({ reject }) => reject(err))
+    this.pending.clear()
+  }
+
+  settle(id, outcome, value) {
+    const frame = this.pending.get(id)
+    if (!frame) return
+    this.pending.delete(id)
+    frame[outcome](value)
+  }
+
+  /**
+   * Track the current video frame
+   * @param {HTMLVideoElement} video
+   * @param {number} timestamp - ms, must increase from frame to frame
+   * @returns {Promise<Object>} { handData, inferenceMs, captureMs (main-thread cost of handing the frame over) }
+   */
+  async detect(video, timestamp) {
+    const start = performance.now()
+    const bitmap = await createImageBitmap(video)
+    if (!this.worker) {
+      bitmap.close()
+      throw new Error('Hand tracking was stopped')
+    }
+    const id = this.nextId++
+    const result = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject })
+    })
+    this.worker.postMessage({ type: 'frame', id, bitmap, timestamp }, [bitmap])
+    const captureMs = performance.now() - start
+    return { ...(await result), captureMs }
+  }
+
+  // Terminating the worker frees the recognizer with it - anything still waiting on it fails
+  close() {
+    if (!this.worker) return
+    this.worker.terminate()
+    this.worker = null
+    this.rejectAll(new Error('Hand tracking was stopped'))
+  }
+}
+
+export class MainThreadHandTracker {
+  constructor() {
+    this.recognizer = null
+    this.where = 'main thread'
+  }
+
+  async init(source) {
+    this.recognizer = await createGestureRecognizer(source)
+  }
+
+  async detect(video, timestamp) {
+    const start = performance.now()
+    const results = this.recognizer.recognizeForVideo(video, timestamp)
+    return { handData: toHandData(results), inferenceMs: performance.now() - start, captureMs: 0 }
+  }
+
+  close() {
+    if (!this.recognizer) return
+    this.recognizer.close()
+    this.recognizer = null
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Instrument Picker
+ * Groups the registered instruments into categories and lays them out on a ring,
+ * so a hand (or the mouse/keyboard) can jump straight to any instrument
+ */
+
+/**
+ * Picker categories, in ring order (empty categories are hidden)
+ */
+export const INSTRUMENT_CATEGORIES = [
+  { id: 'waveforms', name: 'Waveforms', icon: '🎛️' },
+  { id: 'synths', name: 'Synths', icon: '🎹' },
+  { id: 'acoustic', name: 'Acoustic', icon: '🎻' },
+  { id: 'packs', name: 'Sample Packs', icon: '💾' }
+]
+
+// Distance from the ring center (normalized screen units) where the hand selects nothing
+export const PICKER_DEAD_ZONE = 0.08
+
+/**
+ * Category of an instrument (an explicit `category` in its config wins)
+ * @param {Object} instrument - Registry instrument config
+ * @returns {string} Category id
+ */
+export function getInstrumentCategory(instrument) {
+  if (instrument.category) return instrument.category
+  if (instrument.type === 'synth') return 'waveforms'
+  if (instrument.type === 'tone-synth') return 'synths'
+  // Dropped folders and public/samples manifest packs
+  if (instrument.source === 'local' || instrument.baseUrl) return 'packs'
+  return 'acoustic'
+}
+
+/**
+ * Items on the ring
+ * @param {Object[]} instruments - Registry instruments (index = instrument index)
+ * @param {string|null} category - null for the category ring
+ * @returns {Object[]} { type: 'category', id, name, icon, count } or { type: 'instrument', index, name, icon }
+ */
+export function getPickerItems(instruments, category = null) {
+  if (category) {
+    const icon = INSTRUMENT_CATEGORIES.find(item => item.id === category)?.icon
+    return instruments
+      .map((instrument, index) => ({ type: 'instrument', index, name: instrument.name, icon, instrument }))
+      .filter(item => getInstrumentCategory(item.instrument) === category)
+  }
+
+  return INSTRUMENT_CATEGORIES
+    .map(item => ({
+      type: 'category',
+      ...item,
+      count: instruments.filter(instrument => getInstrumentCategory(instrument) === item.id).length
+    }))
+    .filter(item => item.count > 0)
+}
+
+/**
+ * Angle of a ring item - item 0 at the top, then clockwise
+ * @returns {number} Radians
+ */
+export function getWedgeAngle(index, count) {
+  return (index / count) * Math.PI * 2
+}
+
+/**
+ * Ring item under a point
+ * @param {number} dx - Horizontal offset from the ring center (screen units, right = positive)
+ * @param {number} dy - Vertical offset from the ring center (screen units, down = positive)
+ * @param {number} count - Items on the ring
+ * @returns {number} Item index, or -1 inside the dead zone
+ */
+export function getPickerWedge(dx, dy, count) {
+  if (count === 0 || Math.hypot(dx, dy) < PICKER_DEAD_ZONE) return -1
+
+  // 0 at the top, growing clockwise; shifted half a wedge so each item sits in the middle of its wedge
+  const wedge = (Math.PI * 2) / count
+  const angle = Math.atan2(dx, -dy) + wedge / 2
+  const normalized = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2)
+  return Math.floor(normalized / wedge) % count
+}
@@ -0,0 +1,395 @@
+/**
+ * Instrument Registry
+ * The instruments the hands can play - built-in synths, sampled instruments and sample packs
+ * registered at runtime (public/samples manifest or a dropped folder of note-named files).
+ * Decoded samples are cached in IndexedDB, so sampled instruments also load offline.
+ */
+
+import * as Tone from 'tone'
+import { noteToMidi } from './musicTheory'
+import { getCachedBuffer, putCachedBuffer, putCachedPack, getCachedPacks, deleteCachedPack } from './sampleCache'
+
+// A path under public/ - the app may be served from a sub-path (Vite's base)
+const publicUrl = (path) => `${import.meta.env.BASE_URL}${path.replace(/^\/+/, '')}`
+
+// Full URLs (https://, //host/) are kept, paths are read from public/
+const resolveSampleUrl = (url) => (/^([a-z][a-z\d+.-]*:)?\/\//i.test(url) ? url : publicUrl(url))
+
+// Where the built-in sampled instruments come from (override to self-host them)
+export const SAMPLE_BASE_URL = import.meta.env.VITE_SAMPLE_BASE_URL
+  ? resolveSampleUrl(import.meta.env.VITE_SAMPLE_BASE_URL)
+  : 'https://cdn.jsdelivr.net/gh/nbrosowsky/tonejs-instruments@master/samples/'
+
+// Optional list of sample packs served from public/ ({ packs: [{ id, name, notes, baseUrl?, ext? }] })
+export const SAMPLE_MANIFEST_URL = publicUrl('samples/packs.json')
+
+// Verified working instruments from CDN + synthesizer options
+export const BUILT_IN_INSTRUMENTS = [
+  // Basic Oscillator Synthesizers
+  { id: 'synth-sine', name: 'Sine Wave', type: 'synth', oscillator: 'sine' },
+  { id: 'synth-triangle', name: 'Triangle Wave', type: 'synth', oscillator: 'triangle' },
+  { id: 'synth-sawtooth', name: 'Sawtooth Wave', type: 'synth', oscillator: 'sawtooth' },
+  { id: 'synth-square', name: 'Square Wave', type: 'synth', oscillator: 'square' },
+
+  // Advanced Tone.js Synthesizers
+  { id: 'Synth', name: 'Basic Synth', type: 'tone-synth', synthType: 'Synth' },
+  { id: 'MonoSynth', name: 'Mono Synth', type: 'tone-synth', synthType: 'MonoSynth' },
+  { id: 'FMSynth', name: 'FM Synth', type: 'tone-synth', synthType: 'FMSynth' },
+  { id: 'AMSynth', name: 'AM Synth', type: 'tone-synth', synthType: 'AMSynth' },
+  { id: 'DuoSynth', name: 'Duo Synth', type: 'tone-synth', synthType: 'DuoSynth' },
+  { id: 'PolySynth', name: 'Poly Synth', type: 'tone-synth', synthType: 'PolySynth' },
+  { id: 'MembraneSynth', name: 'Membrane Synth', type: 'tone-synth', synthType: 'MembraneSynth' },
+  { id: 'MetalSynth', name: 'Metal Synth', type: 'tone-synth', synthType: 'MetalSynth' },
+
+  // Sampled instruments (nbrosowsky/tonejs-instruments)
+  // notes: samples to load (the sampler repitches between them)
+  // range: [lowest, highest] note the instrument sounds good in - the hands' scale is fitted into it
+  { id: 'piano', name: 'Piano', type: 'sampler', range: ['C2', 'C6'], notes: ['A1', 'C2', 'A2', 'C3', 'A3', 'C4', 'A4', 'C5', 'A5', 'C6', 'A6', 'C7'] },
+  { id: 'organ', name: 'Organ', type: 'sampler', range: ['C2', 'C6'], notes: ['C2', 'F#2', 'C3', 'F#3', 'C4', 'F#4', 'C5', 'F#5', 'C6'] },
+  { id: 'harmonium', name: 'Harmonium', type: 'sampler', range: ['C2', 'A#4'], notes: ['C2', 'E2', 'G#2', 'C3', 'E3', 'G#3', 'C4', 'E4', 'G#4', 'C5'] },
+  { id: 'xylophone', name: 'Xylophone', type: 'sampler', range: ['G4', 'C8'], notes: ['G4', 'C5', 'G5', 'C6', 'G6', 'C7', 'G7', 'C8'] },
+  { id: 'harp', name: 'Harp', type: 'sampler', range: ['C2', 'C7'], notes: ['D2', 'F2', 'A2', 'C3', 'E3', 'G3', 'B3', 'D4', 'F4', 'A4', 'C5', 'E5', 'G5', 'B5', 'D6', 'F6', 'A6'] },
+  { id: 'violin', name: 'Violin', type: 'sampler', range: ['G3', 'A6'], notes: ['A3', 'C4', 'E4', 'G4', 'A4', 'C5', 'E5', 'G5', 'A5', 'C6', 'E6', 'G6', 'A6'] },
+  { id: 'cello', name: 'Cello', type: 'sampler', range: ['C2', 'A4'], notes: ['C2', 'D2', 'E2', 'G2', 'A2', 'C3', 'D3', 'E3', 'G3', 'A3', 'C4', 'E4', 'G4', 'A4'] },
+  { id: 'contrabass', name: 'Contrabass', type: 'sampler', range: ['E1', 'B3'], notes: ['F#1', 'A#1', 'C2', 'E2', 'F#2', 'A2', 'E3', 'G#3', 'B3'] },
+  { id: 'guitar-acoustic', name: 'Acoustic Guitar', type: 'sampler', range: ['E2', 'E5'], notes: ['E2', 'A2', 'C3', 'E3', 'A3', 'C4', 'E4', 'A4', 'C5'] },
+  { id: 'guitar-nylon', name: 'Nylon Guitar', type: 'sampler', range: ['E2', 'B5'], notes: ['E2', 'A2', 'C#3', 'E3', 'A3', 'C#4', 'E4', 'A4', 'C#5', 'E5', 'A5'] },
+  { id: 'guitar-electric', name: 'Electric Guitar', type: 'sampler', range: ['E2', 'C6'], notes: ['E2', 'A2', 'C3', 'F#3', 'A3', 'C4', 'F#4', 'A4', 'C5', 'F#5', 'A5', 'C6'] },
+  { id: 'bass-electric', name: 'Electric Bass', type: 'sampler', range: ['E1', 'G3'], notes: ['E1', 'G1', 'C#2', 'E2', 'G2', 'C#3', 'E3', 'G3', 'C#4'] },
+  { id: 'flute', name: 'Flute', type: 'sampler', range: ['C4', 'C7'], notes: ['C4', 'E4', 'A4', 'C5', 'E5', 'A5', 'C6', 'E6', 'A6', 'C7'] },
+  { id: 'clarinet', name: 'Clarinet', type: 'sampler', range: ['D3', 'C6'], notes: ['D3', 'F3', 'A#3', 'D4', 'F4', 'A#4', 'D5', 'F5', 'A#5', 'D6'] },
+  { id: 'saxophone', name: 'Saxophone', type: 'sampler', range: ['C#3', 'G#5'], notes: ['C#3', 'E3', 'G3', 'A#3', 'C#4', 'E4', 'G4', 'A#4', 'C#5', 'E5', 'G5'] },
+  { id: 'bassoon', name: 'Bassoon', type: 'sampler', range: ['A2', 'C5'], notes: ['A2', 'C3', 'G3', 'A3', 'C4', 'E4', 'G4', 'A4', 'C5'] },
+  { id: 'trumpet', name: 'Trumpet', type: 'sampler', range: ['F3', 'C6'], notes: ['F3', 'A3', 'C4', 'D#4', 'F4', 'G4', 'A#4', 'D5', 'F5', 'A5', 'C6'] },
+  { id: 'french-horn', name: 'French Horn', type: 'sampler', range: ['C2', 'F5'], notes: ['A1', 'C2', 'D#2', 'G2', 'D3', 'F3', 'A3', 'C4', 'D5', 'F5'] },
+  { id: 'trombone', name: 'Trombone', type: 'sampler', range: ['E2', 'F4'], notes: ['A#1', 'C#2', 'F2', 'G#2', 'A#2', 'C3', 'D#3', 'F3', 'G#3', 'A#3', 'C4', 'D#4', 'F4'] },
+  { id: 'tuba', name: 'Tuba', type: 'sampler', range: ['F1', 'A#3'], notes: ['F1', 'A#1', 'D#2', 'F2', 'A#2', 'D3', 'F3', 'A#3'] }
+]
+
+const INSTRUMENT_TYPES = ['synth', 'tone-synth', 'sampler']
+
+// Note-named sample files: C4.wav, C#4.wav, Cs4.wav (tonejs-instruments style), Db4.mp3...
+const SAMPLE_FILE_PATTERN = /^([A-Ga-g])(#|s|b)?(-?\d)\.(wav|mp3|ogg|flac|m4a|aiff?)$/i
+
+/**
+ * Note name of a sample file
+ * @param {string} filename - e.g. "Cs4.wav"
+ * @returns {string|null} e.g. "C#4", or null if the file isn't note-named
+ */
+export function parseSampleNote(filename) {
+  const match = filename.match(SAMPLE_FILE_PATTERN)
+  if (!match) return null
+  const [, letter, accidental = '', octave] = match
+  const sign = accidental.toLowerCase() === 's' ? '#' : accidental.toLowerCase()
+  return `${letter.toUpperCase()}${sign}${octave}`
+}
+
+/**
+ * Sample URLs of a URL-based sampler (tonejs-instruments file naming: "As4.mp3")
+ * @param {Object} config - { id, notes, baseUrl?, ext? }
+ * @returns {Object} note -> URL
+ */
+export function getSampleUrls(config) {
+  const baseUrl = config.baseUrl || `${SAMPLE_BASE_URL}${config.id}/`
+  const ext = config.ext || 'mp3'
+  const urls = {}
+  config.notes.forEach(note => {
+    urls[note] = `${baseUrl}${note.replace('#', 's')}.${ext}`
+  })
+  return urls
+}
+
+/**
+ * Range covered by a set of samples (used for sample packs without a range)
+ * @param {string[]} notes
+ * @returns {string[]} [lowest, highest]
+ */
+export function getSampleRange(notes) {
+  const sorted = [...notes].sort((a, b) => (noteToMidi(a) ?? 0) - (noteToMidi(b) ?? 0))
+  return [sorted[0], sorted[sorted.length - 1]]
+}
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack'
+
+/**
+ * Collect the files of a drop (folders are read recursively)
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Object>} { name, files } - name of the dropped folder, if any
+ */
+export async function readDroppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean)
+
+  // No entry API - plain file list
+  if (entries.length === 0) {
+    return { name: null, files: [...dataTransfer.files] }
+  }
+
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      return [await new Promise((resolve, reject) => entry.file(resolve, reject))]
+    }
+    const reader = entry.createReader()
+    const children = []
+    // readEntries returns the folder in batches until it returns an empty batch
+    let batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    while (batch.length > 0) {
+      children.push(...batch)
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    }
+    const nested = await Promise.all(children.map(readEntry))
+    return nested.flat()
+  }
+
+  const files = (await Promise.all(entries.map(readEntry))).flat()
+  const folder = entries.find(entry => entry.isDirectory)
+  return { name: folder ? folder.name : null, files }
+}
+
+/**
+ * Registry of playable instruments with per-instrument sample loading status
+ */
+export class InstrumentRegistry {
+  constructor(instruments = []) {
+    this.instruments = [...instruments]
+    this.status = {}             // id -> { state: 'loading' | 'loaded' | 'error', loaded, total, error }
+    this.loading = new Map()     // id -> Promise of { note: AudioBuffer }
+    this.listeners = new Set()
+    this.isInitialized = false
+  }
+
+  /**
+   * @returns {Object} { instruments, status } (new objects whenever something changes)
+   */
+  getSnapshot() {
+    return { instruments: this.instruments, status: this.status }
+  }
+
+  // Listen for instrument list and loading status changes, returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+
+  setStatus(id, changes) {
+    this.status = { ...this.status, [id]: { ...this.status[id], ...changes } }
+    this.notify()
+  }
+
+  get(id) {
+    return this.instruments.find(instrument => instrument.id === id) || null
+  }
+
+  /**
+   * Add an instrument, or replace the one with the same id
+   * @param {Object} config - { id, name, type: 'synth' | 'tone-synth' | 'sampler', range?, ... }
+   *   Samplers: { notes, baseUrl?, ext? } for URLs, or { source: 'local', notes, files } for dropped files
+   *   range: [lowest, highest] playable note, the hand's scale is fitted into it (synths have none)
+   * @returns {Object} The registered config
+   */
+  register(config) {
+    if (!config || !config.id || !config.name || !INSTRUMENT_TYPES.includes(config.type)) {
+      throw new Error('Instruments need an id, a name and a type (synth, tone-synth or sampler)')
+    }
+    if (config.type === 'sampler' && (!config.notes || config.notes.length === 0)) {
+      throw new Error(`${config.name} has no samples`)
+    }
+
+    const index = this.instruments.findIndex(instrument => instrument.id === config.id)
+    this.instruments = index >= 0
+      ? this.instruments.map((instrument, i) => (i === index ? config : instrument))
+      : [...this.instruments, config]
+
+    // Replaced samplers load their new samples
+    this.loading.delete(config.id)
+    const { [config.id]: previous, ...status } = this.status
+    this.status = status
+    this.notify()
+    return config
+  }
+
+  /**
+   * Remove a registered instrument (dropped packs are also removed from the cache)
+   */
+  unregister(id) {
+    const config = this.get(id)
+    if (!config) return
+
+    this.instruments = this.instruments.filter(instrument => instrument !== config)
+    this.loading.delete(id)
+    const { [id]: removed, ...status } = this.status
+    this.status = status
+    this.notify()
+
+    if (config.source === 'local') {
+      deleteCachedPack(config)
+    }
+  }
+
+  // One sample: IndexedDB cache first, then the dropped file or the URL
+  async loadSample(config, note) {
+    const isLocal = config.source === 'local'
+    const key = isLocal ? `${config.id}/${note}` : getSampleUrls(config)[note]
+
+    const cached = await getCachedBuffer(key)
+    if (cached) return cached
+
+    let data
+    if (isLocal) {
+      const file = config.files && config.files[note]
+      if (!file) throw new Error(`${note} is missing from the cache - drop the pack again`)
+      data = await file.arrayBuffer()
+    } else {
+      const response = await fetch(key)
+      if (!response.ok) throw new Error(`${note}: HTTP ${response.status}`)
+      data = await response.arrayBuffer()
+    }
+
+    const buffer = await Tone.getContext().decodeAudioData(data)
+    putCachedBuffer(key, buffer)
+    return buffer
+  }
+
+  /**
+   * Load and decode every sample of a sampler (shared by all voices using it)
+   * Samples that fail are reported in the status, the rest still play
+   * @param {Object} config
+   * @returns {Promise<Object>} note -> AudioBuffer
+   */
+  loadBuffers(config) {
+    if (this.loading.has(config.id)) return this.loading.get(config.id)
+
+    const total = config.notes.length
+    let loaded = 0
+    const failures = []
+    this.setStatus(config.id, { state: 'loading', loaded, total, error: null })
+
+    const promise = Promise.all(config.notes.map(async note => {
+      try {
+        const buffer = await this.loadSample(config, note)
+        loaded++
+        this.setStatus(config.id, { loaded })
+        return [note, buffer]
+      } catch (err) {
+        failures.push(err.message)
+        return null
+      }
+    })).then(results => {
+      const buffers = Object.fromEntries(results.filter(Boolean))
+      if (failures.length > 0) {
+        const error = failures.length === total
+          ? `Couldn't load ${config.name} (${failures[0]})`
+          : `${failures.length} of ${total} samples failed (${failures[0]})`
+        console.error(`❌ ${config.name}: ${error}`)
+        this.setStatus(config.id, { state: failures.length === total ? 'error' : 'loaded', error })
+        // Let the next voice retry after a complete failure
+        if (failures.length === total) this.loading.delete(config.id)
+      } else {
+        console.log(`✅ ${config.name} loaded`)
+        this.setStatus(config.id, { state: 'loaded', error: null })
+      }
+      return buffers
+    })
+
+    this.loading.set(config.id, promise)
+    return promise
+  }
+
+  /**
+   * Create a sampler that fills in its samples once they are decoded
+   * @param {Object} config
+   * @returns {Tone.Sampler}
+   */
+  createSampler(config) {
+    const sampler = new Tone.Sampler()
+    this.loadBuffers(config).then(buffers => {
+      if (sampler.disposed) return
+      Object.entries(buffers).forEach(([note, buffer]) => sampler.add(note, buffer))
+    })
+    return sampler
+  }
+
+  /**
+   * Register a folder of note-named samples as an instrument, and cache it for later sessions
+   * @param {string} name - Instrument name (usually the folder name)
+   * @param {File[]} files - Sample files (C4.wav, Cs4.wav, Db4.wav...)
+   * @returns {Promise<Object>} The registered config
+   */
+  async registerSamplePack(name, files) {
+    const samples = {}
+    files.forEach(file => {
+      const note = parseSampleNote(file.name)
+      if (note) samples[note] = file
+    })
+
+    const notes = Object.keys(samples)
+    if (notes.length === 0) {
+      throw new Error('No note-named samples found - name the files like C4.wav, Cs4.wav or Db4.wav')
+    }
+
+    // A pack dropped again under the same name replaces the cached samples of the old one
+    const id = `pack-${slugify(name)}`
+    const previous = this.get(id)
+    if (previous && previous.source === 'local') {
+      await deleteCachedPack(previous)
+    }
+
+    const config = this.register({
+      id,
+      name,
+      type: 'sampler',
+      source: 'local',
+      notes,
+      range: getSampleRange(notes),
+      files: samples
+    })
+    await putCachedPack({ id: config.id, name, notes })
+    // Decode now so the pack is cached even before it is played
+    await this.loadBuffers(config)
+    return config
+  }
+
+  /**
+   * Restore cached sample packs and register the public/ manifest (once per page)
+   */
+  async init() {
+    if (this.isInitialized) return
+    this.isInitialized = true
+
+    const packs = await getCachedPacks()
+    packs.forEach(pack => {
+      if (!this.get(pack.id)) {
+        this.register({ range: getSampleRange(pack.notes), ...pack, type: 'sampler', source: 'local', files: {} })
+      }
+    })
+
+    try {
+      const response = await fetch(SAMPLE_MANIFEST_URL)
+      // No manifest is the normal case, so there's nothing to report
+      if (!response.ok || !(response.headers.get('content-type') || '').includes('json')) return
+      const manifest = await response.json()
+      const manifestPacks = manifest.packs || []
+      manifestPacks.forEach(pack => {
+        this.register({
+          range: getSampleRange(pack.notes || []),
+          ...pack,
+          baseUrl: pack.baseUrl ? resolveSampleUrl(pack.baseUrl) : publicUrl(`samples/${pack.id}/`),
+          type: 'sampler'
+        })
+      })
+    } catch (err) {
+      console.error('Error loading sample manifest:', err)
+    }
+  }
+}
+
+// Shared by every hook/component on the page
+export const instrumentRegistry = new InstrumentRegistry(BUILT_IN_INSTRUMENTS)
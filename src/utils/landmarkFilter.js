@@ -0,0 +1,137 @@
+/**
+ * Landmark Filter
+ * One Euro filtering of the hand landmarks used for note and pitch selection:
+ * strong smoothing while a hand is held still (no jitter), little lag when it moves fast.
+ * Gestures, tremor vibrato and the conductor keep the raw landmarks.
+ * Based on Casiez, Roussel and Vogel, "1€ Filter" (CHI 2012)
+ */
+
+/**
+ * Smoothing per use case
+ * - minCutoff: cutoff frequency (Hz) while the hand is still - lower = smoother, more lag
+ * - beta: how quickly the cutoff rises with hand speed - higher = less lag on fast moves
+ * - hysteresis: share of a note step the hand has to move past a note boundary before the note changes
+ */
+export const SMOOTHING_PRESETS = {
+  off: { name: 'Off (raw tracking)', enabled: false, minCutoff: 1, beta: 10, hysteresis: 0 },
+  responsive: { name: 'Responsive (fast gestures, drums)', enabled: true, minCutoff: 3, beta: 20, hysteresis: 0.1 },
+  balanced: { name: 'Balanced', enabled: true, minCutoff: 1, beta: 10, hysteresis: 0.25 },
+  sustained: { name: 'Sustained (held notes, theremin)', enabled: true, minCutoff: 0.4, beta: 5, hysteresis: 0.4 }
+}
+
+export const DEFAULT_SMOOTHING = { preset: 'balanced', ...SMOOTHING_PRESETS.balanced }
+
+const DERIVATIVE_CUTOFF = 1 // Hz, smoothing of the speed estimate
+const AXES = ['x', 'y', 'z']
+
+// Weight of the new sample for a low-pass filter at this cutoff
+const smoothingFactor = (cutoff, dt) => {
+  const r = 2 * Math.PI * cutoff * dt
+  return r / (r + 1)
+}
+
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0 } = {}) {
+    this.minCutoff = minCutoff
+    this.beta = beta
+    this.reset()
+  }
+
+  reset() {
+    this.value = null
+    this.speed = 0
+    this.lastTime = null
+  }
+
+  /**
+   * Filter one sample
+   * @param {number} value
+   * @param {number} time - Seconds
+   * @returns {number} Filtered value
+   */
+  filter(value, time) {
+    if (this.value === null) {
+      this.value = value
+      this.lastTime = time
+      return value
+    }
+
+    const dt = time - this.lastTime
+    if (dt <= 0) return this.value
+    this.lastTime = time
+
+    const speed = (value - this.value) / dt
+    this.speed += smoothingFactor(DERIVATIVE_CUTOFF, dt) * (speed - this.speed)
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed)
+    this.value += smoothingFactor(cutoff, dt) * (value - this.value)
+    return this.value
+  }
+}
+
+export class HandLandmarkFilter {
+  constructor(settings = DEFAULT_SMOOTHING) {
+    this.settings = settings
+    this.hands = new Map() // hand key -> one filter per landmark and axis
+  }
+
+  // Change the smoothing without dropping the current state
+  configure(settings) {
+    this.settings = settings
+    this.hands.forEach(filters => filters.forEach(landmark => AXES.forEach(axis => {
+      landmark[axis].minCutoff = settings.minCutoff
+      landmark[axis].beta = settings.beta
+    })))
+  }
+
+  reset() {
+    this.hands.clear()
+  }
+
+  createFilters(count) {
+    const { minCutoff, beta } = this.settings
+    return Array.from({ length: count }, () => Object.fromEntries(
+      AXES.map(axis => [axis, new OneEuroFilter({ minCutoff, beta })])
+    ))
+  }
+
+  /**
+   * Smooth the landmarks of a tracked frame
+   * Hands are told apart by MediaPipe's handedness, a hand that leaves the frame starts over
+   * @param {Object} handData - See toHandData()
+   * @param {number} timestamp - ms
+   * @returns {Object} handData with smoothed landmarks (the same object when smoothing is off)
+   */
+  filter(handData, timestamp) {
+    if (!this.settings.enabled || !handData?.landmarks) {
+      this.hands.clear()
+      return handData
+    }
+
+    const time = timestamp / 1000
+    const seen = new Set()
+    const landmarks = handData.landmarks.map((points, i) => {
+      let key = handData.handedness?.[i]?.[0]?.categoryName ?? String(i)
+      if (seen.has(key)) key = `${key}-${i}` // Both hands reported with the same handedness
+      seen.add(key)
+
+      if (!this.hands.has(key) || this.hands.get(key).length !== points.length) {
+        this.hands.set(key, this.createFilters(points.length))
+      }
+      const filters = this.hands.get(key)
+
+      return points.map((point, index) => ({
+        ...point,
+        x: filters[index].x.filter(point.x, time),
+        y: filters[index].y.filter(point.y, time),
+        z: filters[index].z.filter(point.z, time)
+      }))
+    })
+
+    this.hands.forEach((_, key) => {
+      if (!seen.has(key)) this.hands.delete(key)
+    })
+
+    return { ...handData, landmarks }
+  }
+}
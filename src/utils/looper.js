@@ -0,0 +1,250 @@
+/**
+ * Loop Station
+ * Records the note events the hands play (not audio) and loops them on the transport
+ * Each recording pass becomes a layer that can be muted, undone or cleared
+ */
+
+import * as Tone from 'tone'
+
+export const LOOP_LENGTHS = [1, 2, 4, 8] // Bars
+
+export const DEFAULT_LOOP_BARS = 2
+
+export class Looper {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onPlay - (layer, event, time) plays one recorded event
+   * @param {Function} callbacks.onLayerAdded - (layer) a recording pass finished
+   * @param {Function} callbacks.onLayerRemoved - (layer) a layer was undone or cleared
+   * @param {Function} callbacks.onChange - (state) anything visible changed
+   */
+  constructor({ onPlay, onLayerAdded, onLayerRemoved, onChange } = {}) {
+    this.onPlay = onPlay || (() => {})
+    this.onLayerAdded = onLayerAdded || (() => {})
+    this.onLayerRemoved = onLayerRemoved || (() => {})
+    this.onChange = onChange || (() => {})
+
+    this.bars = DEFAULT_LOOP_BARS
+    this.layers = []
+    this.pending = null // Layer being recorded
+    this.loopStartTicks = 0
+    this.loopTicks = 0
+    this.nextId = 1
+    this.scheduledIds = []
+  }
+
+  /**
+   * Loop length in bars (only while there is nothing recorded yet)
+   * @param {number} bars - One of LOOP_LENGTHS
+   */
+  setBars(bars) {
+    if (this.layers.length > 0 || this.pending || !LOOP_LENGTHS.includes(bars)) return
+    this.bars = bars
+    this.emitChange()
+  }
+
+  /**
+   * Arm a recording pass: starts on the next bar line and lasts one loop
+   * The first pass sets the loop, later passes overdub on top of it
+   * @param {Object} meta - Stored on the layer (e.g. ids of the instruments used)
+   */
+  record(meta = {}) {
+    if (this.pending) return
+
+    const startTicks = Tone.Transport.getTicksAtTime(Tone.Transport.nextSubdivision('1m'))
+
+    if (this.layers.length === 0) {
+      this.loopStartTicks = startTicks
+      this.loopTicks = Math.round(this.bars * Tone.Transport.timeSignature * Tone.Transport.PPQ)
+    }
+
+    this.pending = {
+      id: this.nextId++,
+      events: [],
+      muted: false,
+      meta,
+      startTicks,
+      endTicks: startTicks + this.loopTicks,
+      recording: false
+    }
+
+    this.scheduledIds.push(
+      Tone.Transport.scheduleOnce(() => {
+        if (!this.pending) return
+        this.pending.recording = true
+        this.emitChange()
+      }, `${startTicks}i`),
+      Tone.Transport.scheduleOnce(() => this.finishRecording(), `${this.pending.endTicks}i`)
+    )
+
+    this.emitChange()
+    console.log(`🔴 Looper armed (${this.layers.length === 0 ? 'new loop' : 'overdub'}, ${this.bars} bars)`)
+  }
+
+  /**
+   * Capture a note event if a pass is recording at that time
+   * @param {Object} event - { hand, voice, notes, duration, velocity }
+   * @param {number} time - Audio context time the note was scheduled at
+   */
+  capture(event, time) {
+    const pending = this.pending
+    if (!pending) return
+
+    const ticks = Tone.Transport.getTicksAtTime(time)
+    if (ticks < pending.startTicks || ticks >= pending.endTicks) return
+
+    const offset = (ticks - this.loopStartTicks) % this.loopTicks
+    pending.events.push({ ...event, ticks: offset })
+  }
+
+  /**
+   * Turn the recorded pass into a looping layer
+   */
+  finishRecording() {
+    const pending = this.pending
+    this.pending = null
+    this.scheduledIds = []
+    if (!pending) return
+
+    if (pending.events.length === 0) {
+      console.log('⚪ Looper pass discarded (no notes played)')
+      this.emitChange()
+      return
+    }
+
+    const layer = {
+      id: pending.id,
+      events: pending.events,
+      muted: false,
+      meta: pending.meta,
+      hands: [...new Set(pending.events.map(event => event.hand))]
+    }
+
+    this.onLayerAdded(layer)
+
+    layer.part = new Tone.Part(
+      (partTime, event) => {
+        if (!layer.muted) this.onPlay(layer, event, partTime)
+      },
+      layer.events.map(event => [`${event.ticks}i`, event])
+    )
+    layer.part.loop = true
+    layer.part.loopEnd = `${this.loopTicks}i`
+
+    // Pick up exactly where the recording stopped within the loop
+    const offset = (pending.endTicks - this.loopStartTicks) % this.loopTicks
+    layer.part.start(`${pending.endTicks}i`, `${offset}i`)
+
+    this.layers.push(layer)
+    this.emitChange()
+    console.log(`🔁 Looper layer ${layer.id} added (${layer.events.length} notes)`)
+  }
+
+  /**
+   * Cancel an armed/recording pass without keeping it
+   */
+  cancelRecording() {
+    if (!this.pending) return
+    this.pending = null
+    this.clearScheduled()
+    this.emitChange()
+  }
+
+  /**
+   * Remove the most recent layer (or cancel the pass being recorded)
+   */
+  undo() {
+    if (this.pending) {
+      this.cancelRecording()
+      return
+    }
+
+    const layer = this.layers.pop()
+    if (!layer) return
+    this.disposeLayer(layer)
+    this.emitChange()
+    console.log(`↩️ Looper layer ${layer.id} undone`)
+  }
+
+  /**
+   * Mute or unmute one layer
+   * @param {number} layerId
+   */
+  toggleMute(layerId) {
+    const layer = this.layers.find(item => item.id === layerId)
+    if (!layer) return
+    layer.muted = !layer.muted
+    this.emitChange()
+  }
+
+  /**
+   * Mute or unmute every layer
+   * @param {boolean} muted
+   */
+  setAllMuted(muted) {
+    this.layers.forEach(layer => {
+      layer.muted = muted
+    })
+    this.emitChange()
+  }
+
+  /**
+   * Remove every layer, the next pass starts a new loop
+   */
+  clear() {
+    this.pending = null
+    this.clearScheduled()
+    this.layers.forEach(layer => this.disposeLayer(layer))
+    this.layers = []
+    this.emitChange()
+    console.log('🗑️ Looper cleared')
+  }
+
+  disposeLayer(layer) {
+    if (layer.part) {
+      layer.part.dispose()
+    }
+    this.onLayerRemoved(layer)
+  }
+
+  clearScheduled() {
+    this.scheduledIds.forEach(id => Tone.Transport.clear(id))
+    this.scheduledIds = []
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {Object} { bars, status, layers }
+   */
+  getState() {
+    let status = 'idle'
+    if (this.pending) {
+      status = this.pending.recording ? 'recording' : 'armed'
+    } else if (this.layers.length > 0) {
+      status = 'playing'
+    }
+
+    return {
+      bars: this.bars,
+      status,
+      isOverdub: this.layers.length > 0,
+      layers: this.layers.map(layer => ({
+        id: layer.id,
+        muted: layer.muted,
+        hands: layer.hands,
+        noteCount: layer.events.length
+      }))
+    }
+  }
+
+  emitChange() {
+    this.onChange(this.getState())
+  }
+
+  dispose() {
+    this.clearScheduled()
+    this.layers.forEach(layer => this.disposeLayer(layer))
+    this.layers = []
+    this.pending = null
+  }
+}
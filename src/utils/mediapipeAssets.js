@@ -0,0 +1,139 @@
+/**
+ * MediaPipe Assets
+ * Where the hand tracking WASM runtime and model are loaded from, with a SHA-256 integrity
+ * check against the manifest written by `npm run mediapipe-assets`
+ */
+
+import { FilesetResolver } from '@mediapipe/tasks-vision'
+
+/**
+ * Asset source: 'local' (public/mediapipe, the default - works offline, falls back to the CDN
+ * until `npm run mediapipe-assets` has installed the assets), 'cdn' (jsDelivr + Google storage)
+ * or the base URL of a server laid out like public/mediapipe
+ */
+export const MEDIAPIPE_SOURCE = import.meta.env.VITE_MEDIAPIPE_SOURCE || 'local'
+
+// Installed @mediapipe/tasks-vision version (see vite.config.js) - the WASM runtime must match the JS bundle
+const TASKS_VISION_VERSION = __TASKS_VISION_VERSION__
+
+const CDN_ASSETS = {
+  wasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}/wasm`,
+  gestureRecognizer: 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task',
+  manifest: null
+}
+
+/**
+ * Asset URLs for a source
+ * @param {string} source - 'local', 'cdn' or a base URL
+ * @returns {Object} { wasm (folder), gestureRecognizer, manifest (null = no integrity check) }
+ */
+export function getMediaPipeAssetUrls(source = MEDIAPIPE_SOURCE) {
+  if (source === 'cdn') return CDN_ASSETS
+
+  const base = (source === 'local' ? `${import.meta.env.BASE_URL}mediapipe` : source).replace(/\/+$/, '')
+  return {
+    wasm: `${base}/wasm`,
+    gestureRecognizer: `${base}/models/gesture_recognizer.task`,
+    manifest: `${base}/manifest.json`
+  }
+}
+
+const fileName = (url) => url.split('/').pop().split('?')[0]
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+
+// Errors for assets that aren't there at all (as opposed to assets that fail the integrity check)
+const missingAssetError = (message) => Object.assign(new Error(message), { code: 'ASSET_MISSING' })
+
+const fetchAsset = async (url, label) => {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (err) {
+    throw missingAssetError(`Couldn't load the ${label} from ${url} (${err.message})`)
+  }
+  if (!response.ok) {
+    throw missingAssetError(`The ${label} is missing at ${url} (HTTP ${response.status})`)
+  }
+  return response.arrayBuffer()
+}
+
+// Compare a file with its manifest hash (files the manifest doesn't list can't be trusted)
+const verifyAsset = async (buffer, manifest, file, label) => {
+  if (!manifest) return
+  const expected = manifest.files?.[file]
+  if (!expected) {
+    throw new Error(`The ${label} (${file}) is not listed in the asset manifest`)
+  }
+  const actual = toHex(await crypto.subtle.digest('SHA-256', buffer))
+  if (actual !== expected) {
+    throw new Error(`The ${label} (${file}) failed its integrity check - it may be corrupt or from another MediaPipe version`)
+  }
+}
+
+/**
+ * Load and verify the WASM runtime and the gesture recognizer model (it includes the hand landmarker)
+ * Local assets that aren't installed are loaded from the CDN instead - assets that fail
+ * the integrity check never are
+ * @param {string} source - See MEDIAPIPE_SOURCE
+ * @returns {Promise<Object>} { fileset, gestureRecognizer (model bytes), release() }
+ *   - call release() once the tasks are created
+ * @throws {Error} With a message saying which asset failed and why
+ */
+export async function loadMediaPipeAssets(source = MEDIAPIPE_SOURCE) {
+  try {
+    return await loadAssetsFrom(source)
+  } catch (err) {
+    if (source !== 'local' || err.code !== 'ASSET_MISSING') throw err
+    console.warn(`⚠️ ${err.message} - loading them from the CDN for now`)
+    return loadAssetsFrom('cdn')
+  }
+}
+
+const loadAssetsFrom = async (source) => {
+  const urls = getMediaPipeAssetUrls(source)
+  console.log(`🖐️ Loading hand tracking assets (${source})`)
+
+  let manifest = null
+  if (urls.manifest) {
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(await fetchAsset(urls.manifest, 'asset manifest')))
+    } catch (err) {
+      // A dev server answers missing files with index.html, so an unreadable manifest counts as missing
+      const reason = err.code ? err.message : `The asset manifest at ${urls.manifest} is not valid JSON`
+      throw missingAssetError(`${reason} - run "npm run mediapipe-assets" to install the hand tracking assets`)
+    }
+  }
+
+  // The resolver picks the SIMD or non-SIMD runtime this browser supports
+  const resolved = await FilesetResolver.forVisionTasks(urls.wasm)
+  const objectUrls = []
+  let fileset = resolved
+
+  if (manifest) {
+    // Hand MediaPipe the verified bytes, so what runs is exactly what was checked
+    fileset = { ...resolved }
+    for (const key of ['wasmLoaderPath', 'wasmBinaryPath']) {
+      const file = fileName(resolved[key])
+      const buffer = await fetchAsset(resolved[key], 'hand tracking runtime')
+      await verifyAsset(buffer, manifest, `wasm/${file}`, 'hand tracking runtime')
+      const type = file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript'
+      fileset[key] = URL.createObjectURL(new Blob([buffer], { type }))
+      objectUrls.push(fileset[key])
+    }
+  }
+
+  const label = 'gesture recognizer model'
+  const model = await fetchAsset(urls.gestureRecognizer, label)
+  await verifyAsset(model, manifest, `models/${fileName(urls.gestureRecognizer)}`, label)
+
+  if (manifest) {
+    console.log(`✅ Hand tracking assets verified (MediaPipe ${manifest.tasksVision})`)
+  }
+
+  return {
+    fileset,
+    gestureRecognizer: new Uint8Array(model),
+    release: () => objectUrls.forEach(url => URL.revokeObjectURL(url))
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * MIDI Helpers
+ * Message builders and value mappings for sending FigureFlo to DAWs and hardware synths
+ */
+
+import { noteToMidi } from './musicTheory'
+
+const NOTE_ON = 0x90
+const NOTE_OFF = 0x80
+const CONTROL_CHANGE = 0xb0
+const ALL_NOTES_OFF = 123
+
+// Same ranges as mapHandToBrightness()
+const MIN_FILTER_FREQ = 300
+const MAX_FILTER_FREQ = 5000
+const MIN_REVERB = 0.1
+const MAX_REVERB = 0.5
+
+export const MIDI_CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1)
+
+export const DEFAULT_MIDI_SETTINGS = {
+  enabled: false,
+  outputId: null,
+  channels: { Left: 1, Right: 2 }, // 1-16
+  filterCC: 74,  // Brightness (sound controller 5)
+  reverbCC: 91,  // Reverb send level
+  includeBass: false
+}
+
+const clamp7Bit = (value) => Math.max(0, Math.min(127, Math.round(value)))
+
+/**
+ * Note on message
+ * @param {number} channel - MIDI channel 1-16
+ * @param {number} midi - MIDI note number
+ * @param {number} velocity - 0-1
+ * @returns {number[]}
+ */
+export function noteOnMessage(channel, midi, velocity) {
+  // Velocity 0 would mean note off, so the quietest note is 1
+  return [NOTE_ON | (channel - 1), midi, Math.max(1, clamp7Bit(velocity * 127))]
+}
+
+/**
+ * Note off message
+ * @param {number} channel - MIDI channel 1-16
+ * @param {number} midi - MIDI note number
+ * @returns {number[]}
+ */
+export function noteOffMessage(channel, midi) {
+  return [NOTE_OFF | (channel - 1), midi, 0]
+}
+
+/**
+ * Control change message
+ * @param {number} channel - MIDI channel 1-16
+ * @param {number} controller - CC number 0-127
+ * @param {number} value - 0-127
+ * @returns {number[]}
+ */
+export function controlChangeMessage(channel, controller, value) {
+  return [CONTROL_CHANGE | (channel - 1), controller, clamp7Bit(value)]
+}
+
+/**
+ * All notes off message (CC 123)
+ * @param {number} channel - MIDI channel 1-16
+ * @returns {number[]}
+ */
+export function allNotesOffMessage(channel) {
+  return controlChangeMessage(channel, ALL_NOTES_OFF, 0)
+}
+
+/**
+ * Convert note names (single note or chord) to MIDI numbers
+ * @param {string|string[]} notes
+ * @returns {number[]}
+ */
+export function notesToMidi(notes) {
+  return (Array.isArray(notes) ? notes : [notes])
+    .map(noteToMidi)
+    .filter(midi => midi !== null && midi >= 0 && midi <= 127)
+}
+
+/**
+ * Map filter frequency to a CC value (logarithmic, like the ear hears it)
+ * @param {number} filterFreq - Hz (300-5000)
+ * @returns {number} 0-127
+ */
+export function mapFilterFreqToCC(filterFreq) {
+  const freq = Math.max(MIN_FILTER_FREQ, Math.min(MAX_FILTER_FREQ, filterFreq))
+  const normalized = Math.log(freq / MIN_FILTER_FREQ) / Math.log(MAX_FILTER_FREQ / MIN_FILTER_FREQ)
+  return clamp7Bit(normalized * 127)
+}
+
+/**
+ * Map reverb wetness to a CC value
+ * @param {number} reverb - Wet amount (0.1-0.5)
+ * @returns {number} 0-127
+ */
+export function mapReverbToCC(reverb) {
+  const normalized = (reverb - MIN_REVERB) / (MAX_REVERB - MIN_REVERB)
+  return clamp7Bit(normalized * 127)
+}
@@ -0,0 +1,201 @@
+/**
+ * Standard MIDI File Export
+ * Logs the notes the synthesizer schedules and writes them as a type 1 MIDI file
+ */
+
+import * as Tone from 'tone'
+import { notesToMidi } from './midi'
+
+// One track per hand and voice, each on its own channel (0-based)
+export const MIDI_FILE_TRACKS = [
+  { hand: 'Left', voice: 'melody', name: 'Left Hand Melody', channel: 0 },
+  { hand: 'Left', voice: 'bass', name: 'Left Hand Bass', channel: 1 },
+  { hand: 'Right', voice: 'melody', name: 'Right Hand Melody', channel: 2 },
+  { hand: 'Right', voice: 'bass', name: 'Right Hand Bass', channel: 3 }
+]
+
+const textEncoder = new TextEncoder()
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]}
+ */
+export function encodeVariableLength(value) {
+  let remaining = Math.max(0, Math.round(value))
+  const bytes = [remaining & 0x7f]
+  remaining >>= 7
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80)
+    remaining >>= 7
+  }
+  return bytes
+}
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]
+const uint16 = (value) => [(value >>> 8) & 0xff, value & 0xff]
+
+const metaEvent = (type, data) => [0xff, type, ...encodeVariableLength(data.length), ...data]
+
+// Order of events on the same tick: meta first, then note offs, then note ons
+const EVENT_ORDER = { meta: 0, off: 1, on: 2 }
+
+/**
+ * Build one MTrk chunk
+ * @param {Object[]} events - { tick, type: 'meta' | 'on' | 'off', data: number[] }
+ * @returns {number[]}
+ */
+function buildTrackChunk(events) {
+  const sorted = [...events].sort((a, b) => (a.tick - b.tick) || (EVENT_ORDER[a.type] - EVENT_ORDER[b.type]))
+  const bytes = []
+  let lastTick = 0
+
+  sorted.forEach(event => {
+    bytes.push(...encodeVariableLength(event.tick - lastTick), ...event.data)
+    lastTick = event.tick
+  })
+  bytes.push(0x00, ...metaEvent(0x2f, []))
+
+  return [...textEncoder.encode('MTrk'), ...uint32(bytes.length), ...bytes]
+}
+
+/**
+ * Tempo meta event (microseconds per quarter note)
+ * @param {number} tick
+ * @param {number} bpm - Quarter notes per minute
+ */
+export function tempoEvent(tick, bpm) {
+  const microseconds = Math.round(60000000 / bpm)
+  return { tick, type: 'meta', data: metaEvent(0x51, [(microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff]) }
+}
+
+/**
+ * Time signature meta event
+ * @param {number} tick
+ * @param {number[]} timeSignature - [numerator, denominator], e.g. [6, 8]
+ */
+export function timeSignatureEvent(tick, [numerator, denominator]) {
+  return { tick, type: 'meta', data: metaEvent(0x58, [numerator, Math.round(Math.log2(denominator)), 24, 8]) }
+}
+
+/**
+ * Write a type 1 Standard MIDI File
+ * @param {Object} options
+ * @param {number} options.ppq - Ticks per quarter note
+ * @param {Object[]} options.conductor - Tempo / time signature events for the first track
+ * @param {Object[]} options.tracks - { name, events }
+ * @returns {Uint8Array}
+ */
+export function encodeMidiFile({ ppq, conductor = [], tracks = [] }) {
+  const chunks = [
+    buildTrackChunk(conductor),
+    ...tracks.map(track => buildTrackChunk([
+      { tick: 0, type: 'meta', data: metaEvent(0x03, [...textEncoder.encode(track.name)]) },
+      ...track.events
+    ]))
+  ]
+
+  const header = [...textEncoder.encode('MThd'), ...uint32(6), ...uint16(1), ...uint16(chunks.length), ...uint16(ppq)]
+  return new Uint8Array([...header, ...chunks.flat()])
+}
+
+/**
+ * Records scheduled notes against the transport and exports them as a MIDI file
+ */
+export class MidiFileRecorder {
+  /**
+   * @param {Function} getTimeSignature - Returns the current [numerator, denominator]
+   */
+  constructor(getTimeSignature) {
+    this.getTimeSignature = getTimeSignature
+    this.isRecording = false
+    this.reset()
+  }
+
+  reset() {
+    this.startTicks = 0
+    this.notes = []
+    this.tempoChanges = []
+    this.meterChanges = []
+  }
+
+  /**
+   * Start logging from the current bar line, so bars line up in the DAW
+   */
+  start() {
+    this.reset()
+    const ticksPerBar = Tone.Transport.timeSignature * Tone.Transport.PPQ
+    this.startTicks = Math.floor(Tone.Transport.ticks / ticksPerBar) * ticksPerBar
+    this.isRecording = true
+  }
+
+  /**
+   * Log a scheduled note (subscribe this to the synthesizer's notes)
+   * @param {Object} event - { hand, voice, notes, duration, velocity }
+   * @param {number} time - Audio context time the note sounds at
+   */
+  record(event, time) {
+    if (!this.isRecording) return
+
+    const tick = Math.max(0, Math.round(Tone.Transport.getTicksAtTime(time)) - this.startTicks)
+    this.trackTransportChanges(tick)
+
+    const durationTicks = Math.max(1, Math.round(Tone.Time(event.duration).toTicks()))
+    notesToMidi(event.notes).forEach(midi => {
+      this.notes.push({
+        hand: event.hand,
+        voice: event.voice,
+        midi,
+        velocity: Math.max(1, Math.min(127, Math.round(event.velocity * 127))),
+        tick,
+        durationTicks
+      })
+    })
+  }
+
+  // Remember tempo and meter whenever they differ from the last logged value
+  trackTransportChanges(tick) {
+    const bpm = Math.round(Tone.Transport.bpm.value * 100) / 100
+    const lastTempo = this.tempoChanges[this.tempoChanges.length - 1]
+    if (!lastTempo || lastTempo.bpm !== bpm) {
+      this.tempoChanges.push({ tick: lastTempo ? tick : 0, bpm })
+    }
+
+    const timeSignature = this.getTimeSignature()
+    const lastMeter = this.meterChanges[this.meterChanges.length - 1]
+    if (!lastMeter || lastMeter.timeSignature.join('/') !== timeSignature.join('/')) {
+      this.meterChanges.push({ tick: lastMeter ? tick : 0, timeSignature })
+    }
+  }
+
+  /**
+   * Stop logging
+   * @returns {Uint8Array|null} MIDI file bytes, or null if nothing was played
+   */
+  stop() {
+    this.isRecording = false
+    if (this.notes.length === 0) return null
+
+    const conductor = [
+      ...this.tempoChanges.map(change => tempoEvent(change.tick, change.bpm)),
+      ...this.meterChanges.map(change => timeSignatureEvent(change.tick, change.timeSignature))
+    ]
+
+    const tracks = MIDI_FILE_TRACKS
+      .map(track => {
+        const events = []
+        this.notes
+          .filter(note => note.hand === track.hand && note.voice === track.voice)
+          .forEach(note => {
+            events.push(
+              { tick: note.tick, type: 'on', data: [0x90 | track.channel, note.midi, note.velocity] },
+              { tick: note.tick + note.durationTicks, type: 'off', data: [0x80 | track.channel, note.midi, 0] }
+            )
+          })
+        return { name: track.name, events }
+      })
+      .filter(track => track.events.length > 0)
+
+    return encodeMidiFile({ ppq: Tone.Transport.PPQ, conductor, tracks })
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Modulation Matrix
+ * Routes any hand feature to any synth, effect or fluid parameter
+ * with a range, a response curve and smoothing, saved as named presets
+ */
+
+import { calculateDistance } from './gestureMapping'
+
+/**
+ * Hand features (all normalized 0-1)
+ */
+export const MOD_SOURCES = {
+  x: 'Position X',
+  y: 'Height',
+  depth: 'Depth',
+  speed: 'Hand speed',
+  pinch: 'Pinch',
+  openness: 'Openness',
+  thumbCurl: 'Thumb curl',
+  indexCurl: 'Index curl',
+  middleCurl: 'Middle curl',
+  ringCurl: 'Ring curl',
+  pinkyCurl: 'Pinky curl',
+  palmAngle: 'Palm angle',
+  wristRoll: 'Wrist roll',
+  handDistance: 'Distance between hands'
+}
+
+/**
+ * Parameters a route can drive
+ * - scope 'hand': applied to the routed hand's voice (updateParams)
+ * - scope 'fluid': a fluid simulation config key, averaged over the routed hands
+ * - min/max: default range for new routes, step: input step in the UI
+ */
+export const MOD_TARGETS = {
+  filterFreq: { name: 'Filter cutoff', scope: 'hand', unit: 'Hz', min: 300, max: 5000, step: 10 },
+  filterQ: { name: 'Filter resonance', scope: 'hand', unit: 'Q', min: 0.5, max: 12, step: 0.1 },
+  reverb: { name: 'Reverb mix', scope: 'hand', unit: '', min: 0.1, max: 0.5, step: 0.01 },
+  velocity: { name: 'Velocity', scope: 'hand', unit: '', min: 0.3, max: 1, step: 0.01 },
+  volume: { name: 'Volume', scope: 'hand', unit: 'dB', min: -24, max: 0, step: 1 },
+  effectsWet: { name: 'Effects mix', scope: 'hand', unit: '', min: 0, max: 1, step: 0.01 },
+  fluidSplatRadius: { name: 'Fluid splat size', scope: 'fluid', key: 'SPLAT_RADIUS', unit: '', min: 0.1, max: 0.8, step: 0.01 },
+  fluidCurl: { name: 'Fluid swirl', scope: 'fluid', key: 'CURL', unit: '', min: 0, max: 60, step: 1 },
+  fluidDissipation: { name: 'Fluid fade', scope: 'fluid', key: 'DENSITY_DISSIPATION', unit: '', min: 0.2, max: 4, step: 0.1 },
+  fluidBloom: { name: 'Fluid bloom', scope: 'fluid', key: 'BLOOM_INTENSITY', unit: '', min: 0, max: 2, step: 0.05 }
+}
+
+/**
+ * Response curves (input and output 0-1)
+ */
+export const MOD_CURVES = {
+  linear: { name: 'Linear', apply: (value) => value },
+  exponential: { name: 'Exponential', apply: (value) => value * value },
+  logarithmic: { name: 'Logarithmic', apply: (value) => Math.sqrt(value) },
+  sCurve: { name: 'S-curve', apply: (value) => value * value * (3 - 2 * value) }
+}
+
+export const MOD_HANDS = {
+  both: 'Both hands',
+  Left: 'Left hand',
+  Right: 'Right hand'
+}
+
+let nextRouteId = 1
+
+/**
+ * Create a route, filling in defaults from the target
+ * @param {Object} route - { source, target, hand, min, max, curve, smoothing }
+ */
+export function createRoute(route = {}) {
+  const target = MOD_TARGETS[route.target] ? route.target : 'filterFreq'
+  return {
+    source: 'x',
+    hand: 'both',
+    min: MOD_TARGETS[target].min,
+    max: MOD_TARGETS[target].max,
+    curve: 'linear',
+    smoothing: 0,
+    ...route,
+    target,
+    id: nextRouteId++
+  }
+}
+
+/**
+ * Built-in presets
+ * Classic reproduces the original fixed mappings (X → filter + reverb, pinch → velocity)
+ */
+export const MOD_PRESETS = {
+  Classic: [
+    { source: 'x', target: 'filterFreq', min: 300, max: 5000 },
+    { source: 'x', target: 'reverb', min: 0.1, max: 0.5 },
+    { source: 'pinch', target: 'velocity', min: 0.3, max: 1 }
+  ],
+  Expressive: [
+    { source: 'x', target: 'filterFreq', min: 300, max: 6000, curve: 'exponential', smoothing: 0.5 },
+    { source: 'openness', target: 'filterQ', min: 0.7, max: 10, smoothing: 0.6 },
+    { source: 'pinch', target: 'velocity', min: 0.3, max: 1 },
+    { source: 'handDistance', target: 'reverb', min: 0.1, max: 0.6, smoothing: 0.8 },
+    { source: 'speed', target: 'fluidSplatRadius', min: 0.15, max: 0.7, smoothing: 0.7 }
+  ],
+  Ambient: [
+    { source: 'y', target: 'filterFreq', min: 400, max: 3000, curve: 'sCurve', smoothing: 0.85 },
+    { source: 'depth', target: 'reverb', min: 0.3, max: 0.8, smoothing: 0.8 },
+    { source: 'pinch', target: 'velocity', min: 0.2, max: 0.7, smoothing: 0.5 },
+    { source: 'openness', target: 'effectsWet', min: 0.2, max: 0.9, smoothing: 0.8 },
+    { source: 'palmAngle', target: 'fluidCurl', min: 5, max: 50, smoothing: 0.8 }
+  ]
+}
+
+export const DEFAULT_MOD_PRESET = 'Classic'
+
+const clamp = (value) => Math.max(0, Math.min(1, value))
+
+// Finger landmarks: [mcp, tip]
+const FINGER_JOINTS = {
+  indexCurl: [5, 8],
+  middleCurl: [9, 12],
+  ringCurl: [13, 16],
+  pinkyCurl: [17, 20]
+}
+
+/**
+ * How curled a finger is (0 = straight, 1 = folded)
+ * A straight finger reaches about twice as far from the wrist as its knuckle
+ */
+const fingerCurl = (landmarks, [mcp, tip]) => {
+  const wrist = landmarks[0]
+  const reach = calculateDistance(wrist, landmarks[tip]) / Math.max(0.0001, calculateDistance(wrist, landmarks[mcp]))
+  return clamp(2 - reach)
+}
+
+// The thumb folds across the palm, so measure its reach from the pinky knuckle
+const thumbCurl = (landmarks) => {
+  const pinkyKnuckle = landmarks[17]
+  const reach = calculateDistance(pinkyKnuckle, landmarks[4]) / Math.max(0.0001, calculateDistance(pinkyKnuckle, landmarks[2]))
+  return clamp((1.6 - reach) / 0.6)
+}
+
+// Wrist roll (radians) that reaches either end of the wristRoll feature (~45°)
+const ROLL_RANGE = 0.8
+
+/**
+ * Hand features for one hand
+ * @param {Object} hand - Hand from processGestures
+ * @param {Object|null} otherHand - The other hand, if visible
+ * @param {number} speed - Hand speed in screen widths per second
+ * @returns {Object} Feature values keyed like MOD_SOURCES
+ */
+export function extractHandFeatures(hand, otherHand, speed = 0) {
+  const landmarks = hand.landmarks || []
+  const features = {
+    x: clamp(hand.normalizedX),
+    y: clamp(1 - hand.normalizedY), // Screen Y grows downward
+    depth: clamp(hand.depth),
+    speed: clamp(speed / 2),
+    pinch: clamp(hand.pinch),
+    openness: clamp(hand.openness),
+    wristRoll: clamp(0.5 + (hand.wristRoll || 0) / (2 * ROLL_RANGE)),
+    handDistance: otherHand
+      ? clamp(Math.hypot(hand.normalizedX - otherHand.normalizedX, hand.normalizedY - otherHand.normalizedY))
+      : 0
+  }
+
+  if (landmarks.length >= 21) {
+    Object.entries(FINGER_JOINTS).forEach(([name, joints]) => {
+      features[name] = fingerCurl(landmarks, joints)
+    })
+    features.thumbCurl = thumbCurl(landmarks)
+
+    // Rotation of the palm in the image plane: 0 = pointing left, 0.5 = upright, 1 = pointing right
+    const wrist = landmarks[0]
+    const middleKnuckle = landmarks[9]
+    const angle = Math.atan2(middleKnuckle.x - wrist.x, wrist.y - middleKnuckle.y)
+    features.palmAngle = clamp(0.5 + angle / Math.PI)
+  }
+
+  return features
+}
+
+/**
+ * Evaluates routes against each frame of hand data
+ */
+export class ModulationMatrix {
+  constructor(routes = []) {
+    this.routes = routes
+    this.smoothed = new Map() // `${routeId}:${hand}` -> last output (0-1, before scaling)
+    this.lastPositions = {}   // hand -> { x, y, time }
+  }
+
+  setRoutes(routes) {
+    this.routes = routes
+    // Forget smoothing state of removed routes
+    const ids = new Set(routes.map(route => route.id))
+    this.smoothed.forEach((value, key) => {
+      if (!ids.has(parseInt(key))) this.smoothed.delete(key)
+    })
+  }
+
+  // Hand speed from the previous frame (screen widths per second)
+  measureSpeed(hand, now) {
+    const last = this.lastPositions[hand.handedness]
+    this.lastPositions[hand.handedness] = { x: hand.normalizedX, y: hand.normalizedY, time: now }
+    if (!last || now <= last.time) return 0
+    return Math.hypot(hand.normalizedX - last.x, hand.normalizedY - last.y) / ((now - last.time) / 1000)
+  }
+
+  /**
+   * Run every route for one frame
+   * @param {Object|null} params - Result of processGestures
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} { hands: { Left: { target: value } }, fluid: { CONFIG_KEY: value } }
+   */
+  process(params, now = performance.now()) {
+    const result = { hands: {}, fluid: {} }
+    const hands = params ? params.hands : []
+    const fluidValues = {}
+
+    hands.forEach(hand => {
+      const otherHand = hands.find(item => item !== hand) || null
+      const features = extractHandFeatures(hand, otherHand, this.measureSpeed(hand, now))
+      const outputs = {}
+
+      this.routes.forEach(route => {
+        const target = MOD_TARGETS[route.target]
+        if (!target || (route.hand !== 'both' && route.hand !== hand.handedness)) return
+
+        const curve = MOD_CURVES[route.curve] || MOD_CURVES.linear
+        const shaped = curve.apply(clamp(features[route.source] ?? 0))
+
+        // One-pole smoothing: 0 = follow instantly, 0.95 = very slow
+        const key = `${route.id}:${hand.handedness}`
+        const previous = this.smoothed.get(key)
+        const smoothing = Math.max(0, Math.min(0.99, route.smoothing || 0))
+        const amount = previous === undefined ? shaped : previous + (shaped - previous) * (1 - smoothing)
+        this.smoothed.set(key, amount)
+
+        const value = route.min + amount * (route.max - route.min)
+        if (target.scope === 'fluid') {
+          fluidValues[target.key] = [...(fluidValues[target.key] || []), value]
+        } else {
+          outputs[route.target] = value
+        }
+      })
+
+      result.hands[hand.handedness] = outputs
+    })
+
+    Object.entries(fluidValues).forEach(([key, values]) => {
+      result.fluid[key] = values.reduce((sum, value) => sum + value, 0) / values.length
+    })
+
+    return result
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Music Theory Helpers
+ * Scales, keys and note conversions used to quantize hand height to pitch
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+// Flat spellings accepted as input (notes are always produced with sharps)
+const FLAT_TO_SHARP = {
+  Db: 'C#',
+  Eb: 'D#',
+  Gb: 'F#',
+  Ab: 'G#',
+  Bb: 'A#'
+}
+
+/**
+ * Scale definitions as semitone intervals from the root
+ */
+export const SCALES = {
+  majorPentatonic: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10] },
+  major: { name: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  naturalMinor: { name: 'Natural Minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { name: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+  wholeTone: { name: 'Whole Tone', intervals: [0, 2, 4, 6, 8, 10] },
+  chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+}
+
+// C major pentatonic over C3-E5 - always sounds musical, no dissonance
+export const DEFAULT_SCALE_SETTINGS = {
+  root: 'C',
+  scale: 'majorPentatonic',
+  lowOctave: 3,
+  highOctave: 5,
+  topSteps: 2 // Scale steps above the root of the high octave (C5 -> E5)
+}
+
+/**
+ * Get the pitch class (0-11) of a note name like "C", "F#" or "Bb"
+ * @param {string} name - Note name without octave
+ * @returns {number} Pitch class, or -1 if unknown
+ */
+export function pitchClassOf(name) {
+  return NOTE_NAMES.indexOf(FLAT_TO_SHARP[name] || name)
+}
+
+// Mode words used in song keys ("A minor", "F#m", "D dorian") -> scale ids
+const KEY_MODES = {
+  '': 'major',
+  maj: 'major',
+  major: 'major',
+  m: 'naturalMinor',
+  min: 'naturalMinor',
+  minor: 'naturalMinor'
+}
+
+/**
+ * Parse a written key like "A minor", "F#m", "Bb", "D dorian" or "E harmonic minor"
+ * @param {string} text
+ * @returns {Object|null} { root, scale } (root spelled with sharps), or null if it isn't a key
+ */
+export function parseKey(text) {
+  if (typeof text !== 'string') return null
+  const match = /^\s*([A-Ga-g])([#b♯♭]?)\s*(.*?)\s*$/.exec(text)
+  if (!match) return null
+
+  const accidental = match[2].replace('♯', '#').replace('♭', 'b')
+  const pitchClass = pitchClassOf(`${match[1].toUpperCase()}${accidental}`)
+  if (pitchClass < 0) return null
+
+  const mode = match[3].toLowerCase()
+  const scale = KEY_MODES[mode] ??
+    Object.keys(SCALES).find(id => id.toLowerCase() === mode.replace(/\s+/g, '') || SCALES[id].name.toLowerCase() === mode)
+  if (!scale) return null
+
+  return { root: NOTE_NAMES[pitchClass], scale }
+}
+
+/**
+ * Convert a note like "C4" or "Bb3" to a MIDI number
+ * @param {string} note - Note with octave
+ * @returns {number|null}
+ */
+export function noteToMidi(note) {
+  if (!note) return null
+  const match = /^([A-G][#b]?)(-?\d+)$/.exec(note)
+  if (!match) return null
+
+  const pitchClass = pitchClassOf(match[1])
+  if (pitchClass < 0) return null
+  return (parseInt(match[2]) + 1) * 12 + pitchClass
+}
+
+/**
+ * Convert a MIDI number to a note like "C4"
+ * @param {number} midi - MIDI note number
+ * @returns {string}
+ */
+export function midiToNote(midi) {
+  const octave = Math.floor(midi / 12) - 1
+  return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${octave}`
+}
+
+// Built scales by settings - gesture processing asks for the same scale on every frame
+const scaleNotesCache = new Map()
+
+/**
+ * Build the playable notes for a scale, key and octave range
+ * Runs from the root in the low octave up to topSteps scale steps above the root in the high octave
+ * @param {Object} settings - { root, scale, lowOctave, highOctave, topSteps }
+ * @returns {string[]} Notes from low to high, e.g. ['C3', 'D3', ...] (shared between calls - don't modify)
+ */
+export function buildScaleNotes(settings = DEFAULT_SCALE_SETTINGS) {
+  const { root, scale, lowOctave, highOctave, topSteps } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const key = [root, scale, lowOctave, highOctave, topSteps].join(' ')
+  if (scaleNotesCache.has(key)) return scaleNotesCache.get(key)
+
+  const definition = SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]
+  const rootPitchClass = Math.max(0, pitchClassOf(root))
+
+  const lowMidi = (lowOctave + 1) * 12 + rootPitchClass
+  const highRootMidi = (Math.max(lowOctave, highOctave) + 1) * 12 + rootPitchClass
+
+  const notes = []
+  for (let midi = lowMidi; midi <= highRootMidi; midi++) {
+    if (definition.intervals.includes((midi - rootPitchClass) % 12)) {
+      notes.push(midiToNote(midi))
+    }
+  }
+  definition.intervals.slice(1, 1 + Math.max(0, topSteps)).forEach(interval => {
+    notes.push(midiToNote(highRootMidi + interval))
+  })
+
+  Object.freeze(notes)
+  scaleNotesCache.set(key, notes)
+  return notes
+}
+
+/**
+ * Fit scale notes into an instrument's playable range
+ * Transposes by whole octaves to keep as many notes as possible (the smallest shift wins ties),
+ * then drops the notes still outside - so a cello never plays C5 and a flute never plays C3
+ * @param {string[]} notes - Notes from low to high (see buildScaleNotes)
+ * @param {string[]} range - [lowest, highest] note, e.g. ['C2', 'A4'] (none = unchanged)
+ * @returns {string[]}
+ */
+export function fitNotesToRange(notes, range) {
+  if (!range || !notes || notes.length === 0) return notes
+  const low = noteToMidi(range[0])
+  const high = noteToMidi(range[1])
+  if (low === null || high === null) return notes
+
+  const midis = notes.map(noteToMidi)
+  const inRange = (midi) => midi >= low && midi <= high
+  let bestShift = 0
+  let bestCount = -1
+  for (let octaves = 0; octaves <= 4; octaves++) {
+    for (const shift of [octaves * -12, octaves * 12]) {
+      const count = midis.filter(midi => inRange(midi + shift)).length
+      if (count > bestCount) {
+        bestShift = shift
+        bestCount = count
+      }
+    }
+  }
+
+  const fitted = midis.map(midi => midi + bestShift).filter(inRange)
+  if (fitted.length > 0) return fitted.map(midiToNote)
+
+  // Range narrower than a scale step - clamp everything to the closest note
+  const center = (low + high) / 2
+  const closest = midis.reduce((best, midi) => {
+    const shifted = midi + 12 * Math.round((center - midi) / 12)
+    return Math.abs(shifted - center) < Math.abs(best - center) ? shifted : best
+  }, Infinity)
+  return [midiToNote(Math.max(low, Math.min(high, closest)))]
+}
+
+/**
+ * Get the scale degree (0-based) of a note within a scale
+ * @param {string} note - Note with or without octave
+ * @param {Object} settings - { root, scale }
+ * @returns {number} Degree index, or -1 if the note is not in the scale
+ */
+export function getScaleDegree(note, settings = DEFAULT_SCALE_SETTINGS) {
+  if (!note) return -1
+  const { root, scale } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const definition = SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]
+
+  const pitchClass = pitchClassOf(note.replace(/-?\d+$/, ''))
+  if (pitchClass < 0) return -1
+
+  const interval = (pitchClass - Math.max(0, pitchClassOf(root)) + 12) % 12
+  return definition.intervals.indexOf(interval)
+}
+
+/**
+ * Human readable label for scale settings, e.g. "D Dorian"
+ * @param {Object} settings - { root, scale }
+ * @returns {string}
+ */
+export function describeScale(settings = DEFAULT_SCALE_SETTINGS) {
+  const { root, scale } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  return `${root} ${(SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]).name}`
+}
+
+/**
+ * Chord qualities
+ * degrees: scale steps stacked on the root (used for 7-note scales)
+ * semitones: fallback template snapped into other scales (pentatonic, blues...)
+ */
+export const CHORD_QUALITIES = {
+  triad: { name: 'Triad', degrees: [0, 2, 4], semitones: [0, 4, 7] },
+  seventh: { name: 'Seventh', degrees: [0, 2, 4, 6], semitones: [0, 4, 7, 10] },
+  sus: { name: 'Sus4', degrees: [0, 3, 4], semitones: [0, 5, 7] },
+  add9: { name: 'Add9', degrees: [0, 2, 4, 8], semitones: [0, 4, 7, 14] }
+}
+
+/**
+ * Move a MIDI note to the nearest pitch in the scale (prefers moving down)
+ * @param {number} midi - MIDI note number
+ * @param {Object} settings - { root, scale }
+ * @returns {number}
+ */
+export function snapMidiToScale(midi, settings = DEFAULT_SCALE_SETTINGS) {
+  const { root, scale } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const definition = SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]
+  const rootPitchClass = Math.max(0, pitchClassOf(root))
+
+  for (const offset of [0, -1, 1, -2, 2]) {
+    const interval = (((midi + offset - rootPitchClass) % 12) + 12) % 12
+    if (definition.intervals.includes(interval)) return midi + offset
+  }
+  return midi
+}
+
+/**
+ * Build a diatonic chord on a root note within the selected scale
+ * @param {string} rootNote - Chord root with octave, e.g. "D4"
+ * @param {string} quality - Key of CHORD_QUALITIES
+ * @param {Object} settings - Scale settings { root, scale }
+ * @returns {string[]} Chord notes in root position, low to high
+ */
+export function buildChord(rootNote, quality = 'triad', settings = DEFAULT_SCALE_SETTINGS) {
+  const rootMidi = noteToMidi(rootNote)
+  if (rootMidi === null) return []
+
+  const chordQuality = CHORD_QUALITIES[quality] || CHORD_QUALITIES.triad
+  const { scale } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const intervals = (SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]).intervals
+  const rootDegree = getScaleDegree(rootNote, settings)
+
+  let chord
+  if (intervals.length === 7 && rootDegree >= 0) {
+    // Stack thirds (every other scale step) from the root
+    const scaleRootMidi = rootMidi - intervals[rootDegree]
+    chord = chordQuality.degrees.map(degree => {
+      const index = rootDegree + degree
+      return scaleRootMidi + Math.floor(index / 7) * 12 + intervals[index % 7]
+    })
+  } else {
+    // Non-heptatonic scales: snap a chord template into the scale
+    chord = chordQuality.semitones.map(semitones => snapMidiToScale(rootMidi + semitones, settings))
+  }
+
+  return [...new Set(chord)].sort((a, b) => a - b).map(midiToNote)
+}
+
+/**
+ * Pick the inversion/octave of a chord that moves the least from the previous chord
+ * @param {string[]} previousNotes - Previously sounding voicing (may be empty)
+ * @param {string[]} chordNotes - Next chord in root position
+ * @param {Object} range - Lowest and highest allowed MIDI notes
+ * @returns {string[]} Voiced chord, low to high
+ */
+export function voiceLeadChord(previousNotes, chordNotes, range = { low: 40, high: 84 }) {
+  const chord = (chordNotes || []).map(noteToMidi).filter(midi => midi !== null).sort((a, b) => a - b)
+  const previous = (previousNotes || []).map(noteToMidi).filter(midi => midi !== null)
+  if (chord.length === 0) return []
+  if (previous.length === 0) return chord.map(midiToNote)
+
+  const average = (notes) => notes.reduce((sum, midi) => sum + midi, 0) / notes.length
+  const nearest = (midi, notes) => Math.min(...notes.map(other => Math.abs(other - midi)))
+  const rootPositionCenter = average(chord)
+
+  let best = chord
+  let bestCost = Infinity
+
+  for (let inversion = 0; inversion < chord.length; inversion++) {
+    const inverted = chord.map((midi, i) => (i < inversion ? midi + 12 : midi)).sort((a, b) => a - b)
+
+    for (const shift of [-24, -12, 0, 12]) {
+      const candidate = inverted.map(midi => midi + shift)
+      if (candidate[0] < range.low || candidate[candidate.length - 1] > range.high) continue
+
+      // Total movement in both directions, plus a small pull towards the
+      // hand's register so the voicing doesn't drift away over time
+      const cost = candidate.reduce((sum, midi) => sum + nearest(midi, previous), 0) +
+        previous.reduce((sum, midi) => sum + nearest(midi, candidate), 0) +
+        Math.abs(average(candidate) - rootPositionCenter) * 0.5
+
+      if (cost < bestCost) {
+        bestCost = cost
+        best = candidate
+      }
+    }
+  }
+
+  return best.map(midiToNote)
+}
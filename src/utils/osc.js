@@ -0,0 +1,138 @@
+/**
+ * OSC Helpers
+ * Encodes gesture and emotion data as OSC bundles for TouchDesigner / Max (sent via a WebSocket relay)
+ */
+
+import { noteToMidi } from './musicTheory'
+
+export const OSC_ADDRESS_PREFIX = '/figureflo'
+
+const HANDS = ['Left', 'Right']
+
+const textEncoder = new TextEncoder()
+
+// OSC strings are null terminated and padded to a multiple of 4 bytes
+function encodeString(value) {
+  const bytes = textEncoder.encode(value)
+  const padded = new Uint8Array(Math.ceil((bytes.length + 1) / 4) * 4)
+  padded.set(bytes)
+  return padded
+}
+
+function encodeInt32(value) {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setInt32(0, Math.round(value))
+  return bytes
+}
+
+function encodeFloat32(value) {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setFloat32(0, value)
+  return bytes
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  parts.forEach(part => {
+    result.set(part, offset)
+    offset += part.length
+  })
+  return result
+}
+
+/**
+ * Encode an OSC message
+ * @param {string} address - e.g. "/figureflo/left/pinch"
+ * @param {Array} args - [type, value] pairs, type is 'f' (float), 'i' (int) or 's' (string)
+ * @returns {Uint8Array}
+ */
+export function encodeOscMessage(address, args = []) {
+  const typeTags = `,${args.map(([type]) => type).join('')}`
+  const values = args.map(([type, value]) => {
+    if (type === 'i') return encodeInt32(value)
+    if (type === 's') return encodeString(String(value))
+    return encodeFloat32(value)
+  })
+  return concatBytes([encodeString(address), encodeString(typeTags), ...values])
+}
+
+/**
+ * Encode several messages as one OSC bundle (timetag "immediately")
+ * @param {Object[]} messages - { address, args }
+ * @returns {Uint8Array}
+ */
+export function encodeOscBundle(messages) {
+  const immediately = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1])
+  const elements = messages.map(({ address, args }) => {
+    const message = encodeOscMessage(address, args)
+    return concatBytes([encodeInt32(message.length), message])
+  })
+  return concatBytes([encodeString('#bundle'), immediately, ...elements])
+}
+
+/**
+ * Name of the control gesture a hand is showing
+ * @param {Object} hand - Hand from processGestures
+ * @returns {string}
+ */
+export function getGestureName(hand) {
+  if (hand.isOpenPalm) return 'open_palm'
+  if (hand.isFist) return 'fist'
+  if (hand.isShaka) return 'shaka'
+  if (hand.isThumbsUp) return 'thumbs_up'
+  if (hand.isThumbsDown) return 'thumbs_down'
+  if (hand.isVictorySign) return 'victory'
+  if (hand.isRockOn) return 'rock_on'
+  if (hand.isPointingUp) return 'pointing_up'
+  if (hand.isPinched) return 'pinch'
+  return 'none'
+}
+
+/**
+ * Build the OSC messages for one frame of hand tracking
+ * - /figureflo/hands i                  number of hands
+ * - /figureflo/{left|right}/present i   1 if the hand is visible
+ * - /figureflo/{hand}/position f f      x (0 = left, as the performer sees it), y (0 = top)
+ * - /figureflo/{hand}/note s i          note name and MIDI number
+ * - /figureflo/{hand}/pinch f, /pinched i, /velocity f, /openness f, /depth f, /brightness f
+ * - /figureflo/{hand}/gesture s         see getGestureName()
+ * - /figureflo/emotion s f              top emotion and its score
+ * @param {Object|null} params - Result of processGestures
+ * @param {Object|null} emotions - From useEmotionDetection
+ * @returns {Object[]} { address, args }
+ */
+export function buildGestureMessages(params, emotions = null) {
+  const hands = params ? params.hands : []
+  const messages = [{ address: `${OSC_ADDRESS_PREFIX}/hands`, args: [['i', hands.length]] }]
+
+  HANDS.forEach(handedness => {
+    const base = `${OSC_ADDRESS_PREFIX}/${handedness.toLowerCase()}`
+    const hand = hands.find(item => item.handedness === handedness)
+
+    messages.push({ address: `${base}/present`, args: [['i', hand ? 1 : 0]] })
+    if (!hand) return
+
+    messages.push(
+      // The webcam image is mirrored, flip x back to the performer's point of view
+      { address: `${base}/position`, args: [['f', 1 - hand.normalizedX], ['f', hand.normalizedY]] },
+      { address: `${base}/note`, args: [['s', hand.note], ['i', noteToMidi(hand.note) ?? 0]] },
+      { address: `${base}/pinch`, args: [['f', hand.pinch]] },
+      { address: `${base}/pinched`, args: [['i', hand.isPinched ? 1 : 0]] },
+      { address: `${base}/velocity`, args: [['f', hand.velocity]] },
+      { address: `${base}/openness`, args: [['f', hand.openness]] },
+      { address: `${base}/depth`, args: [['f', hand.depth]] },
+      { address: `${base}/brightness`, args: [['f', hand.brightness]] },
+      { address: `${base}/gesture`, args: [['s', getGestureName(hand)]] }
+    )
+  })
+
+  if (emotions && emotions.topEmotion) {
+    messages.push({
+      address: `${OSC_ADDRESS_PREFIX}/emotion`,
+      args: [['s', emotions.topEmotion.name], ['f', emotions.topEmotion.score]]
+    })
+  }
+
+  return messages
+}
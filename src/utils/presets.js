@@ -0,0 +1,184 @@
+/**
+ * Session Presets
+ * Named snapshots of everything a performance depends on - instruments, key, tempo,
+ * hand modes, effects, fluid look and emotion mapping - stored as plain JSON
+ */
+
+import { SCALES, NOTE_NAMES, DEFAULT_SCALE_SETTINGS } from './musicTheory'
+import { TIME_SIGNATURES, clampBpm } from './tempo'
+import { DEFAULT_ARP_SETTINGS } from './arpeggiator'
+import { DEFAULT_THEREMIN_SETTINGS } from './theremin'
+import { EFFECT_TYPES, HAND_DIMENSIONS } from './effects'
+import { downloadBlob } from './recording'
+
+export const PRESET_VERSION = 1
+
+const HANDS = ['Left', 'Right']
+
+/**
+ * Fluid settings a preset keeps (the rest of the fluid config is resolution/quality)
+ */
+export const FLUID_PRESET_KEYS = [
+  'DENSITY_DISSIPATION',
+  'VELOCITY_DISSIPATION',
+  'PRESSURE',
+  'CURL',
+  'SPLAT_RADIUS',
+  'SPLAT_FORCE',
+  'SHADING',
+  'COLORFUL',
+  'BLOOM',
+  'BLOOM_INTENSITY',
+  'BLOOM_THRESHOLD',
+  'SUNRAYS',
+  'SUNRAYS_WEIGHT',
+  'BACK_COLOR'
+]
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Keep the keys of the defaults whose values have the same type
+const pickLike = (defaults, value) => {
+  const picked = {}
+  if (!isObject(value)) return picked
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    if (typeof value[key] === typeof fallback) picked[key] = value[key]
+  })
+  return picked
+}
+
+const sanitizeScale = (scale) => {
+  const picked = pickLike(DEFAULT_SCALE_SETTINGS, scale)
+  if (picked.root && !NOTE_NAMES.includes(picked.root)) delete picked.root
+  if (picked.scale && !SCALES[picked.scale]) delete picked.scale
+  return { ...DEFAULT_SCALE_SETTINGS, ...picked }
+}
+
+const sanitizeTempo = (tempo) => {
+  if (!isObject(tempo)) return null
+  return {
+    ...(typeof tempo.bpm === 'number' && { bpm: clampBpm(tempo.bpm) }),
+    ...(typeof tempo.swing === 'number' && { swing: Math.max(0, Math.min(1, tempo.swing)) }),
+    ...(TIME_SIGNATURES[tempo.timeSignature] && { timeSignature: tempo.timeSignature })
+  }
+}
+
+const sanitizeEffects = (effects) => (Array.isArray(effects) ? effects : [])
+  .filter(slot => isObject(slot) && EFFECT_TYPES[slot.type])
+  .map(slot => ({
+    type: slot.type,
+    source: HAND_DIMENSIONS[slot.source] ? slot.source : undefined,
+    enabled: slot.enabled !== false
+  }))
+
+const sanitizeHand = (hand) => {
+  if (!isObject(hand)) return null
+  return {
+    instrument: typeof hand.instrument === 'string' ? hand.instrument : null,
+    chords: hand.chords === true,
+    arp: { ...DEFAULT_ARP_SETTINGS, ...pickLike(DEFAULT_ARP_SETTINGS, hand.arp) },
+    theremin: { ...DEFAULT_THEREMIN_SETTINGS, ...pickLike(DEFAULT_THEREMIN_SETTINGS, hand.theremin) },
+    effects: sanitizeEffects(hand.effects)
+  }
+}
+
+const sanitizeFluid = (fluid) => {
+  const picked = {}
+  if (!isObject(fluid)) return picked
+  FLUID_PRESET_KEYS.forEach(key => {
+    const value = fluid[key]
+    if (typeof value === 'number' || typeof value === 'boolean') picked[key] = value
+    if (key === 'BACK_COLOR' && isObject(value)) {
+      picked[key] = { r: Number(value.r) || 0, g: Number(value.g) || 0, b: Number(value.b) || 0 }
+    }
+  })
+  return picked
+}
+
+/**
+ * Validate a preset (from localStorage or an imported file)
+ * Unknown instruments, effects and settings are dropped, missing parts are left alone when applied
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} { version, name, scale, tempo, hands: { Left, Right }, modulation, fluid, emotionMapping }
+ * @throws {Error} When the data isn't a preset at all
+ */
+export function sanitizePreset(data) {
+  if (!isObject(data) || !isObject(data.hands) || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Not a FigureFlo preset')
+  }
+
+  const hands = {}
+  HANDS.forEach(hand => {
+    const sanitized = sanitizeHand(data.hands[hand])
+    if (sanitized) hands[hand] = sanitized
+  })
+
+  return {
+    version: PRESET_VERSION,
+    name: data.name.trim(),
+    scale: sanitizeScale(data.scale),
+    tempo: sanitizeTempo(data.tempo),
+    hands,
+    modulation: typeof data.modulation === 'string' ? data.modulation : null,
+    fluid: sanitizeFluid(data.fluid),
+    emotionMapping: data.emotionMapping !== false
+  }
+}
+
+/**
+ * Build a preset from the current session
+ * @param {string} name
+ * @param {Object} session - { instruments: { Left, Right } (configs), scale, tempo: { bpm, swing, timeSignature },
+ *   chordMode, arpSettings, thereminSettings, effects: { Left, Right } (rack states), modulation (preset name),
+ *   fluid, emotionMapping }
+ * @returns {Object}
+ */
+export function createPreset(name, session) {
+  const hands = {}
+  HANDS.forEach(hand => {
+    hands[hand] = {
+      instrument: session.instruments[hand]?.id || null,
+      chords: session.chordMode[hand],
+      arp: session.arpSettings[hand],
+      theremin: session.thereminSettings[hand],
+      effects: session.effects[hand].map(({ type, source, enabled }) => ({ type, source, enabled }))
+    }
+  })
+
+  return sanitizePreset({
+    name,
+    scale: session.scale,
+    tempo: session.tempo,
+    hands,
+    modulation: session.modulation,
+    fluid: session.fluid,
+    emotionMapping: session.emotionMapping
+  })
+}
+
+/**
+ * Download a preset as a .json file
+ * @param {Object} preset
+ */
+export function exportPresetFile(preset) {
+  const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' })
+  const url = downloadBlob(blob, `figureflo-preset-${slug}.json`)
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Read presets from an exported file (one preset or a list of them)
+ * @param {File} file
+ * @returns {Promise<Object[]>}
+ * @throws {Error} When the file isn't JSON or holds no valid preset
+ */
+export async function readPresetFile(file) {
+  let data
+  try {
+    data = JSON.parse(await file.text())
+  } catch (err) {
+    throw new Error(`${file.name} is not a JSON file`)
+  }
+  return (Array.isArray(data) ? data : [data]).map(sanitizePreset)
+}
@@ -0,0 +1,58 @@
+/**
+ * Recording helpers
+ * Shared by audio takes and session exports ("Share your flo")
+ */
+
+/**
+ * Build a filename like "figureflo-2024-05-01_14-03-22.webm"
+ * @param {string} prefix - Filename prefix
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function createTimestampedFilename(prefix, extension) {
+  const pad = (n) => String(n).padStart(2, '0')
+  const now = new Date()
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+  const time = `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+  return `${prefix}-${date}_${time}.${extension}`
+}
+
+/**
+ * Get a file extension for a MediaRecorder mime type
+ * @param {string} mimeType - e.g. "audio/webm;codecs=opus"
+ * @returns {string}
+ */
+export function extensionForMimeType(mimeType) {
+  if (!mimeType) return 'webm'
+  if (mimeType.includes('ogg')) return 'ogg'
+  if (mimeType.includes('mp4')) return 'mp4'
+  if (mimeType.includes('wav')) return 'wav'
+  return 'webm'
+}
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ * @returns {string} Object URL (caller may keep it for a download link)
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  return url
+}
+
+/**
+ * Pick the first mime type MediaRecorder supports in this browser
+ * @param {string[]} candidates - Mime types in order of preference
+ * @returns {string} Supported mime type, or '' to let the browser choose
+ */
+export function pickSupportedMimeType(candidates) {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return ''
+  return candidates.find(type => MediaRecorder.isTypeSupported(type)) || ''
+}
@@ -0,0 +1,128 @@
+/**
+ * Sample Cache
+ * Keeps decoded sample buffers (and dropped sample packs) in IndexedDB,
+ * so instruments load offline in later sessions
+ */
+
+import * as Tone from 'tone'
+
+const DB_NAME = 'figureflo-samples'
+const DB_VERSION = 1
+const BUFFER_STORE = 'buffers' // key -> { key, sampleRate, channels: Float32Array[] }
+const PACK_STORE = 'packs'     // id -> { id, name, notes }
+
+let dbPromise = null
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Open (and create/upgrade) the database once
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB isn't available
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(BUFFER_STORE)) {
+        db.createObjectStore(BUFFER_STORE, { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains(PACK_STORE)) {
+        db.createObjectStore(PACK_STORE, { keyPath: 'id' })
+      }
+    }
+    dbPromise = promisify(request).catch(err => {
+      console.error('Error opening sample cache:', err)
+      return null
+    })
+  }
+  return dbPromise
+}
+
+async function withStore(storeName, mode, action) {
+  const db = await openDatabase()
+  if (!db) return null
+  const store = db.transaction(storeName, mode).objectStore(storeName)
+  return promisify(action(store))
+}
+
+/**
+ * Read a cached buffer
+ * @param {string} key - Sample URL, or "<pack id>/<note>" for dropped packs
+ * @returns {Promise<AudioBuffer|null>}
+ */
+export async function getCachedBuffer(key) {
+  try {
+    const entry = await withStore(BUFFER_STORE, 'readonly', store => store.get(key))
+    if (!entry) return null
+
+    const buffer = Tone.getContext().createBuffer(entry.channels.length, entry.channels[0].length, entry.sampleRate)
+    entry.channels.forEach((data, channel) => buffer.copyToChannel(data, channel))
+    return buffer
+  } catch (err) {
+    console.error(`Error reading cached sample ${key}:`, err)
+    return null
+  }
+}
+
+/**
+ * Store a decoded buffer (failures are logged, the sample still plays)
+ * @param {string} key
+ * @param {AudioBuffer} buffer
+ */
+export async function putCachedBuffer(key, buffer) {
+  try {
+    const channels = []
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel).slice())
+    }
+    await withStore(BUFFER_STORE, 'readwrite', store => store.put({ key, sampleRate: buffer.sampleRate, channels }))
+  } catch (err) {
+    console.error(`Error caching sample ${key}:`, err)
+  }
+}
+
+/**
+ * Remember a dropped sample pack (its buffers are stored under "<id>/<note>")
+ * @param {Object} pack - { id, name, notes }
+ */
+export async function putCachedPack(pack) {
+  try {
+    await withStore(PACK_STORE, 'readwrite', store => store.put(pack))
+  } catch (err) {
+    console.error(`Error caching sample pack ${pack.name}:`, err)
+  }
+}
+
+/**
+ * @returns {Promise<Object[]>} Cached packs { id, name, notes }
+ */
+export async function getCachedPacks() {
+  try {
+    return (await withStore(PACK_STORE, 'readonly', store => store.getAll())) || []
+  } catch (err) {
+    console.error('Error reading cached sample packs:', err)
+    return []
+  }
+}
+
+/**
+ * Forget a dropped sample pack and its buffers
+ * @param {Object} pack - { id, notes }
+ */
+export async function deleteCachedPack(pack) {
+  try {
+    await withStore(PACK_STORE, 'readwrite', store => store.delete(pack.id))
+    await Promise.all(pack.notes.map(note =>
+      withStore(BUFFER_STORE, 'readwrite', store => store.delete(`${pack.id}/${note}`))
+    ))
+  } catch (err) {
+    console.error(`Error deleting cached sample pack ${pack.id}:`, err)
+  }
+}
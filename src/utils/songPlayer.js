@@ -0,0 +1,270 @@
+/**
+ * Song Player
+ * Plays a song's stems (local audio files) in time with the Tone.js transport,
+ * with a volume and filter per stem so a hand can conduct one of them
+ */
+
+import * as Tone from 'tone'
+import { parseKey } from './musicTheory'
+import { TIME_SIGNATURES, clampBpm } from './tempo'
+
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg|flac|m4a|aiff?)$/i
+
+// Conducting range: hand low = quiet and dark, hand high = full volume, left/right = filter
+const CONDUCT_MIN_DB = -40
+const CONDUCT_MIN_FREQ = 200
+const CONDUCT_MAX_FREQ = 18000
+
+/**
+ * Song metadata in a file or folder name, e.g. "Night Drive (96 BPM, F# minor)"
+ * @param {string} name
+ * @returns {Object} { title, bpm?, key? }
+ */
+export function parseSongName(name) {
+  const title = name.replace(AUDIO_FILE_PATTERN, '')
+  const metadata = { title: title.replace(/\s*[([].*[)\]]\s*$/, '').trim() || title }
+
+  const bpm = /(\d{2,3}(?:\.\d+)?)\s*bpm/i.exec(title)
+  if (bpm) metadata.bpm = parseFloat(bpm[1])
+
+  // A key token with its mode: "F# minor", "Am", "Eb major"
+  const key = /(?:^|[\s,_([-])([A-G][#b]?\s*(?:major|minor|maj|min|m))(?=$|[\s,_)\]-])/.exec(title)
+  if (key && parseKey(key[1])) metadata.key = key[1]
+
+  return metadata
+}
+
+/**
+ * Validate song metadata (song.json next to the stems)
+ * @param {Object} data - { title, bpm, key, timeSignature, offset, melody }
+ * @returns {Object} The valid fields
+ */
+export function sanitizeSongMetadata(data) {
+  if (!data || typeof data !== 'object') return {}
+  return {
+    ...(typeof data.title === 'string' && { title: data.title }),
+    ...(typeof data.bpm === 'number' && { bpm: data.bpm }),
+    ...(parseKey(data.key) && { key: data.key }),
+    ...(TIME_SIGNATURES[data.timeSignature] && { timeSignature: data.timeSignature }),
+    ...(typeof data.offset === 'number' && data.offset >= 0 && { offset: data.offset }),
+    ...(typeof data.melody === 'string' && { melody: data.melody })
+  }
+}
+
+const stemNameOf = (filename) => filename.replace(AUDIO_FILE_PATTERN, '').replace(/[_-]+/g, ' ').trim()
+
+/**
+ * Turn a dropped folder into a song: every audio file is a stem, a .json file holds the metadata
+ * @param {string|null} name - Folder name (used for metadata when there's no song.json)
+ * @param {File[]} files
+ * @returns {Promise<Object>} { title, bpm?, key?, timeSignature?, offset?, melody?, stems: [{ id, name, file }] }
+ */
+export async function readSongFiles(name, files) {
+  const audioFiles = files
+    .filter(file => AUDIO_FILE_PATTERN.test(file.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+  if (audioFiles.length === 0) {
+    throw new Error('No audio files found (wav, mp3, ogg, flac, m4a)')
+  }
+
+  let metadata = parseSongName(name || audioFiles[0].name)
+  const metadataFile = files.find(file => /\.json$/i.test(file.name))
+  if (metadataFile) {
+    try {
+      metadata = { ...metadata, ...sanitizeSongMetadata(JSON.parse(await metadataFile.text())) }
+    } catch (err) {
+      throw new Error(`${metadataFile.name} is not valid JSON`)
+    }
+  }
+
+  return {
+    ...metadata,
+    stems: audioFiles.map((file, index) => ({ id: `stem-${index}`, name: stemNameOf(file.name), file }))
+  }
+}
+
+/**
+ * The stem named as the melody in the metadata ("melody": "vocals.wav" or "vocals")
+ * @param {Object} song - From readSongFiles
+ * @returns {Object|null} Stem
+ */
+export function getMelodyStem(song) {
+  if (!song.melody) return null
+  const name = stemNameOf(song.melody).toLowerCase()
+  return song.stems.find(stem => stem.name.toLowerCase() === name) || null
+}
+
+/**
+ * Transport and scale settings a song asks for
+ * @param {Object} song - From readSongFiles
+ * @returns {Object} { bpm?, timeSignature?, scale?: { root, scale } }
+ */
+export function getSongSettings(song) {
+  return {
+    ...(song.bpm && { bpm: clampBpm(song.bpm) }),
+    ...(song.timeSignature && { timeSignature: song.timeSignature }),
+    ...(parseKey(song.key) && { scale: parseKey(song.key) })
+  }
+}
+
+/**
+ * Map a conducting hand to a stem's level and filter
+ * @param {Object} hand - { normalizedX, normalizedY } from processGestures
+ * @returns {Object} { level (dB), filterFreq (Hz) }
+ */
+export function mapHandToConducting({ normalizedX = 0.5, normalizedY = 0.5 }) {
+  const clamp = (value) => Math.max(0, Math.min(1, value))
+  const height = clamp(1 - normalizedY) // Screen Y grows downward
+  const across = clamp(1 - normalizedX) // Un-mirrored, so moving right opens the filter
+  return {
+    level: CONDUCT_MIN_DB * (1 - height),
+    filterFreq: CONDUCT_MIN_FREQ * Math.pow(CONDUCT_MAX_FREQ / CONDUCT_MIN_FREQ, across)
+  }
+}
+
+export class SongPlayer {
+  /**
+   * @param {Object} output - Tone.js node to connect to (the master bus)
+   */
+  constructor(output) {
+    this.bus = new Tone.Gain(0.8).connect(output)
+    this.song = null
+    this.stems = [] // { id, name, player, filter, volume, muted }
+    this.isPlaying = false
+    this.startEvent = null
+    this.onEnded = null
+  }
+
+  /**
+   * Decode and wire up a song's stems (replaces the current song)
+   * @param {Object} song - From readSongFiles
+   * @param {Function} onProgress - (loaded, total) after each decoded stem
+   */
+  async load(song, onProgress = () => {}) {
+    this.stop()
+    this.disposeStems()
+    this.song = null
+
+    const stems = []
+    try {
+      for (const stem of song.stems) {
+        const audioBuffer = await Tone.getContext().decodeAudioData(await stem.file.arrayBuffer())
+        const volume = new Tone.Volume(0).connect(this.bus)
+        const filter = new Tone.Filter(CONDUCT_MAX_FREQ, 'lowpass').connect(volume)
+        const player = new Tone.Player(new Tone.ToneAudioBuffer(audioBuffer)).connect(filter)
+        stems.push({ id: stem.id, name: stem.name, player, filter, volume, muted: false })
+        onProgress(stems.length, song.stems.length)
+      }
+    } catch (err) {
+      // Don't leave the stems decoded before the failing one connected to the bus
+      this.stems = stems
+      this.disposeStems()
+      throw err
+    }
+
+    this.song = song
+    this.stems = stems
+  }
+
+  /**
+   * Follow a transport tempo that differs from the song's (conducting, tempo slider)
+   * Stems are resampled like tape, so their pitch follows the speed
+   * @param {number} bpm - Transport tempo in felt BPM
+   */
+  followTempo(bpm) {
+    if (!this.song || !this.song.bpm) return
+    const rate = bpm / this.song.bpm
+    this.stems.forEach(stem => {
+      stem.player.playbackRate = rate
+    })
+  }
+
+  /**
+   * Start all stems together on the next bar line (skipping the song's lead-in offset)
+   */
+  start() {
+    if (this.isPlaying || this.stems.length === 0) return
+    this.isPlaying = true
+
+    const offset = this.song.offset || 0
+    const longest = this.stems.reduce((a, b) => (b.player.buffer.duration > a.player.buffer.duration ? b : a))
+    longest.player.onstop = () => {
+      if (!this.isPlaying) return
+      this.isPlaying = false
+      this.startEvent = null
+      if (this.onEnded) this.onEnded()
+    }
+
+    this.startEvent = Tone.Transport.scheduleOnce((time) => {
+      this.stems.forEach(stem => stem.player.start(time, offset))
+    }, '@1m')
+  }
+
+  stop() {
+    if (!this.isPlaying) return
+    this.isPlaying = false
+    if (this.startEvent !== null) {
+      Tone.Transport.clear(this.startEvent)
+      this.startEvent = null
+    }
+    this.stems.forEach(stem => {
+      if (stem.player.state === 'started') stem.player.stop()
+    })
+  }
+
+  setMuted(id, muted) {
+    const stem = this.stems.find(item => item.id === id)
+    if (!stem) return
+    stem.muted = muted
+    stem.volume.mute = muted
+  }
+
+  /**
+   * Follow a conducting hand
+   * @param {string} id - Stem id
+   * @param {Object} values - { level, filterFreq } from mapHandToConducting()
+   */
+  conduct(id, { level, filterFreq }) {
+    const stem = this.stems.find(item => item.id === id)
+    if (!stem || stem.muted) return
+    stem.volume.volume.rampTo(level, 0.1)
+    stem.filter.frequency.rampTo(filterFreq, 0.1)
+  }
+
+  // Back to full volume and an open filter (when a stem stops being conducted)
+  resetStem(id) {
+    this.conduct(id, { level: 0, filterFreq: CONDUCT_MAX_FREQ })
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {Object|null} { title, bpm, key, timeSignature, isPlaying, stems: [{ id, name, muted }] }
+   */
+  getState() {
+    if (!this.song) return null
+    const { title, bpm, key, timeSignature } = this.song
+    return {
+      title,
+      bpm,
+      key,
+      timeSignature,
+      isPlaying: this.isPlaying,
+      stems: this.stems.map(({ id, name, muted }) => ({ id, name, muted }))
+    }
+  }
+
+  disposeStems() {
+    this.stems.forEach(stem => {
+      stem.player.dispose()
+      stem.filter.dispose()
+      stem.volume.dispose()
+    })
+    this.stems = []
+  }
+
+  dispose() {
+    this.stop()
+    this.disposeStems()
+    this.bus.dispose()
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Tempo and Meter Helpers
+ * Time signatures, swing and tap tempo for the Tone.js transport
+ */
+
+export const MIN_BPM = 40
+export const MAX_BPM = 220
+export const DEFAULT_BPM = 120
+
+/**
+ * Time signatures
+ * - beatInQuarters: length of the felt beat (6/8 is felt in dotted quarters)
+ * - stepsPerBeat: loop steps per felt beat (simple = 2 eighths, compound = 3 eighths)
+ * - beatDuration: bass note length, one per beat
+ * - swingSubdivision: which notes swing pushes late
+ */
+export const TIME_SIGNATURES = {
+  '4/4': { name: '4/4', timeSignature: [4, 4], beats: 4, beatInQuarters: 1, subdivision: '8n', stepsPerBeat: 2, beatDuration: '4n', swingSubdivision: '8n' },
+  '3/4': { name: '3/4', timeSignature: [3, 4], beats: 3, beatInQuarters: 1, subdivision: '8n', stepsPerBeat: 2, beatDuration: '4n', swingSubdivision: '8n' },
+  '5/4': { name: '5/4', timeSignature: [5, 4], beats: 5, beatInQuarters: 1, subdivision: '8n', stepsPerBeat: 2, beatDuration: '4n', swingSubdivision: '8n' },
+  '6/8': { name: '6/8', timeSignature: [6, 8], beats: 2, beatInQuarters: 1.5, subdivision: '8n', stepsPerBeat: 3, beatDuration: '4n.', swingSubdivision: '16n' },
+  '12/8': { name: '12/8', timeSignature: [12, 8], beats: 4, beatInQuarters: 1.5, subdivision: '8n', stepsPerBeat: 3, beatDuration: '4n.', swingSubdivision: '16n' }
+}
+
+export const DEFAULT_TIME_SIGNATURE = '4/4'
+
+// Velocity multipliers for the loop steps of a bar
+const ACCENTS = {
+  downbeat: 1.0,
+  beat: 0.9,
+  offbeat: 0.8
+}
+
+/**
+ * Clamp a tempo to the supported range
+ * @param {number} bpm - Beats per minute
+ * @returns {number}
+ */
+export function clampBpm(bpm) {
+  return Math.round(Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)))
+}
+
+/**
+ * Convert felt beats per minute to Tone.Transport BPM (always quarter notes)
+ * @param {number} bpm - Felt beats per minute
+ * @param {string} signature - Key of TIME_SIGNATURES
+ * @returns {number}
+ */
+export function toTransportBpm(bpm, signature = DEFAULT_TIME_SIGNATURE) {
+  const meter = TIME_SIGNATURES[signature] || TIME_SIGNATURES[DEFAULT_TIME_SIGNATURE]
+  return bpm * meter.beatInQuarters
+}
+
+/**
+ * Describe a loop step within the bar
+ * @param {number} step - Step index within the bar
+ * @param {Object} meter - Entry of TIME_SIGNATURES
+ * @returns {Object} { isDownbeat, isBeat, accent }
+ */
+export function describeStep(step, meter) {
+  const isDownbeat = step === 0
+  const isBeat = step % meter.stepsPerBeat === 0
+  const accent = isDownbeat ? ACCENTS.downbeat : (isBeat ? ACCENTS.beat : ACCENTS.offbeat)
+  return { isDownbeat, isBeat, accent }
+}
+
+/**
+ * Tap tempo
+ * Averages the intervals of recent taps, ignores taps that don't form a steady pulse
+ */
+export class TapTempo {
+  constructor({ maxTaps = 6, resetAfterMs = 2000, minTaps = 3 } = {}) {
+    this.maxTaps = maxTaps
+    this.resetAfterMs = resetAfterMs
+    this.minTaps = minTaps
+    this.taps = []
+  }
+
+  /**
+   * Register a tap
+   * @param {number} now - Timestamp in ms
+   * @returns {number|null} New tempo in BPM, or null if there is no steady pulse yet
+   */
+  tap(now = performance.now()) {
+    const last = this.taps[this.taps.length - 1]
+    if (last !== undefined && now - last > this.resetAfterMs) {
+      this.taps = []
+    }
+
+    this.taps.push(now)
+    if (this.taps.length > this.maxTaps) {
+      this.taps.shift()
+    }
+    if (this.taps.length < this.minTaps) return null
+
+    const intervals = this.taps.slice(1).map((tap, i) => tap - this.taps[i])
+    const average = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length
+
+    // Every interval must be within 25% of the average to count as a pulse
+    const steady = intervals.every(interval => Math.abs(interval - average) <= average * 0.25)
+    if (!steady) return null
+
+    return clampBpm(60000 / average)
+  }
+
+  reset() {
+    this.taps = []
+  }
+}
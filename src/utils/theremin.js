@@ -0,0 +1,163 @@
+/**
+ * Theremin Mode Helpers
+ * Continuous (non-quantized) pitch with glide, soft snapping to the scale and vibrato
+ */
+
+import { SCALES, DEFAULT_SCALE_SETTINGS, pitchClassOf } from './musicTheory'
+
+export const GLIDE_TIMES = {
+  0: 'Glide: off',
+  0.05: 'Glide: short',
+  0.15: 'Glide: medium',
+  0.4: 'Glide: long'
+}
+
+export const SNAP_AMOUNTS = {
+  0: 'Snap: off',
+  0.35: 'Snap: soft',
+  0.7: 'Snap: strong',
+  1: 'Snap: full'
+}
+
+export const VIBRATO_SOURCES = {
+  roll: 'Vibrato: wrist roll',
+  tremor: 'Vibrato: tremor',
+  off: 'Vibrato: off'
+}
+
+export const DEFAULT_THEREMIN_SETTINGS = {
+  enabled: false,
+  portamento: 0.15, // Seconds to glide between pitches
+  snap: 0.35,       // 0 = free pitch, 1 = always lands on a scale degree
+  vibratoSource: 'roll'
+}
+
+export const VIBRATO_RATE = 5.5 // Hz, a typical singer's/string player's vibrato
+export const VIBRATO_MAX_DEPTH = 0.4 // Tone.Vibrato depth at full vibrato (about half a semitone)
+
+// Wrist roll below this is ignored so a level hand has no vibrato (radians, ~10°)
+const ROLL_DEADZONE = 0.17
+// Roll that gives full vibrato depth (~45°)
+const ROLL_FULL = 0.8
+
+/**
+ * Frequency <-> fractional MIDI number
+ */
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440)
+export const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12)
+
+/**
+ * Frequency range of the scale settings (root in the low octave to root in the high octave)
+ * @param {Object} settings - { root, lowOctave, highOctave }
+ * @returns {Object} { minFreq, maxFreq }
+ */
+export function getPitchRange(settings = DEFAULT_SCALE_SETTINGS) {
+  const { root, lowOctave, highOctave } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const rootPitchClass = Math.max(0, pitchClassOf(root))
+  return {
+    minFreq: midiToFrequency((lowOctave + 1) * 12 + rootPitchClass),
+    maxFreq: midiToFrequency((Math.max(lowOctave + 1, highOctave) + 1) * 12 + rootPitchClass)
+  }
+}
+
+/**
+ * Pull a frequency toward the nearest scale degree
+ * The pull is strongest near the scale note, so slides between notes stay smooth
+ * @param {number} frequency - Hz
+ * @param {Object} settings - Scale settings { root, scale }
+ * @param {number} amount - 0 (free) to 1 (fully quantized)
+ * @returns {number} Hz
+ */
+export function softSnapFrequency(frequency, settings = DEFAULT_SCALE_SETTINGS, amount = 0) {
+  if (!frequency || amount <= 0) return frequency
+
+  const { root, scale } = { ...DEFAULT_SCALE_SETTINGS, ...settings }
+  const intervals = (SCALES[scale] || SCALES[DEFAULT_SCALE_SETTINGS.scale]).intervals
+  const rootPitchClass = Math.max(0, pitchClassOf(root))
+  const midi = frequencyToMidi(frequency)
+
+  // Nearest scale degree (search one octave around the pitch)
+  const octaveBase = Math.floor((midi - rootPitchClass) / 12) * 12 + rootPitchClass
+  let target = midi
+  let nearestDistance = Infinity
+  for (const base of [octaveBase - 12, octaveBase, octaveBase + 12]) {
+    intervals.forEach(interval => {
+      const distance = Math.abs(base + interval - midi)
+      if (distance < nearestDistance) {
+        nearestDistance = distance
+        target = base + interval
+      }
+    })
+  }
+
+  if (amount >= 1) return midiToFrequency(target)
+
+  // Smoothstep falloff: full pull on the note, none half a tone away
+  const closeness = Math.max(0, 1 - nearestDistance)
+  const pull = amount * closeness * closeness * (3 - 2 * closeness)
+  return midiToFrequency(midi + (target - midi) * pull)
+}
+
+/**
+ * Wrist roll angle (rotation of the knuckle line, index to pinky)
+ * @param {Array} landmarks - Hand landmarks from MediaPipe
+ * @returns {number} Radians, 0 = level
+ */
+export function calculateWristRoll(landmarks) {
+  if (!landmarks || landmarks.length < 21) return 0
+  const indexKnuckle = landmarks[5]
+  const pinkyKnuckle = landmarks[17]
+  const angle = Math.atan2(pinkyKnuckle.y - indexKnuckle.y, Math.abs(pinkyKnuckle.x - indexKnuckle.x))
+  return angle
+}
+
+/**
+ * Map wrist roll to vibrato depth
+ * @param {number} roll - Radians from calculateWristRoll
+ * @returns {number} 0-1
+ */
+export function mapRollToVibrato(roll) {
+  const amount = (Math.abs(roll) - ROLL_DEADZONE) / (ROLL_FULL - ROLL_DEADZONE)
+  return Math.max(0, Math.min(1, amount))
+}
+
+/**
+ * Tremor tracker
+ * Measures small, fast hand shakes (wobble around the hand's overall motion) as vibrato depth
+ */
+export class TremorTracker {
+  constructor({ windowMs = 300, fullTremor = 0.006 } = {}) {
+    this.windowMs = windowMs
+    this.fullTremor = fullTremor // Deviation (normalized screen units) for full depth
+    this.samples = []
+  }
+
+  /**
+   * Add a position sample
+   * @param {number} value - Normalized hand Y
+   * @param {number} now - Timestamp in ms
+   * @returns {number} Vibrato depth 0-1
+   */
+  push(value, now = performance.now()) {
+    this.samples.push({ value, time: now })
+    while (this.samples.length > 0 && now - this.samples[0].time > this.windowMs) {
+      this.samples.shift()
+    }
+    if (this.samples.length < 4) return 0
+
+    // Deviation from a straight line through the window ignores slow, deliberate moves
+    const first = this.samples[0]
+    const last = this.samples[this.samples.length - 1]
+    const span = Math.max(1, last.time - first.time)
+    const deviation = this.samples.reduce((sum, sample) => {
+      const expected = first.value + (last.value - first.value) * ((sample.time - first.time) / span)
+      return sum + Math.abs(sample.value - expected)
+    }, 0) / this.samples.length
+
+    return Math.max(0, Math.min(1, deviation / this.fullTremor))
+  }
+
+  reset() {
+    this.samples = []
+  }
+}
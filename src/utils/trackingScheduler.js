@@ -0,0 +1,98 @@
+/**
+ * Tracking Scheduler
+ * Decides which camera frames hand tracking runs on and keeps per-stage timings.
+ * Inference only runs on new camera frames, and when it gets slow frames are skipped
+ * so it never takes more than its share of the time the fluid simulation and audio need too.
+ */
+
+// capture/inference/draw/publish (React state) run in the tracking loop, gestures is reported by the app (processGestures)
+export const TRACKING_STAGES = ['capture', 'inference', 'draw', 'publish', 'gestures']
+
+const SMOOTHING = 0.9          // Moving average weight of the previous timing
+const FRAME_TOLERANCE_MS = 4   // Camera frames arrive with some jitter
+
+export class TrackingScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFps - Never track faster than this
+   * @param {number} options.budget - Share of the wall-clock time inference may use (0-1, 1 when it runs in a worker)
+   */
+  constructor({ maxFps = 30, budget = 0.5 } = {}) {
+    this.maxFps = maxFps
+    this.budget = budget
+    this.reset()
+  }
+
+  reset() {
+    this.lastRun = -Infinity
+    this.lastFrameTime = null
+    this.timings = {}
+    TRACKING_STAGES.forEach(stage => {
+      this.timings[stage] = 0
+    })
+    this.windowStart = performance.now()
+    this.processed = 0
+    this.skipped = 0
+  }
+
+  /**
+   * Minimum time between two tracked frames - grows with the inference time under load
+   * @returns {number} ms
+   */
+  getInterval() {
+    return Math.max(1000 / this.maxFps, this.timings.inference / this.budget)
+  }
+
+  /**
+   * Should this frame be tracked?
+   * @param {number} now - performance.now()
+   * @param {number} frameTime - Video time of the current camera frame
+   * @param {boolean} busy - The previous frame is still being tracked
+   * @returns {boolean}
+   */
+  shouldRun(now, frameTime, busy = false) {
+    // Same camera frame as last time - nothing new to track, not a skip
+    if (frameTime === this.lastFrameTime) return false
+    this.lastFrameTime = frameTime
+
+    if (busy || now - this.lastRun < this.getInterval() - FRAME_TOLERANCE_MS) {
+      this.skipped++
+      return false
+    }
+    this.lastRun = now
+    this.processed++
+    return true
+  }
+
+  /**
+   * Record how long a stage took on this frame
+   * @param {string} stage - One of TRACKING_STAGES
+   * @param {number} ms
+   */
+  measure(stage, ms) {
+    const previous = this.timings[stage]
+    this.timings[stage] = previous ? previous * SMOOTHING + ms * (1 - SMOOTHING) : ms
+  }
+
+  /**
+   * Timings since the last call (starts a new measuring window)
+   * @param {number} now - performance.now()
+   * @returns {Object} { fps, skipped (share of camera frames 0-1), interval, capture, inference, draw, publish, gestures, total } - times in ms
+   */
+  getStats(now = performance.now()) {
+    const seconds = Math.max((now - this.windowStart) / 1000, 0.001)
+    const frames = this.processed + this.skipped
+    const stats = {
+      fps: this.processed / seconds,
+      skipped: frames > 0 ? this.skipped / frames : 0,
+      interval: this.getInterval(),
+      ...this.timings,
+      total: TRACKING_STAGES.reduce((sum, stage) => sum + this.timings[stage], 0)
+    }
+
+    this.windowStart = now
+    this.processed = 0
+    this.skipped = 0
+    return stats
+  }
+}
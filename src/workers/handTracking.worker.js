@@ -0,0 +1,53 @@
+/**
+ * Hand Tracking Worker
+ * Runs the gesture recognizer off the main thread, so slow detection doesn't hold up
+ * React, the fluid simulation or Tone.js scheduling.
+ *
+ * Messages in:
+ *   { type: 'init', source }                 Load and verify the assets, create the recognizer
+ *   { type: 'frame', id, bitmap, timestamp } Track one video frame (the ImageBitmap is transferred)
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'results', id, handData, inferenceMs } - handData as toHandData()
+ *   { type: 'error', id?, message }          id is set when a single frame failed
+ */
+
+import { createGestureRecognizer, toHandData } from '../utils/gestureRecognizer'
+
+let recognizer = null
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      try {
+        recognizer = await createGestureRecognizer(data.source)
+        self.postMessage({ type: 'ready' })
+      } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || 'Failed to initialize hand tracking' })
+      }
+      break
+
+    case 'frame': {
+      const { id, bitmap, timestamp } = data
+      try {
+        if (!recognizer) throw new Error('Hand tracking is not initialized')
+        const start = performance.now()
+        const results = recognizer.recognizeForVideo(bitmap, timestamp)
+        self.postMessage({
+          type: 'results',
+          id,
+          handData: toHandData(results),
+          inferenceMs: performance.now() - start
+        })
+      } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message })
+      } finally {
+        bitmap.close()
+      }
+      break
+    }
+
+    default:
+      break
+  }
+}
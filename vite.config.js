@@ -1,8 +1,19 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The CDN runtime has to come from the same MediaPipe release as the installed JS bundle
+const tasksVision = JSON.parse(readFileSync(new URL('./node_modules/@mediapipe/tasks-vision/package.json', import.meta.url), 'utf8'))
+
 export default defineConfig({
   plugins: [react()],
+  define: {
+    __TASKS_VISION_VERSION__: JSON.stringify(tasksVision.version)
+  },
+  // The hand tracking worker is a module worker (it imports MediaPipe)
+  worker: {
+    format: 'es'
+  },
   server: {
     port: 5173,
     host: true